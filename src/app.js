@@ -16,6 +16,21 @@ import markRouter from "./routes/mark.routes.js";
 import principalRouter from "./routes/principal.routes.js";
 import studentAttendanceRouter from "./routes/studentAttendance.routes.js";
 import studentComplainRouter from "./routes/studentcomplain.routes.js";
+import guardianRouter from "./routes/guardian.routes.js";
+import staffRouter from "./routes/staff.routes.js";
+import permissionRouter from "./routes/permission.routes.js";
+import academicSessionRouter from "./routes/academicSession.routes.js";
+import feeStructureRouter from "./routes/feeStructure.routes.js";
+import receiptRouter from "./routes/receipt.routes.js";
+import lateFineRouter from "./routes/lateFine.routes.js";
+import concessionRouter from "./routes/concession.routes.js";
+import paymentRouter from "./routes/payment.routes.js";
+import notificationRouter from "./routes/notification.routes.js";
+import payrollRouter from "./routes/payroll.routes.js";
+import leaveRouter from "./routes/leave.routes.js";
+import timetableRouter from "./routes/timetable.routes.js";
+import substitutionRouter from "./routes/substitution.routes.js";
+import calendarRouter from "./routes/calendar.routes.js";
 
 // Build express app
 const app = express();
@@ -45,7 +60,17 @@ app.use(
   })
 );
 
-app.use(express.json({ limit: "16kb" }));
+app.use(
+  express.json({
+    limit: "16kb",
+    // payment webhooks are verified against the exact bytes the provider signed
+    verify: (req, res, buffer) => {
+      if (req.originalUrl.startsWith("/api/v1/payment/webhook")) {
+        req.rawBody = buffer.toString("utf8");
+      }
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true, limit: "16kb" }));
 app.use(express.static("public"));
 app.use(cookieParser());
@@ -62,5 +87,20 @@ app.use("/api/v1/announcement", announcementRouter);
 app.use("/api/v1/mark", markRouter);
 app.use("/api/v1/student-attendance", studentAttendanceRouter);
 app.use("/api/v1/student-complain", studentComplainRouter);
+app.use("/api/v1/guardian", guardianRouter);
+app.use("/api/v1/staff", staffRouter);
+app.use("/api/v1/permissions", permissionRouter);
+app.use("/api/v1/academic-session", academicSessionRouter);
+app.use("/api/v1/fee-structure", feeStructureRouter);
+app.use("/api/v1/receipt", receiptRouter);
+app.use("/api/v1/late-fine", lateFineRouter);
+app.use("/api/v1/concession", concessionRouter);
+app.use("/api/v1/payment", paymentRouter);
+app.use("/api/v1/notification", notificationRouter);
+app.use("/api/v1/payroll", payrollRouter);
+app.use("/api/v1/leave", leaveRouter);
+app.use("/api/v1/timetable", timetableRouter);
+app.use("/api/v1/substitution", substitutionRouter);
+app.use("/api/v1/calendar", calendarRouter);
 
 export { app };
@@ -0,0 +1,183 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { AcademicSession } from "../models/academicSession.model.js";
+import { StudentAcademicClass } from "../models/class.model.js";
+import { FeePayment } from "../models/feepayment.model.js";
+import { Mark } from "../models/mark.model.js";
+import { Exam } from "../models/exam.model.js";
+import { StudentAttendance } from "../models/studentAttendance.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { getCurrentAcademicSession } from "../utils/academicSession.utils.js";
+import logger from "../utils/logger.js";
+
+// models whose records belong to an academic session
+const SESSION_SCOPED_MODELS = [
+  StudentAcademicClass,
+  FeePayment,
+  Mark,
+  Exam,
+  StudentAttendance,
+];
+
+export const CREATE_ACADEMIC_SESSION = async (req, res) => {
+  const { name, startDate, endDate } = req.body;
+
+  try {
+    if (!name || !startDate || !endDate) {
+      throw new ApiError(400, "Name, start date and end date are required");
+    }
+
+    const existingSession = await AcademicSession.findOne({ name });
+    if (existingSession) {
+      throw new ApiError(400, "Academic session already exists");
+    }
+
+    const academicSession = await AcademicSession.create({
+      name,
+      startDate,
+      endDate,
+    });
+
+    return res
+      .status(201)
+      .json(
+        new ApiResponse(
+          201,
+          academicSession,
+          "Academic session created successfully"
+        )
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const GET_ALL_ACADEMIC_SESSIONS = async (req, res) => {
+  try {
+    const academicSessions = await AcademicSession.find()
+      .sort({ startDate: -1 })
+      .lean();
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          academicSessions,
+          "Academic sessions fetched successfully"
+        )
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const GET_CURRENT_ACADEMIC_SESSION = async (req, res) => {
+  try {
+    const currentSession = await getCurrentAcademicSession();
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          currentSession,
+          "Current academic session fetched successfully"
+        )
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Swaps the old year-less unique indexes (e.g. one fee row per student and month)
+// for the session scoped ones. Needed on every switch, with or without adopted
+// records the next session's rows would hit the old index.
+const syncSessionScopedIndexes = async () => {
+  try {
+    await Promise.all(
+      SESSION_SCOPED_MODELS.map((Model) => Model.syncIndexes())
+    );
+    return true;
+  } catch (error) {
+    logger.error(`Syncing session scoped indexes failed: ${error.message}`);
+    return false;
+  }
+};
+
+// switches the current session, adoptUnscopedRecords moves records created before
+// sessions existed into this session
+export const SET_CURRENT_ACADEMIC_SESSION = async (req, res) => {
+  const { sessionId } = req.params;
+  const { adoptUnscopedRecords = false } = req.body;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    if (!isValidObjectId(sessionId)) {
+      throw new ApiError(400, "Invalid academic session id");
+    }
+
+    const academicSession =
+      await AcademicSession.findById(sessionId).session(session);
+    if (!academicSession) {
+      throw new ApiError(404, "Academic session not found");
+    }
+
+    await AcademicSession.updateMany(
+      { isCurrent: true },
+      { isCurrent: false },
+      { session }
+    );
+    academicSession.isCurrent = true;
+    await academicSession.save({ session });
+
+    const adoptedRecords = {};
+    if (adoptUnscopedRecords) {
+      for (const Model of SESSION_SCOPED_MODELS) {
+        const result = await Model.updateMany(
+          { academicSession: { $exists: false } },
+          { $set: { academicSession: academicSession._id } },
+          { session }
+        );
+        adoptedRecords[Model.modelName] = result.modifiedCount;
+      }
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+
+    // the switch is done, a failed index sync is logged and retried on the next switch
+    const indexesSynced = await syncSessionScopedIndexes();
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { academicSession, adoptedRecords, indexesSynced },
+          "Current academic session updated successfully"
+        )
+      );
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    session.endSession();
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -7,6 +7,7 @@ import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { isValidMongoId } from "../constants.js";
 import logger from "../utils/logger.js";
+import { resolveAcademicSession } from "../utils/academicSession.utils.js";
 
 export const REGISTER_CLASS = async (req, res) => {
   const {
@@ -24,8 +25,13 @@ export const REGISTER_CLASS = async (req, res) => {
   session.startTransaction();
 
   try {
-    // Check if the class already exists
-    const existingClass = await StudentAcademicClass.findOne({ className });
+    const academicSession = await resolveAcademicSession(req);
+
+    // Check if the class already exists in this academic session
+    const existingClass = await StudentAcademicClass.findOne({
+      className,
+      academicSession: academicSession._id,
+    });
     if (existingClass) {
       throw new ApiError(400, "Class already exists");
     }
@@ -97,6 +103,7 @@ export const REGISTER_CLASS = async (req, res) => {
           timetable,
           fee,
           lateFineAmount,
+          academicSession: academicSession._id,
         },
       ],
       { session }
@@ -128,7 +135,7 @@ export const REGISTER_CLASS = async (req, res) => {
     await session.abortTransaction();
     session.endSession();
 
-    res.status(error.code || 500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message,
     });
@@ -141,7 +148,10 @@ export const GET_ALL_CLASS = async (req, res) => {
     const limit = 10;
     const skip = (page - 1) * limit;
 
-    const classes = await StudentAcademicClass.find()
+    const academicSession = await resolveAcademicSession(req);
+    const filter = { academicSession: academicSession._id };
+
+    const classes = await StudentAcademicClass.find(filter)
       .populate("classTeacher", "name")
       .populate("students", "name rollNumber")
       .populate("subjects", "name")
@@ -151,7 +161,7 @@ export const GET_ALL_CLASS = async (req, res) => {
       .exec();
 
     // pagination metadata
-    const totalClasses = await StudentAcademicClass.countDocuments();
+    const totalClasses = await StudentAcademicClass.countDocuments(filter);
     const totalPages = Math.ceil(totalClasses / limit);
 
     return res.status(200).json(
@@ -169,7 +179,7 @@ export const GET_ALL_CLASS = async (req, res) => {
       )
     );
   } catch (error) {
-    res.status(error.code || 500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message,
     });
@@ -178,7 +188,11 @@ export const GET_ALL_CLASS = async (req, res) => {
 
 export const GET_ALL_CLASSES_WITHOUT_PAGINATION = async (req, res) => {
   try {
-    const classes = await StudentAcademicClass.find()
+    const academicSession = await resolveAcademicSession(req);
+
+    const classes = await StudentAcademicClass.find({
+      academicSession: academicSession._id,
+    })
       .populate("classTeacher", "name")
       .populate("students", "name rollNumber")
       .populate("subjects", "name")
@@ -196,7 +210,7 @@ export const GET_ALL_CLASSES_WITHOUT_PAGINATION = async (req, res) => {
       )
     );
   } catch (error) {
-    res.status(error.code || 500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message,
     });
@@ -0,0 +1,126 @@
+import { ApiResponse } from "../utils/ApiResponse.js";
+import {
+  requestPasswordResetOtp,
+  resetPasswordWithToken,
+  verifyPasswordResetOtp,
+} from "../utils/passwordReset.utils.js";
+import {
+  authCookieOptions,
+  revokeAuthTokens,
+  rotateRefreshToken,
+} from "../utils/token.utils.js";
+
+// Token refresh, logout and password reset work the same for every kind of user,
+// only the model the user is stored in differs.
+export const createAuthHandlers = (Model) => ({
+  REFRESH_TOKEN: async (req, res) => {
+    const incomingRefreshToken =
+      req.cookies?.refreshToken || req.body?.refreshToken;
+
+    try {
+      const { accessToken, refreshToken } = await rotateRefreshToken(
+        Model,
+        incomingRefreshToken
+      );
+
+      return res
+        .status(200)
+        .cookie("accessToken", accessToken, authCookieOptions)
+        .cookie("refreshToken", refreshToken, authCookieOptions)
+        .json(
+          new ApiResponse(
+            200,
+            { accessToken, refreshToken },
+            "Access token refreshed"
+          )
+        );
+    } catch (error) {
+      res
+        .status(error.statusCode || 500)
+        .clearCookie("accessToken", authCookieOptions)
+        .clearCookie("refreshToken", authCookieOptions)
+        .json({
+          success: false,
+          message: error.message,
+        });
+    }
+  },
+
+  LOGOUT: async (req, res) => {
+    try {
+      await revokeAuthTokens(Model, req.user._id);
+
+      return res
+        .status(200)
+        .clearCookie("accessToken", authCookieOptions)
+        .clearCookie("refreshToken", authCookieOptions)
+        .json(new ApiResponse(200, null, "You are logged out successfully"));
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  },
+
+  FORGOT_PASSWORD: async (req, res) => {
+    const { email } = req.body || {};
+
+    try {
+      await requestPasswordResetOtp(Model, email);
+
+      return res
+        .status(200)
+        .json(
+          new ApiResponse(
+            200,
+            null,
+            "If the email is registered, an OTP has been sent to it"
+          )
+        );
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  },
+
+  VERIFY_PASSWORD_OTP: async (req, res) => {
+    const { email, otp } = req.body || {};
+
+    try {
+      const resetToken = await verifyPasswordResetOtp(Model, email, otp);
+
+      return res
+        .status(200)
+        .json(
+          new ApiResponse(200, { resetToken }, "OTP verified successfully")
+        );
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  },
+
+  RESET_PASSWORD: async (req, res) => {
+    const { email, resetToken, newPassword } = req.body || {};
+
+    try {
+      await resetPasswordWithToken(Model, email, resetToken, newPassword);
+
+      return res
+        .status(200)
+        .clearCookie("accessToken", authCookieOptions)
+        .clearCookie("refreshToken", authCookieOptions)
+        .json(new ApiResponse(200, null, "Password reset successfully"));
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  },
+});
@@ -0,0 +1,187 @@
+import { isValidObjectId } from "mongoose";
+import {
+  CALENDAR_ENTRY_TYPES,
+  CalendarEntry,
+} from "../models/calendarEntry.model.js";
+import { StudentAcademicClass } from "../models/class.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import {
+  eachDay,
+  findCalendarEntries,
+  getNonWorkingDays,
+  startOfDay,
+} from "../utils/calendar.utils.js";
+
+const parseDate = (value, label) => {
+  const date = startOfDay(value);
+  if (!value || Number.isNaN(date.getTime())) {
+    throw new ApiError(400, `A valid ${label} is required`);
+  }
+  return date;
+};
+
+// Adds a holiday, vacation, exam day or half-day. endDate defaults to startDate for a
+// single day, classes left out make it school-wide.
+export const ADD_CALENDAR_ENTRY = async (req, res) => {
+  const {
+    name,
+    type = "holiday",
+    startDate,
+    endDate,
+    classes = [],
+    description,
+  } = req.body;
+
+  try {
+    if (!CALENDAR_ENTRY_TYPES.includes(type)) {
+      throw new ApiError(
+        400,
+        `Type must be one of ${CALENDAR_ENTRY_TYPES.join(", ")}`
+      );
+    }
+    if (!Array.isArray(classes) || !classes.every(isValidObjectId)) {
+      throw new ApiError(400, "Classes must be a list of class ids");
+    }
+    const classCount = await StudentAcademicClass.countDocuments({
+      _id: { $in: classes },
+    });
+    if (classCount !== new Set(classes.map(String)).size) {
+      throw new ApiError(404, "One or more classes not found");
+    }
+
+    const entry = await CalendarEntry.create({
+      name,
+      type,
+      startDate: parseDate(startDate, "start date"),
+      endDate: parseDate(endDate || startDate, "end date"),
+      classes,
+      description,
+      createdBy: req.user._id,
+    });
+
+    return res
+      .status(201)
+      .json(new ApiResponse(201, entry, "Calendar entry added successfully"));
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+const parseRange = (query) => {
+  const year = new Date().getFullYear();
+  const from = query.from
+    ? parseDate(query.from, "from date")
+    : new Date(year, 0, 1);
+  const to = query.to ? parseDate(query.to, "to date") : new Date(year, 11, 31);
+  if (to < from) {
+    throw new ApiError(400, "The to date can't be before the from date");
+  }
+  if (eachDay(from, to).length > 366) {
+    throw new ApiError(400, "Ask for a year at most");
+  }
+  return { from, to };
+};
+
+// Entries from ?from= to ?to=, the current year when left out. ?class=<id> shows
+// what that class sees, ?type= narrows it to one type.
+export const GET_CALENDAR_ENTRIES = async (req, res) => {
+  const { class: classId, type } = req.query;
+
+  try {
+    const { from, to } = parseRange(req.query);
+    if (classId && !isValidObjectId(classId)) {
+      throw new ApiError(400, "Invalid class id");
+    }
+    if (type && !CALENDAR_ENTRY_TYPES.includes(type)) {
+      throw new ApiError(
+        400,
+        `Type must be one of ${CALENDAR_ENTRY_TYPES.join(", ")}`
+      );
+    }
+
+    const entries = await findCalendarEntries(from, to, {
+      classId,
+      allClasses: !classId,
+      types: type ? [type] : undefined,
+    });
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(200, entries, "Calendar entries fetched successfully")
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// working days and days off from ?from= to ?to=, of ?class=<id> or the whole school
+export const GET_WORKING_DAYS = async (req, res) => {
+  const { class: classId } = req.query;
+
+  try {
+    const { from, to } = parseRange(req.query);
+    if (classId && !isValidObjectId(classId)) {
+      throw new ApiError(400, "Invalid class id");
+    }
+
+    const daysOff = await getNonWorkingDays(from, to, classId || null);
+    const days = eachDay(from, to).length;
+
+    return res.status(200).json(
+      new ApiResponse(
+        200,
+        {
+          from,
+          to,
+          days,
+          workingDays: days - daysOff.size,
+          daysOff: [...daysOff].map(([time, dayOff]) => ({
+            date: new Date(time),
+            ...dayOff,
+          })),
+        },
+        "Working days fetched successfully"
+      )
+    );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const DELETE_CALENDAR_ENTRY = async (req, res) => {
+  const { entryId } = req.params;
+
+  try {
+    if (!isValidObjectId(entryId)) {
+      throw new ApiError(400, "Invalid calendar entry id");
+    }
+
+    const entry = await CalendarEntry.findByIdAndDelete(entryId).lean();
+    if (!entry) {
+      throw new ApiError(404, "Calendar entry not found");
+    }
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, entry, "Calendar entry deleted successfully"));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,251 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { AcademicSession } from "../models/academicSession.model.js";
+import {
+  CONCESSION_STATUSES,
+  CONCESSION_TYPES,
+  Concession,
+} from "../models/concession.model.js";
+import { Student } from "../models/student.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { resolveAcademicSession } from "../utils/academicSession.utils.js";
+import { applyConcessions, getFeeStructure } from "../utils/fee.utils.js";
+
+// Requested by the accounts staff, the concession only reduces dues once the principal
+// approves it.
+export const REQUEST_CONCESSION = async (req, res) => {
+  const {
+    student,
+    type,
+    discountType,
+    value,
+    heads = [],
+    startDate,
+    endDate,
+    reason,
+  } = req.body;
+
+  try {
+    if (!isValidObjectId(student)) {
+      throw new ApiError(400, "Invalid student id");
+    }
+    if (!CONCESSION_TYPES.includes(type)) {
+      throw new ApiError(
+        400,
+        `Invalid type. Allowed values: ${CONCESSION_TYPES.join(", ")}`
+      );
+    }
+    if (!["percentage", "fixed"].includes(discountType)) {
+      throw new ApiError(400, "Discount type must be percentage or fixed");
+    }
+    if (
+      typeof value !== "number" ||
+      value <= 0 ||
+      (discountType === "percentage" && value > 100)
+    ) {
+      throw new ApiError(
+        400,
+        "Value must be above zero, and at most 100 for a percentage"
+      );
+    }
+    if (!Array.isArray(heads)) {
+      throw new ApiError(400, "Heads must be a list of fee head names");
+    }
+
+    const studentExists =
+      await Student.findById(student).select("studentClass");
+    if (!studentExists) {
+      throw new ApiError(404, "Student not found");
+    }
+
+    const academicSession = await resolveAcademicSession(req);
+
+    // heads must exist in the class's fee structure, when it has one
+    const feeStructure = await getFeeStructure(
+      studentExists.studentClass,
+      academicSession._id
+    );
+    if (feeStructure && heads.length > 0) {
+      const headNames = feeStructure.heads.map((head) =>
+        head.name.toLowerCase()
+      );
+      const unknownHeads = heads.filter(
+        (head) => !headNames.includes(String(head).toLowerCase())
+      );
+      if (unknownHeads.length > 0) {
+        throw new ApiError(
+          400,
+          `Fee heads not in the class's fee structure: ${unknownHeads.join(", ")}`
+        );
+      }
+    }
+
+    const concession = await Concession.create({
+      student,
+      academicSession: academicSession._id,
+      type,
+      discountType,
+      value,
+      heads,
+      startDate: startDate || academicSession.startDate,
+      endDate: endDate || academicSession.endDate,
+      reason,
+      requestedBy: req.user._id,
+      requestedByRole: req.role,
+    });
+
+    return res
+      .status(201)
+      .json(
+        new ApiResponse(201, concession, "Concession requested successfully")
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// concessions of the session, ?student= and ?status= narrow it down
+export const GET_CONCESSIONS = async (req, res) => {
+  const { student, status } = req.query;
+
+  try {
+    const academicSession = await resolveAcademicSession(req);
+
+    const filter = { academicSession: academicSession._id };
+    if (student) {
+      if (!isValidObjectId(student)) {
+        throw new ApiError(400, "Invalid student id");
+      }
+      filter.student = student;
+    }
+    if (status) {
+      if (!CONCESSION_STATUSES.includes(status)) {
+        throw new ApiError(
+          400,
+          `Invalid status. Allowed values: ${CONCESSION_STATUSES.join(", ")}`
+        );
+      }
+      filter.status = status;
+    }
+
+    const concessions = await Concession.find(filter)
+      .populate("student", "name")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { concessions, count: concessions.length },
+          "Concessions fetched successfully"
+        )
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// moves a concession from one of fromStatuses to status and recalculates the student's dues
+const reviewConcession = async (req, fromStatuses, status) => {
+  const { concessionId } = req.params;
+  const { note } = req.body;
+
+  if (!isValidObjectId(concessionId)) {
+    throw new ApiError(400, "Invalid concession id");
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const concession = await Concession.findById(concessionId).session(session);
+    if (!concession) {
+      throw new ApiError(404, "Concession not found");
+    }
+    if (!fromStatuses.includes(concession.status)) {
+      throw new ApiError(400, `Concession is already ${concession.status}`);
+    }
+
+    concession.status = status;
+    concession.reviewedBy = req.user._id;
+    concession.reviewedAt = new Date();
+    concession.reviewNote = note;
+    await concession.save({ session });
+
+    const academicSession = await AcademicSession.findById(
+      concession.academicSession
+    ).session(session);
+    await applyConcessions(concession.student, academicSession, {}, session);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return concession;
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    session.endSession();
+    throw error;
+  }
+};
+
+export const APPROVE_CONCESSION = async (req, res) => {
+  try {
+    const concession = await reviewConcession(req, ["pending"], "approved");
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(200, concession, "Concession approved successfully")
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const REJECT_CONCESSION = async (req, res) => {
+  try {
+    const concession = await reviewConcession(req, ["pending"], "rejected");
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(200, concession, "Concession rejected successfully")
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// months already paid keep the concession they were paid with
+export const REVOKE_CONCESSION = async (req, res) => {
+  try {
+    const concession = await reviewConcession(req, ["approved"], "revoked");
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(200, concession, "Concession revoked successfully")
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -2,6 +2,7 @@ import mongoose from "mongoose";
 import { Event } from "../models/events.model.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
+import { findCalendarEntries, startOfDay } from "../utils/calendar.utils.js";
 
 export const CREATE_EVENT = async (req, res) => {
   const { title, content, eventDate, venue, audience } = req.body;
@@ -108,11 +109,20 @@ export const GET_ALL_EVENTS = async (req, res) => {
     const totalEvents = await Event.countDocuments();
     const totalPages = Math.ceil(totalEvents / limit);
 
+    // holidays, vacations, exams and half-days of the coming month alongside
+    const calendarFrom = startOfDay(new Date());
+    const calendarTo = new Date(calendarFrom);
+    calendarTo.setDate(calendarTo.getDate() + 30);
+    const calendar = await findCalendarEntries(calendarFrom, calendarTo, {
+      allClasses: true,
+    });
+
     return res.status(200).json(
       new ApiResponse(
         200,
         {
           events,
+          calendar,
           pagination: {
             currentPage: page,
             totalPages,
@@ -0,0 +1,249 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { StudentAcademicClass } from "../models/class.model.js";
+import { Student } from "../models/student.model.js";
+import { AcademicSession } from "../models/academicSession.model.js";
+import { FEE_FREQUENCIES, FeeStructure } from "../models/feeStructure.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import {
+  MONTHS,
+  buildFeeSchedule,
+  generateClassDues,
+  getFeeStructure,
+  normalizeMonth,
+} from "../utils/fee.utils.js";
+
+// the class together with the academic session it belongs to
+const findClassWithSession = async (classId, session = null) => {
+  if (!isValidObjectId(classId)) {
+    throw new ApiError(400, "Invalid class id");
+  }
+
+  const studentClass =
+    await StudentAcademicClass.findById(classId).session(session);
+  if (!studentClass) {
+    throw new ApiError(404, "Class not found");
+  }
+
+  const academicSession = await AcademicSession.findById(
+    studentClass.academicSession
+  ).session(session);
+  if (!academicSession) {
+    throw new ApiError(400, "Class does not belong to an academic session");
+  }
+
+  return { studentClass, academicSession };
+};
+
+const validateHeads = (heads) => {
+  if (!Array.isArray(heads) || heads.length === 0) {
+    throw new ApiError(400, "At least one fee head is required");
+  }
+
+  for (const head of heads) {
+    if (!head?.name || typeof head.amount !== "number") {
+      throw new ApiError(400, "Every fee head needs a name and an amount");
+    }
+
+    if (head.frequency && !FEE_FREQUENCIES.includes(head.frequency)) {
+      throw new ApiError(
+        400,
+        `Invalid frequency of ${head.name}. Allowed values: ${FEE_FREQUENCIES.join(", ")}`
+      );
+    }
+
+    const unknownMonths = (head.dueMonths || []).filter(
+      (month) => !MONTHS.includes(normalizeMonth(month))
+    );
+    if (unknownMonths.length > 0) {
+      throw new ApiError(
+        400,
+        `Invalid due months of ${head.name}: ${unknownMonths.join(", ")}`
+      );
+    }
+  }
+};
+
+// replaces the fee heads of a class, dues generated earlier keep their amounts
+export const SET_FEE_STRUCTURE = async (req, res) => {
+  const { classId } = req.params;
+  const { heads } = req.body;
+
+  try {
+    validateHeads(heads);
+    const { studentClass, academicSession } =
+      await findClassWithSession(classId);
+
+    const feeStructure =
+      (await getFeeStructure(studentClass._id, academicSession._id)) ||
+      new FeeStructure({
+        class: studentClass._id,
+        academicSession: academicSession._id,
+      });
+    feeStructure.heads = heads.map((head) => ({
+      ...head,
+      dueMonths: (head.dueMonths || []).map(normalizeMonth),
+    }));
+    await feeStructure.save();
+
+    // the flat class fee stays in sync for screens that still read it
+    studentClass.fee = heads
+      .filter((head) => (head.frequency || "monthly") === "monthly")
+      .reduce((total, head) => total + head.amount, 0);
+    await studentClass.save();
+
+    return res.status(200).json(
+      new ApiResponse(
+        200,
+        {
+          feeStructure,
+          schedule: buildFeeSchedule(feeStructure, academicSession),
+        },
+        "Fee structure saved successfully"
+      )
+    );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// ?newAdmission=true includes the one-time heads in the schedule
+export const GET_FEE_STRUCTURE = async (req, res) => {
+  const { classId } = req.params;
+
+  try {
+    const { studentClass, academicSession } =
+      await findClassWithSession(classId);
+
+    const feeStructure = await getFeeStructure(
+      studentClass._id,
+      academicSession._id
+    );
+    if (!feeStructure) {
+      throw new ApiError(404, "Fee structure not set for this class");
+    }
+
+    const schedule = buildFeeSchedule(feeStructure, academicSession, {
+      includeOneTime: req.query.newAdmission === "true",
+    });
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { feeStructure, schedule },
+          "Fee structure fetched successfully"
+        )
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// creates the missing monthly dues of every active student in the class
+export const GENERATE_CLASS_DUES = async (req, res) => {
+  const { classId } = req.params;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { studentClass, academicSession } = await findClassWithSession(
+      classId,
+      session
+    );
+
+    const feeStructure = await getFeeStructure(
+      studentClass._id,
+      academicSession._id,
+      session
+    );
+    if (!feeStructure) {
+      throw new ApiError(404, "Fee structure not set for this class");
+    }
+
+    const students = await Student.find({
+      studentClass: studentClass._id,
+      status: { $ne: "alumni" },
+    })
+      .select("academicHistory")
+      .session(session);
+
+    const duesCreated = await generateClassDues(
+      students,
+      feeStructure,
+      academicSession,
+      session
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { students: students.length, duesCreated },
+          "Student dues generated successfully"
+        )
+      );
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    session.endSession();
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// { type: "flat" | "per-day", amount, cap, graceDays }, used by the late fine job
+export const SET_LATE_FINE_RULE = async (req, res) => {
+  const { classId } = req.params;
+  const { type, amount, cap, graceDays = 0 } = req.body;
+
+  try {
+    if (!["flat", "per-day"].includes(type)) {
+      throw new ApiError(400, "Rule type must be flat or per-day");
+    }
+    if (typeof amount !== "number" || amount <= 0) {
+      throw new ApiError(400, "Fine amount must be a number greater than zero");
+    }
+    if (cap !== undefined && (typeof cap !== "number" || cap < amount)) {
+      throw new ApiError(400, "Cap must be a number not below the amount");
+    }
+
+    const { studentClass } = await findClassWithSession(classId);
+
+    studentClass.lateFineRule = { type, amount, cap, graceDays };
+    // the flat amount stays in sync for screens that still read it
+    if (type === "flat") studentClass.lateFineAmount = amount;
+    await studentClass.save();
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          studentClass.lateFineRule,
+          "Late fine rule saved successfully"
+        )
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,461 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { Guardian } from "../models/guardian.model.js";
+import { Student } from "../models/student.model.js";
+import { Mark } from "../models/mark.model.js";
+import { StudentAttendance } from "../models/studentAttendance.model.js";
+import { FeePayment } from "../models/feepayment.model.js";
+import { Announcement } from "../models/announcement.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { areValidMongoIds } from "../constants.js";
+import { authCookieOptions, issueAuthTokens } from "../utils/token.utils.js";
+import { createAuthHandlers } from "./auth.controller.js";
+import { resolveAcademicSession } from "../utils/academicSession.utils.js";
+
+// guardians only ever see the students linked to their account
+const ensureLinkedChild = (req, studentId) => {
+  if (!isValidObjectId(studentId)) {
+    throw new ApiError(400, "Invalid student id");
+  }
+
+  const isLinked = req.user.children?.some(
+    (childId) => childId.toString() === studentId
+  );
+  if (!isLinked) {
+    throw new ApiError(403, "This student is not linked to your account");
+  }
+};
+
+const validateChildren = async (children, session = null) => {
+  if (!areValidMongoIds(children) || children.length === 0) {
+    throw new ApiError(400, "Provide a list of valid student ids");
+  }
+
+  const studentCount = await Student.countDocuments({
+    _id: { $in: children },
+  }).session(session);
+  if (studentCount !== new Set(children).size) {
+    throw new ApiError(400, "One or more students do not exist");
+  }
+};
+
+export const REGISTER_GUARDIAN = async (req, res) => {
+  const {
+    name,
+    email,
+    phoneNumber,
+    password,
+    relation,
+    children = [],
+  } = req.body;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const existingGuardian = await Guardian.findOne({
+      $or: [{ email }, { phoneNumber }],
+    }).session(session);
+    if (existingGuardian) {
+      throw new ApiError(
+        400,
+        "Guardian already exists, link the student to the existing account instead"
+      );
+    }
+
+    await validateChildren(children, session);
+
+    const newGuardian = await Guardian.create(
+      [
+        {
+          name,
+          email,
+          phoneNumber,
+          password,
+          relation,
+          children: [...new Set(children)],
+        },
+      ],
+      { session }
+    );
+
+    const createdGuardian = await Guardian.findById(newGuardian[0]._id)
+      .populate("children", "name studentClass rollNumber")
+      .select("-password")
+      .session(session);
+    if (!createdGuardian) {
+      throw new ApiError(500, "Uh oh! Guardian registration failed");
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return res
+      .status(201)
+      .json(
+        new ApiResponse(
+          201,
+          createdGuardian,
+          "Guardian registered successfully"
+        )
+      );
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    session.endSession();
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const LOGIN_GUARDIAN = async (req, res) => {
+  const { email = "", password = "" } = req.body;
+
+  try {
+    if ([email, password].some((field) => field.trim() === ""))
+      throw new ApiError(400, "All fields are required");
+
+    const guardian = await Guardian.findOne({
+      email: email.trim().toLowerCase(),
+    });
+    if (!guardian) {
+      throw new ApiError(404, "Guardian not found");
+    }
+
+    const isPasswordValid = await guardian.comparePassword(password);
+    if (!isPasswordValid) {
+      throw new ApiError(401, "Invalid credentials");
+    }
+
+    const { accessToken, refreshToken } = await issueAuthTokens(guardian);
+
+    // Don't send password to front-end
+    const loggedInGuardian = await Guardian.findById(guardian._id)
+      .populate("children", "name studentClass rollNumber")
+      .select("-password");
+
+    return res
+      .status(200)
+      .cookie("accessToken", accessToken, authCookieOptions)
+      .cookie("refreshToken", refreshToken, authCookieOptions)
+      .json(
+        new ApiResponse(
+          200,
+          { user: loggedInGuardian, accessToken },
+          "You are logged in successfully!"
+        )
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const {
+  REFRESH_TOKEN,
+  LOGOUT,
+  FORGOT_PASSWORD,
+  VERIFY_PASSWORD_OTP,
+  RESET_PASSWORD,
+} = createAuthHandlers(Guardian);
+
+// principal links more children (e.g. a younger sibling) to an existing guardian
+export const LINK_CHILDREN = async (req, res) => {
+  const { guardianId } = req.params;
+  const { children = [] } = req.body;
+
+  try {
+    if (!isValidObjectId(guardianId)) {
+      throw new ApiError(400, "Invalid guardian id");
+    }
+
+    await validateChildren(children);
+
+    const updatedGuardian = await Guardian.findByIdAndUpdate(
+      guardianId,
+      { $addToSet: { children: { $each: children } } },
+      { new: true }
+    )
+      .populate("children", "name studentClass rollNumber")
+      .select("-password");
+    if (!updatedGuardian) {
+      throw new ApiError(404, "Guardian not found");
+    }
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(200, updatedGuardian, "Children linked successfully")
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const UNLINK_CHILD = async (req, res) => {
+  const { guardianId, studentId } = req.params;
+
+  try {
+    if (!isValidObjectId(guardianId) || !isValidObjectId(studentId)) {
+      throw new ApiError(400, "Invalid guardian or student id");
+    }
+
+    const updatedGuardian = await Guardian.findByIdAndUpdate(
+      guardianId,
+      { $pull: { children: studentId } },
+      { new: true }
+    )
+      .populate("children", "name studentClass rollNumber")
+      .select("-password");
+    if (!updatedGuardian) {
+      throw new ApiError(404, "Guardian not found");
+    }
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(200, updatedGuardian, "Child unlinked successfully")
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const GET_ALL_GUARDIANS = async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = 10;
+  const skip = (page - 1) * limit;
+
+  try {
+    const guardians = await Guardian.find()
+      .populate("children", "name studentClass rollNumber")
+      .select("-password")
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const totalGuardians = await Guardian.countDocuments();
+    const totalPages = Math.ceil(totalGuardians / limit);
+
+    return res.status(200).json(
+      new ApiResponse(
+        200,
+        {
+          guardians,
+          pagination: {
+            currentPage: page,
+            totalPages,
+            totalItems: totalGuardians,
+          },
+        },
+        "Guardians fetched successfully"
+      )
+    );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+//* read-only views for the logged in guardian
+export const GET_MY_CHILDREN = async (req, res) => {
+  try {
+    const children = await Student.find({ _id: { $in: req.user.children } })
+      .populate({
+        path: "studentClass",
+        select: "className section classTeacher",
+        populate: {
+          path: "classTeacher",
+          select: "name email",
+        },
+      })
+      .select("-password -refreshToken")
+      .lean();
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, children, "Children fetched successfully"));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const GET_CHILD_MARKS = async (req, res) => {
+  const { studentId } = req.params;
+  const { examId } = req.query;
+
+  try {
+    ensureLinkedChild(req, studentId);
+
+    const academicSession = await resolveAcademicSession(req);
+
+    const filter = {
+      student: studentId,
+      academicSession: academicSession._id,
+    };
+    if (examId) filter.exam = examId;
+
+    const marks = await Mark.find(filter)
+      .populate("subject", "name")
+      .populate("exam", "name date")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, marks, "Marks fetched successfully"));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const GET_CHILD_ATTENDANCE = async (req, res) => {
+  const { studentId } = req.params;
+  const { startDate, endDate } = req.query;
+
+  try {
+    ensureLinkedChild(req, studentId);
+
+    const academicSession = await resolveAcademicSession(req);
+
+    const filter = {
+      academicSession: academicSession._id,
+      "students.student": studentId,
+    };
+    if (startDate && endDate) {
+      filter.date = { $gte: new Date(startDate), $lte: new Date(endDate) };
+    }
+
+    const attendanceHistory = await StudentAttendance.find(filter)
+      .populate("class", "className section")
+      .select("date class students.$")
+      .sort({ date: 1 });
+
+    const formattedHistory = attendanceHistory.map((record) => ({
+      date: record.date,
+      class: record.class,
+      status: record.students[0]?.status,
+    }));
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          formattedHistory,
+          "Attendance history fetched successfully"
+        )
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const GET_CHILD_FEE_HISTORY = async (req, res) => {
+  const { studentId } = req.params;
+  const { month } = req.query;
+
+  try {
+    ensureLinkedChild(req, studentId);
+
+    const academicSession = await resolveAcademicSession(req);
+
+    const filter = {
+      student: studentId,
+      academicSession: academicSession._id,
+    };
+    if (month) filter.month = month;
+
+    const feePayments = await FeePayment.find(filter).sort({ createdAt: 1 });
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          feePayments,
+          "Fee payment history fetched successfully."
+        )
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// guardians see what is announced to students and to everyone
+export const GET_GUARDIAN_ANNOUNCEMENTS = async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = 10;
+  const skip = (page - 1) * limit;
+
+  try {
+    const filter = { audience: { $in: ["students", "everyone"] } };
+
+    const announcements = await Announcement.find(filter)
+      .populate({
+        path: "createdByTeacher",
+        select: "name role classTeacher",
+        populate: {
+          path: "classTeacher",
+          select: "className section",
+        },
+      })
+      .populate({
+        path: "createdByPrincipal",
+        select: "name role",
+      })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalAnnouncement = await Announcement.countDocuments(filter);
+    const totalPages = Math.ceil(totalAnnouncement / limit);
+
+    return res.status(200).json(
+      new ApiResponse(
+        200,
+        {
+          announcements,
+          pagination: {
+            currentPage: page,
+            totalPages,
+            totalItems: totalAnnouncement,
+          },
+        },
+        "Announcements fetched successfully"
+      )
+    );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,95 @@
+import { isValidObjectId } from "mongoose";
+import { runLateFineJob } from "../jobs/lateFine.job.js";
+import { LateFineRun } from "../models/lateFineRun.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+
+// runs the late fine job now, dryRun lists the fines without applying them
+export const RUN_LATE_FINE_JOB = async (req, res) => {
+  const { dryRun = false } = req.body;
+
+  try {
+    if (typeof dryRun !== "boolean") {
+      throw new ApiError(400, "dryRun must be true or false");
+    }
+
+    const run = await runLateFineJob({
+      trigger: "manual",
+      triggeredBy: req.user._id,
+      dryRun,
+    });
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          run,
+          dryRun ? "Late fine preview generated" : "Late fine run completed"
+        )
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const GET_LATE_FINE_RUNS = async (req, res) => {
+  const page = Math.max(Number(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+
+  try {
+    const [runs, total] = await Promise.all([
+      LateFineRun.find()
+        .select("-entries")
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      LateFineRun.countDocuments(),
+    ]);
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { runs, total, page, limit },
+          "Late fine runs fetched successfully"
+        )
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const GET_LATE_FINE_RUN_BY_ID = async (req, res) => {
+  const { runId } = req.params;
+
+  try {
+    if (!isValidObjectId(runId)) {
+      throw new ApiError(400, "Invalid run id");
+    }
+
+    const run = await LateFineRun.findById(runId)
+      .populate("entries.student", "name")
+      .lean();
+    if (!run) {
+      throw new ApiError(404, "Late fine run not found");
+    }
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, run, "Late fine run fetched successfully"));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,172 @@
+import { isValidObjectId } from "mongoose";
+import { LeaveBalance } from "../models/leaveBalance.model.js";
+import { LeaveType } from "../models/leaveType.model.js";
+import { Teacher } from "../models/teacher.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import {
+  getCurrentAcademicSession,
+  resolveAcademicSession,
+} from "../utils/academicSession.utils.js";
+import { getLeaveBalance, getLeaveTypes } from "../utils/leave.utils.js";
+
+const LEAVE_TYPE_FIELDS = [
+  "name",
+  "annualQuota",
+  "carryForward",
+  "maxCarryForward",
+  "paid",
+  "isActive",
+];
+
+const pickLeaveTypeFields = (body) =>
+  Object.fromEntries(
+    LEAVE_TYPE_FIELDS.filter((field) => body[field] !== undefined).map(
+      (field) => [field, body[field]]
+    )
+  );
+
+// ?all=true includes the types switched off
+export const GET_LEAVE_TYPES = async (req, res) => {
+  try {
+    const leaveTypes = await getLeaveTypes({
+      activeOnly: req.query.all !== "true",
+    });
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(200, leaveTypes, "Leave types fetched successfully")
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const CREATE_LEAVE_TYPE = async (req, res) => {
+  const { code } = req.body;
+
+  try {
+    // seeds the defaults first so they don't land on top of this one
+    await getLeaveTypes();
+
+    const leaveType = await LeaveType.create({
+      code,
+      ...pickLeaveTypeFields(req.body),
+    });
+
+    return res
+      .status(201)
+      .json(new ApiResponse(201, leaveType, "Leave type created successfully"));
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "A leave type with this code already exists",
+      });
+    }
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// A new quota also applies to the balances of the current session, past sessions
+// keep what they had. The code can't change, leave requests refer to it.
+export const UPDATE_LEAVE_TYPE = async (req, res) => {
+  const { typeId } = req.params;
+
+  try {
+    if (!isValidObjectId(typeId)) {
+      throw new ApiError(400, "Invalid leave type id");
+    }
+
+    const leaveType = await LeaveType.findByIdAndUpdate(
+      typeId,
+      { $set: pickLeaveTypeFields(req.body) },
+      { new: true, runValidators: true }
+    );
+    if (!leaveType) {
+      throw new ApiError(404, "Leave type not found");
+    }
+
+    if (req.body.annualQuota !== undefined) {
+      const currentSession = await getCurrentAcademicSession();
+      await LeaveBalance.updateMany(
+        { leaveType: leaveType._id, academicSession: currentSession._id },
+        { $set: { quota: leaveType.annualQuota } }
+      );
+    }
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, leaveType, "Leave type updated successfully"));
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// the teacher's balance of every leave type in the session, ?academicSession=<id>
+export const GET_TEACHER_LEAVE_BALANCES = async (req, res) => {
+  const { teacherId } = req.params;
+
+  try {
+    if (!isValidObjectId(teacherId)) {
+      throw new ApiError(400, "Invalid teacher id");
+    }
+    if (!(await Teacher.exists({ _id: teacherId }))) {
+      throw new ApiError(404, "Teacher not found");
+    }
+
+    const academicSession = await resolveAcademicSession(req);
+    const leaveTypes = await getLeaveTypes();
+    const balances = [];
+    for (const leaveType of leaveTypes) {
+      const balance = await getLeaveBalance(
+        teacherId,
+        leaveType,
+        academicSession
+      );
+      balances.push({
+        leaveType: {
+          _id: leaveType._id,
+          code: leaveType.code,
+          name: leaveType.name,
+          paid: leaveType.paid,
+        },
+        quota: balance.quota,
+        carriedForward: balance.carriedForward,
+        used: balance.used,
+        remaining: balance.remaining,
+      });
+    }
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { academicSession: academicSession._id, balances },
+          "Leave balances fetched successfully"
+        )
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -2,7 +2,10 @@ import mongoose, { Types } from "mongoose";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { Mark } from "../models/mark.model.js";
+import { Student } from "../models/student.model.js";
 import { Subject } from "../models/subject.model.js";
+import { Exam } from "../models/exam.model.js";
+import { resolveAcademicSession } from "../utils/academicSession.utils.js";
 
 export const ADD_MARKS = async (req, res) => {
   const { student, exam, studentClass, marks } = req.body; // marks is an array of { subject, marksObtained, maxMarks }
@@ -15,6 +18,22 @@ export const ADD_MARKS = async (req, res) => {
       return res.status(400).json({ message: "Invalid input data" });
     }
 
+    const studentExists = await Student.findById(student)
+      .select("studentClass")
+      .lean();
+    if (!studentExists) {
+      throw new ApiError(400, `Invalid student ID: ${student}`);
+    }
+    if (String(studentExists.studentClass) !== String(studentClass)) {
+      throw new ApiError(400, "The student is not in this class");
+    }
+
+    // marks belong to the academic session of their exam
+    const examExists = await Exam.findById(exam);
+    if (!examExists) {
+      throw new ApiError(400, `Invalid exam ID: ${exam}`);
+    }
+
     // Array to store the created mark entries in the database
     const createdMarks = [];
 
@@ -45,6 +64,7 @@ export const ADD_MARKS = async (req, res) => {
         class: studentClass,
         marksObtained,
         maxMarks,
+        academicSession: examExists.academicSession,
       });
 
       await newMark.save({ session });
@@ -65,7 +85,7 @@ export const ADD_MARKS = async (req, res) => {
     }
     session.endSession();
 
-    res.status(error.code || 500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message,
     });
@@ -162,6 +182,10 @@ export const DELETE_MARKS_BY_STUDENT_AND_SUBJECT = async (req, res) => {
     const query = { student: studentId, subject: subjectId };
     if (examId) {
       query.exam = examId;
+    } else {
+      // without an exam only the marks of the active session are touched
+      const academicSession = await resolveAcademicSession(req);
+      query.academicSession = academicSession._id;
     }
 
     const deletedMark = await Mark.findOneAndDelete(query);
@@ -174,7 +198,7 @@ export const DELETE_MARKS_BY_STUDENT_AND_SUBJECT = async (req, res) => {
       .status(200)
       .json(new ApiResponse(200, deletedMark, "Marks deleted successfully!"));
   } catch (error) {
-    res.status(error.code || 500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message,
     });
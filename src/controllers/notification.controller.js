@@ -0,0 +1,235 @@
+import { isValidObjectId } from "mongoose";
+import { runFeeReminderJob } from "../jobs/feeReminder.job.js";
+import {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_STATUSES,
+  NotificationLog,
+} from "../models/notificationLog.model.js";
+import { NotificationTemplate } from "../models/notificationTemplate.model.js";
+import { Student } from "../models/student.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { DEFAULT_TEMPLATES, getTemplate } from "../utils/notification.utils.js";
+
+export const GET_NOTIFICATION_TEMPLATES = async (req, res) => {
+  try {
+    const templates = await Promise.all(
+      Object.keys(DEFAULT_TEMPLATES).map((key) => getTemplate(key))
+    );
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          templates,
+          "Notification templates fetched successfully"
+        )
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// saves the school's wording of a template, placeholders are written as {{name}}
+export const UPDATE_NOTIFICATION_TEMPLATE = async (req, res) => {
+  const { key } = req.params;
+  const { subject, body = "" } = req.body;
+
+  try {
+    if (!DEFAULT_TEMPLATES[key]) {
+      throw new ApiError(404, `Unknown notification template: ${key}`);
+    }
+    if (body.trim() === "") {
+      throw new ApiError(400, "Template body is required");
+    }
+
+    await NotificationTemplate.findOneAndUpdate(
+      { key },
+      {
+        $set: {
+          subject: subject ?? DEFAULT_TEMPLATES[key].subject,
+          body: body.trim(),
+          updatedBy: req.user._id,
+        },
+      },
+      { upsert: true, runValidators: true }
+    );
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          await getTemplate(key),
+          "Notification template updated successfully"
+        )
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// back to the built-in wording
+export const RESET_NOTIFICATION_TEMPLATE = async (req, res) => {
+  const { key } = req.params;
+
+  try {
+    if (!DEFAULT_TEMPLATES[key]) {
+      throw new ApiError(404, `Unknown notification template: ${key}`);
+    }
+    await NotificationTemplate.deleteOne({ key });
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          await getTemplate(key),
+          "Notification template reset successfully"
+        )
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// channels lists every channel the student is opted out of, [] opts back in
+export const SET_NOTIFICATION_OPT_OUT = async (req, res) => {
+  const { studentId } = req.params;
+  const { channels } = req.body;
+
+  try {
+    if (!isValidObjectId(studentId)) {
+      throw new ApiError(400, "Invalid student id");
+    }
+    if (
+      !Array.isArray(channels) ||
+      channels.some((channel) => !NOTIFICATION_CHANNELS.includes(channel))
+    ) {
+      throw new ApiError(
+        400,
+        `Channels must be a list of: ${NOTIFICATION_CHANNELS.join(", ")}`
+      );
+    }
+
+    const student = await Student.findByIdAndUpdate(
+      studentId,
+      { $set: { notificationOptOut: [...new Set(channels)] } },
+      { new: true }
+    )
+      .select("name notificationOptOut")
+      .lean();
+    if (!student) {
+      throw new ApiError(404, "Student not found");
+    }
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          student,
+          "Notification preferences updated successfully"
+        )
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// sends today's fee reminders now, dryRun lists them without sending
+export const RUN_FEE_REMINDERS = async (req, res) => {
+  const { dryRun = false } = req.body;
+
+  try {
+    const result = await runFeeReminderJob({ dryRun });
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          result,
+          dryRun ? "Fee reminder preview generated" : "Fee reminders sent"
+        )
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// the delivery log, ?student=, ?channel= and ?status= narrow it down
+export const GET_NOTIFICATION_LOGS = async (req, res) => {
+  const { student, channel, status } = req.query;
+  const page = Math.max(Number(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+
+  try {
+    const filter = {};
+    if (student) {
+      if (!isValidObjectId(student)) {
+        throw new ApiError(400, "Invalid student id");
+      }
+      filter.student = student;
+    }
+    if (channel) {
+      if (!NOTIFICATION_CHANNELS.includes(channel)) {
+        throw new ApiError(
+          400,
+          `Invalid channel. Allowed values: ${NOTIFICATION_CHANNELS.join(", ")}`
+        );
+      }
+      filter.channel = channel;
+    }
+    if (status) {
+      if (!NOTIFICATION_STATUSES.includes(status)) {
+        throw new ApiError(
+          400,
+          `Invalid status. Allowed values: ${NOTIFICATION_STATUSES.join(", ")}`
+        );
+      }
+      filter.status = status;
+    }
+
+    const [logs, total] = await Promise.all([
+      NotificationLog.find(filter)
+        .populate("student", "name rollNumber")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      NotificationLog.countDocuments(filter),
+    ]);
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { logs, total, page, limit },
+          "Notification logs fetched successfully"
+        )
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
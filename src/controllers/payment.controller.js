@@ -0,0 +1,259 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { StudentAcademicClass } from "../models/class.model.js";
+import {
+  PAYMENT_ORDER_STATUSES,
+  PaymentOrder,
+} from "../models/paymentOrder.model.js";
+import { Student } from "../models/student.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { resolveAcademicSession } from "../utils/academicSession.utils.js";
+import { roundAmount } from "../utils/fee.utils.js";
+import {
+  getMonthsOutstanding,
+  parseFeeMonths,
+} from "../utils/feePayment.utils.js";
+import { getPaymentProvider } from "../utils/paymentGateway.utils.js";
+import { applyPaymentWebhook } from "../utils/paymentOrder.utils.js";
+import { hasPermissions, PERMISSIONS } from "../utils/permissions.utils.js";
+
+// students pay their own fees, guardians those of their linked children, staff anyone's
+const ensureCanPayFor = async (req, studentId) => {
+  if (req.role === "student") {
+    if (req.user._id.toString() !== studentId) {
+      throw new ApiError(403, "You can only pay your own fees");
+    }
+    return;
+  }
+  if (req.role === "guardian") {
+    const isLinked = req.user.children?.some(
+      (childId) => childId.toString() === studentId
+    );
+    if (!isLinked) {
+      throw new ApiError(403, "This student is not linked to your account");
+    }
+    return;
+  }
+  if (!(await hasPermissions(req.role, [PERMISSIONS.FEES_WRITE]))) {
+    throw new ApiError(403, "Access denied, missing permission: fees:write");
+  }
+};
+
+// Starts an online payment of the months with the payment provider. Without amount
+// the outstanding of the months is charged, the months are paid once the provider's
+// webhook confirms the payment.
+export const CREATE_PAYMENT_ORDER = async (req, res) => {
+  const { student, months, amount } = req.body;
+
+  try {
+    const provider = getPaymentProvider();
+    if (!isValidObjectId(student)) {
+      throw new ApiError(400, "Invalid student id");
+    }
+    await ensureCanPayFor(req, student);
+
+    const studentExists = await Student.findById(student);
+    if (!studentExists) {
+      throw new ApiError(404, "Student not found");
+    }
+    const studentClass = await StudentAcademicClass.findById(
+      studentExists.studentClass
+    );
+    if (!studentClass) {
+      throw new ApiError(404, "Student class not found");
+    }
+    const academicSession = await resolveAcademicSession(req);
+
+    const monthNames = parseFeeMonths(months);
+    const outstanding = await getMonthsOutstanding(
+      studentExists,
+      studentClass,
+      academicSession,
+      monthNames
+    );
+    if (outstanding === 0) {
+      throw new ApiError(400, "The selected months are already paid");
+    }
+    if (amount !== undefined && !(typeof amount === "number" && amount > 0)) {
+      throw new ApiError(400, "Amount must be a number greater than zero");
+    }
+    const orderAmount = roundAmount(amount ?? outstanding);
+    if (orderAmount > outstanding) {
+      throw new ApiError(
+        400,
+        `Amount exceeds the outstanding ${outstanding} of the selected months`
+      );
+    }
+
+    const orderId = new mongoose.Types.ObjectId();
+    const { providerOrderId, checkout } = await provider.createOrder({
+      orderId: orderId.toString(),
+      amount: orderAmount,
+      currency: "INR",
+    });
+
+    const order = await PaymentOrder.create({
+      _id: orderId,
+      student: studentExists._id,
+      academicSession: academicSession._id,
+      months: monthNames,
+      amount: orderAmount,
+      provider: provider.name,
+      providerOrderId,
+      createdBy: req.user._id,
+      creatorRole: req.role,
+    });
+
+    return res
+      .status(201)
+      .json(
+        new ApiResponse(
+          201,
+          { order, checkout },
+          "Payment order created successfully"
+        )
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Called by the payment provider, not by users. Only deliveries signed with the
+// webhook secret are processed; anything but a 2xx makes the provider retry.
+export const HANDLE_PAYMENT_WEBHOOK = async (req, res) => {
+  try {
+    const provider = getPaymentProvider(req.params.provider);
+    if (!provider.verifyWebhook(req.rawBody, req.headers)) {
+      throw new ApiError(401, "Invalid webhook signature");
+    }
+
+    const { order, duplicate } = await applyPaymentWebhook(
+      provider,
+      provider.parseWebhook(req.body)
+    );
+
+    return res.status(200).json(
+      new ApiResponse(
+        200,
+        {
+          orderId: order._id,
+          status: order.status,
+          needsReview: order.needsReview,
+          duplicate,
+        },
+        duplicate ? "Webhook already processed" : "Webhook processed"
+      )
+    );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// the order's creator polls it after checkout, fee staff can look at any order
+export const GET_PAYMENT_ORDER_BY_ID = async (req, res) => {
+  const { orderId } = req.params;
+
+  try {
+    if (!isValidObjectId(orderId)) {
+      throw new ApiError(400, "Invalid order id");
+    }
+
+    const order = await PaymentOrder.findById(orderId)
+      .populate("receipt", "receiptNumber amount issuedAt")
+      .lean();
+    if (!order) {
+      throw new ApiError(404, "Payment order not found");
+    }
+    if (
+      order.createdBy.toString() !== req.user._id.toString() &&
+      !(await hasPermissions(req.role, [PERMISSIONS.FEES_READ]))
+    ) {
+      throw new ApiError(403, "Access denied, this is not your order");
+    }
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, order, "Payment order fetched successfully"));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Orders that never completed: still open after ?olderThan= minutes (30 by default),
+// failed at the provider, or held for review, paid ones flagged for review included.
+// ?status= narrows it down.
+export const GET_PAYMENT_RECONCILIATION = async (req, res) => {
+  const olderThan = Math.max(Number(req.query.olderThan) || 30, 0);
+  const { status } = req.query;
+
+  try {
+    const openStatuses = PAYMENT_ORDER_STATUSES.filter(
+      (orderStatus) => orderStatus !== "paid"
+    );
+    if (status && !openStatuses.includes(status)) {
+      throw new ApiError(
+        400,
+        `Invalid status. Allowed values: ${openStatuses.join(", ")}`
+      );
+    }
+
+    const statusFilter = (orderStatus) =>
+      orderStatus === "needs-review"
+        ? { $or: [{ status: orderStatus }, { needsReview: true }] }
+        : { status: orderStatus, needsReview: { $ne: true } };
+    const reconciliationStatusOf = (order) =>
+      order.needsReview ? "needs-review" : order.status;
+
+    const cutoff = new Date(Date.now() - olderThan * 60 * 1000);
+    const orders = await PaymentOrder.find({
+      ...(status
+        ? statusFilter(status)
+        : { $or: openStatuses.map(statusFilter) }),
+      createdAt: { $lte: cutoff },
+    })
+      .populate("student", "name rollNumber")
+      .sort({ createdAt: 1 })
+      .lean();
+
+    const summary = Object.fromEntries(
+      openStatuses.map((orderStatus) => {
+        const matching = orders.filter(
+          (order) => reconciliationStatusOf(order) === orderStatus
+        );
+        return [
+          orderStatus,
+          {
+            count: matching.length,
+            amount: roundAmount(
+              matching.reduce((total, order) => total + order.amount, 0)
+            ),
+          },
+        ];
+      })
+    );
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { cutoff, summary, orders },
+          "Payment reconciliation fetched successfully"
+        )
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,400 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { PaymentRecord } from "../models/paymentRecord.model.js";
+import { PayrollRun } from "../models/payrollRun.model.js";
+import { SalaryAdvance } from "../models/salaryAdvance.model.js";
+import { SalaryStructure } from "../models/salaryStructure.model.js";
+import { Teacher } from "../models/teacher.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { roundAmount } from "../utils/fee.utils.js";
+import {
+  approvePayrollRun,
+  computeSalary,
+  generatePayrollRun,
+  PAYROLL_MONTH_PATTERN,
+} from "../utils/payroll.utils.js";
+import {
+  payslipFileName,
+  renderPayslipPdf,
+  streamPayslipsZip,
+} from "../utils/payslip.utils.js";
+
+const isAmount = (value) => typeof value === "number" && value >= 0;
+
+const validateSalaryStructure = ({ basic, allowances, deductions }) => {
+  if (!isAmount(basic)) {
+    throw new ApiError(400, "Basic pay must be a number of at least zero");
+  }
+  if (
+    !Array.isArray(allowances) ||
+    allowances.some(({ name, amount }) => !name || !isAmount(amount))
+  ) {
+    throw new ApiError(400, "Allowances must be a list of { name, amount }");
+  }
+  if (
+    !Array.isArray(deductions) ||
+    deductions.some(
+      ({ name, type, value, base = "basic" }) =>
+        !name ||
+        !["fixed", "percentage"].includes(type) ||
+        !["basic", "gross"].includes(base) ||
+        !isAmount(value) ||
+        (type === "percentage" && value > 100)
+    )
+  ) {
+    throw new ApiError(
+      400,
+      "Deductions must be a list of { name, type: fixed | percentage, value, base: basic | gross }"
+    );
+  }
+};
+
+// sets a teacher's salary structure, runs already approved keep the pay they had
+export const SET_SALARY_STRUCTURE = async (req, res) => {
+  const { teacherId } = req.params;
+  const { basic, allowances = [], deductions = [] } = req.body;
+
+  try {
+    if (!isValidObjectId(teacherId)) {
+      throw new ApiError(400, "Invalid teacher id");
+    }
+    validateSalaryStructure({ basic, allowances, deductions });
+
+    const salary = computeSalary({ basic, allowances, deductions });
+    if (salary.netAmount < 0) {
+      throw new ApiError(400, "Deductions can't exceed the gross pay");
+    }
+
+    const teacher = await Teacher.findById(teacherId).select("name").lean();
+    if (!teacher) {
+      throw new ApiError(404, "Teacher not found");
+    }
+
+    const structure = await SalaryStructure.findOneAndUpdate(
+      { teacher: teacherId },
+      {
+        $set: { basic, allowances, deductions, updatedBy: req.user._id },
+      },
+      { upsert: true, new: true, runValidators: true }
+    ).lean();
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { ...structure, salary },
+          "Salary structure saved successfully"
+        )
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const GET_SALARY_STRUCTURE = async (req, res) => {
+  const { teacherId } = req.params;
+
+  try {
+    if (!isValidObjectId(teacherId)) {
+      throw new ApiError(400, "Invalid teacher id");
+    }
+
+    const structure = await SalaryStructure.findOne({ teacher: teacherId })
+      .populate("teacher", "name email")
+      .lean();
+    if (!structure) {
+      throw new ApiError(404, "No salary structure set for this teacher");
+    }
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { ...structure, salary: computeSalary(structure) },
+          "Salary structure fetched successfully"
+        )
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const GET_SALARY_STRUCTURES = async (req, res) => {
+  try {
+    const structures = await SalaryStructure.find()
+      .populate("teacher", "name email")
+      .lean();
+
+    return res.status(200).json(
+      new ApiResponse(
+        200,
+        structures.map((structure) => ({
+          ...structure,
+          salary: computeSalary(structure),
+        })),
+        "Salary structures fetched successfully"
+      )
+    );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// generates the month's payroll as a draft, or regenerates a draft that exists
+export const RUN_PAYROLL = async (req, res) => {
+  const { month } = req.body;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const run = await generatePayrollRun(month, req.user._id, session);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, run, "Payroll generated successfully"));
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    session.endSession();
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const GET_PAYROLL_RUNS = async (req, res) => {
+  const page = Math.max(Number(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(Number(req.query.limit) || 12, 1), 100);
+
+  try {
+    const [runs, total] = await Promise.all([
+      PayrollRun.find()
+        .select("-skipped")
+        .sort({ month: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      PayrollRun.countDocuments(),
+    ]);
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { runs, total, page, limit },
+          "Payroll runs fetched successfully"
+        )
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// the run with the payment record of every teacher in it
+export const GET_PAYROLL_RUN_BY_ID = async (req, res) => {
+  const { runId } = req.params;
+
+  try {
+    if (!isValidObjectId(runId)) {
+      throw new ApiError(400, "Invalid payroll run id");
+    }
+
+    const run = await PayrollRun.findById(runId)
+      .populate("skipped.teacher", "name")
+      .lean();
+    if (!run) {
+      throw new ApiError(404, "Payroll run not found");
+    }
+    const records = await PaymentRecord.find({ payrollRun: run._id })
+      .populate("teacher", "name email")
+      .lean();
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { ...run, records },
+          "Payroll run fetched successfully"
+        )
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// locks the run and settles the advance installments it deducted
+export const APPROVE_PAYROLL_RUN = async (req, res) => {
+  const { runId } = req.params;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    if (!isValidObjectId(runId)) {
+      throw new ApiError(400, "Invalid payroll run id");
+    }
+
+    const run = await approvePayrollRun(runId, req.user._id, session);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, run, "Payroll run approved successfully"));
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    session.endSession();
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// a teacher's advances with their repayment schedule and what is still to recover
+export const GET_TEACHER_ADVANCES = async (req, res) => {
+  const { teacherId } = req.params;
+
+  try {
+    if (!isValidObjectId(teacherId)) {
+      throw new ApiError(400, "Invalid teacher id");
+    }
+
+    const advances = await SalaryAdvance.find({
+      teacher: teacherId,
+      status: { $ne: "cancelled" },
+    }).sort({ approvedAt: -1 });
+    const outstanding = roundAmount(
+      advances.reduce((total, advance) => total + advance.outstanding, 0)
+    );
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { outstanding, advances },
+          "Salary advances fetched successfully"
+        )
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// a teacher's payslip of one month, only once the month's payroll is approved
+export const DOWNLOAD_PAYSLIP = async (req, res) => {
+  const { teacherId, month } = req.params;
+
+  try {
+    if (!isValidObjectId(teacherId)) {
+      throw new ApiError(400, "Invalid teacher id");
+    }
+    if (!PAYROLL_MONTH_PATTERN.test(month)) {
+      throw new ApiError(400, "Month must be in YYYY-MM format");
+    }
+
+    const run = await PayrollRun.findOne({ month }).lean();
+    if (!run || run.status !== "approved") {
+      throw new ApiError(404, `No approved payroll for ${month} yet`);
+    }
+    const record = await PaymentRecord.findOne({
+      teacher: teacherId,
+      payrollRun: run._id,
+    })
+      .populate("teacher", "name email")
+      .lean();
+    if (!record) {
+      throw new ApiError(404, `No payslip for this teacher in ${month}`);
+    }
+
+    const pdf = await renderPayslipPdf(record, record.teacher, run);
+
+    return res
+      .status(200)
+      .set({
+        "Content-Type": "application/pdf",
+        "Content-Disposition": `attachment; filename="${payslipFileName(record, record.teacher)}"`,
+      })
+      .send(pdf);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// every payslip of an approved run in one zip
+export const DOWNLOAD_PAYROLL_PAYSLIPS = async (req, res) => {
+  const { runId } = req.params;
+
+  try {
+    if (!isValidObjectId(runId)) {
+      throw new ApiError(400, "Invalid payroll run id");
+    }
+
+    const run = await PayrollRun.findById(runId).lean();
+    if (!run) {
+      throw new ApiError(404, "Payroll run not found");
+    }
+    if (run.status !== "approved") {
+      throw new ApiError(409, "Payslips are issued once the run is approved");
+    }
+    const records = await PaymentRecord.find({ payrollRun: run._id })
+      .populate("teacher", "name email")
+      .lean();
+
+    res.status(200).set({
+      "Content-Type": "application/zip",
+      "Content-Disposition": `attachment; filename="payslips-${run.month}.zip"`,
+    });
+    await streamPayslipsZip(
+      res,
+      records.map((record) => ({ record, teacher: record.teacher, run }))
+    );
+  } catch (error) {
+    // the zip is already on its way, all that's left is to cut it off
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,121 @@
+import { RolePermission } from "../models/rolePermission.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import {
+  ALL_PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  LOCKED_ROLES,
+  ROLES,
+  clearPermissionCache,
+  getRolePermissions,
+} from "../utils/permissions.utils.js";
+
+const validateRole = (role) => {
+  if (!ROLES.includes(role)) {
+    throw new ApiError(
+      400,
+      `Invalid role. Allowed values: ${ROLES.join(", ")}`
+    );
+  }
+
+  if (LOCKED_ROLES.includes(role)) {
+    throw new ApiError(400, `Permissions of ${role} can't be changed`);
+  }
+};
+
+// every role with its effective permissions, and the catalogue to pick from
+export const GET_ROLE_PERMISSIONS = async (req, res) => {
+  try {
+    const overrides = await RolePermission.find().select("role").lean();
+    const overriddenRoles = overrides.map((override) => override.role);
+
+    const roles = await Promise.all(
+      ROLES.map(async (role) => ({
+        role,
+        permissions: [...(await getRolePermissions(role))],
+        isDefault: !overriddenRoles.includes(role),
+      }))
+    );
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { roles, permissions: ALL_PERMISSIONS },
+          "Role permissions fetched successfully"
+        )
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const UPDATE_ROLE_PERMISSIONS = async (req, res) => {
+  const { role } = req.params;
+  const { permissions } = req.body;
+
+  try {
+    validateRole(role);
+
+    if (!Array.isArray(permissions)) {
+      throw new ApiError(400, "Permissions must be an array");
+    }
+
+    const unknownPermissions = permissions.filter(
+      (permission) => !ALL_PERMISSIONS.includes(permission)
+    );
+    if (unknownPermissions.length > 0) {
+      throw new ApiError(
+        400,
+        `Unknown permissions: ${unknownPermissions.join(", ")}`
+      );
+    }
+
+    const rolePermission = await RolePermission.findOneAndUpdate(
+      { role },
+      { permissions: [...new Set(permissions)], updatedBy: req.user._id },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    clearPermissionCache();
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, rolePermission, "Role permissions updated"));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// drop the override, the role falls back to its default permission set
+export const RESET_ROLE_PERMISSIONS = async (req, res) => {
+  const { role } = req.params;
+
+  try {
+    validateRole(role);
+
+    await RolePermission.deleteOne({ role });
+    clearPermissionCache();
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { role, permissions: DEFAULT_ROLE_PERMISSIONS[role] },
+          "Role permissions reset to default"
+        )
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
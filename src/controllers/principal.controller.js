@@ -1,5 +1,4 @@
 import mongoose, { isValidObjectId } from "mongoose";
-import jwt from "jsonwebtoken";
 import bcrypt from "bcrypt";
 import { Principal } from "../models/principal.model.js";
 import { ApiError } from "../utils/ApiError.js";
@@ -15,49 +14,47 @@ import { TeachersLeave } from "../models/teacherLeave.model.js";
 import { PaymentRecord } from "../models/paymentRecord.model.js";
 import { Teacher } from "../models/teacher.model.js";
 import { TeacherAttendance } from "../models/teacherAttendance.model.js";
-
-const generateTokens = (principal) => {
-  const accessToken = jwt.sign(
-    { id: principal._id, role: "principal" },
-    process.env.ACCESS_TOKEN_SECRET,
-    { expiresIn: "1d" }
-  );
-
-  const refreshToken = jwt.sign(
-    { id: principal._id },
-    process.env.REFRESH_TOKEN_SECRET,
-    { expiresIn: "7d" }
-  );
-
-  return { accessToken, refreshToken };
-};
+import { authCookieOptions, issueAuthTokens } from "../utils/token.utils.js";
+import { createAuthHandlers } from "./auth.controller.js";
+import { resolveAcademicSession } from "../utils/academicSession.utils.js";
+import {
+  cancelAdvanceRecovery,
+  scheduleAdvanceRecovery,
+} from "../utils/payroll.utils.js";
+import { debitLeave } from "../utils/leave.utils.js";
+import { getAffectedPeriods } from "../utils/substitution.utils.js";
+import { markLeaveAttendance } from "../utils/teacherAttendance.utils.js";
 
 export const REGISTER_PRINCIPAL = async (req, res) => {
   try {
     const { name, email, password, yearsOfExperience } = req.body;
 
-    // Check if email already exists
-    const existingPrincipal = await Principal.findOne({ email });
+    // the school has one principal, registration is only open until it exists
+    const existingPrincipal = await Principal.exists({});
     if (existingPrincipal) {
-      return res.status(400).json({ message: "Email already in use" });
+      return res
+        .status(403)
+        .json({ message: "A principal is already registered" });
     }
 
-    // Hash password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
-
-    // Create new principal
+    // Create new principal, the password is hashed by the model's pre save hook
     const newPrincipal = new Principal({
       name,
       email,
-      password: hashedPassword,
+      password,
       yearsOfExperience,
     });
 
     await newPrincipal.save();
 
-    // Generate JWT tokens
-    const { accessToken, refreshToken } = generateTokens(newPrincipal);
+    const createdPrincipal = await Principal.findById(newPrincipal._id).select(
+      "-password"
+    );
+
+    return res.status(201).json({
+      message: "Principal registered successfully",
+      user: createdPrincipal,
+    });
   } catch (error) {
     res.status(500).json({ message: "Internal Server Error", error });
   }
@@ -80,34 +77,41 @@ export const LOGIN_PRINCIPAL = async (req, res) => {
       return res.status(401).json({ message: "Invalid password" });
     }
 
-    // Generate a JWT token
-    const token = jwt.sign(
-      {
-        _id: principal._id,
-        email: principal.email,
-        role: principal.role,
-      },
-      process.env.ACCESS_TOKEN_SECRET, // Secret key for signing the token
-      { expiresIn: "1h" } // Token expiration time
+    // Generate a JWT token pair, the refresh token is stored hashed on the principal
+    const { accessToken: token, refreshToken } = await issueAuthTokens(
+      principal
     );
 
     // Respond with the token and principal details (excluding password)
-    res.status(200).json({
-      message: "Login successful",
-      token,
-      user: {
-        _id: principal._id,
-        name: principal.name,
-        email: principal.email,
-        role: principal.role,
-        yearsOfExperience: principal.yearsOfExperience,
-      },
-    });
+    res
+      .status(200)
+      .cookie("accessToken", token, authCookieOptions)
+      .cookie("refreshToken", refreshToken, authCookieOptions)
+      .json({
+        message: "Login successful",
+        token,
+        user: {
+          _id: principal._id,
+          name: principal.name,
+          email: principal.email,
+          role: principal.role,
+          yearsOfExperience: principal.yearsOfExperience,
+        },
+      });
   } catch (error) {
     console.error("Error logging in principal:", error);
     res.status(500).json({ message: "Internal server error" });
   }
 };
+
+export const {
+  REFRESH_TOKEN,
+  LOGOUT,
+  FORGOT_PASSWORD,
+  VERIFY_PASSWORD_OTP,
+  RESET_PASSWORD,
+} = createAuthHandlers(Principal);
+
 export const GET_ALL_PAYMENT_REQUESTS= async(req, res)=>{
   try {
     const paymentrequesr=  await PaymentRecord.find({advancePay:true})
@@ -122,7 +126,15 @@ export const GET_ALL_PAYMENT_REQUESTS= async(req, res)=>{
 export const UPDATE_PAYMENT_STATUS = async (req, res) => {
   try {
     const { type } = req.query;
-    const { Id, Salarystatus, AdvStatus } = req.body;
+    const {
+      Id,
+      Salarystatus,
+      AdvStatus,
+      month,
+      repaymentType,
+      installmentCount,
+      recoveryStartMonth,
+    } = req.body;
 
     // Validate required fields
     if (!Id || !type) {
@@ -182,10 +194,13 @@ export const UPDATE_PAYMENT_STATUS = async (req, res) => {
       });
     }
 
-    // Find the most recent relevant payment record
+    // Find the most recent relevant payment record, advances are decided on the
+    // record they were requested on
     const request = await PaymentRecord.findOne({
       teacher: Id,
-    });
+      ...(month && { month }),
+      ...(type !== "salary" && { advancePayRequest: true }),
+    }).sort({ month: -1 });
 
     if (!request) {
       return res.status(404).json({
@@ -214,7 +229,31 @@ export const UPDATE_PAYMENT_STATUS = async (req, res) => {
      
     }
 
-    await request.save();
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        await request.save({ session });
+
+        // approved advances are recovered from later payroll months
+        if (type !== "salary" && AdvStatus === "approved") {
+          await scheduleAdvanceRecovery(
+            request,
+            {
+              repaymentType,
+              installmentCount,
+              startMonth: recoveryStartMonth,
+            },
+            req.user._id,
+            session
+          );
+        }
+        if (type !== "salary" && AdvStatus === "rejected") {
+          await cancelAdvanceRecovery(request, session);
+        }
+      });
+    } finally {
+      session.endSession();
+    }
 
     return res.status(200).json({
       success: true,
@@ -223,6 +262,12 @@ export const UPDATE_PAYMENT_STATUS = async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
     console.error("Error updating payment status:", error);
     return res.status(500).json({
       success: false,
@@ -287,7 +332,7 @@ export const GET_TEACHER_EXPENSE = async (req, res) => {
 export const GET_ALL_TEACHERS_LEAVE = async (req, res) => {
   try {
     // Fetch all leave requests from the database
-    const allLeaves = await TeachersLeave.find().populate("Teacher","name email")
+    const allLeaves = await TeachersLeave.find().populate("leaveType","code name")
 
     return res.status(200).json({
       success: true,
@@ -308,7 +353,6 @@ export const GET_ALL_TEACHERS_LEAVE = async (req, res) => {
 export const ACCEPT_OR_REJECT_TEACHERS_LEAVE = async (req, res) => {
   try {
     const { id } = req.params; // Leave request ID
-    console.log(id)
     const { leaveStatus } = req.body; // New status ("Approved" or "Rejected")
 
     // Validate inputs
@@ -326,27 +370,84 @@ export const ACCEPT_OR_REJECT_TEACHERS_LEAVE = async (req, res) => {
       });
     }
 
-    // Find and update the leave request
-    const updatedLeave = await mongoose.model("TeacherLeave").findOneAndUpdate(
-      {teacherId:id},
-      { leaveStatus },
-      { new: true, runValidators: true }
-    );
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid leave request ID",
+      });
+    }
 
-    if (!updatedLeave) {
+    const leave = await TeachersLeave.findById(id);
+
+    if (!leave) {
       return res.status(404).json({
         success: false,
         message: "Leave request not found",
       });
     }
 
+    if (leave.leaveStatus !== "Pending") {
+      return res.status(409).json({
+        success: false,
+        message: `Leave request is already ${leave.leaveStatus.toLowerCase()}`,
+      });
+    }
+
+    let decidedLeave;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        // only a pending request can be decided, of two decisions at once the second
+        // finds it decided and the balance is debited once
+        decidedLeave = await TeachersLeave.findOneAndUpdate(
+          { _id: id, leaveStatus: "Pending" },
+          {
+            $set: {
+              leaveStatus,
+              decidedBy: req.user._id,
+              decidedAt: new Date(),
+            },
+          },
+          { new: true, session }
+        );
+        if (!decidedLeave) {
+          throw new ApiError(409, "Leave request was already decided");
+        }
+
+        // approval debits the balance, what it can't cover becomes loss of pay,
+        // and marks the teacher on-leave for its days
+        if (leaveStatus === "Approved") {
+          await debitLeave(decidedLeave, session);
+          await markLeaveAttendance(decidedLeave, req.user._id, session);
+          await decidedLeave.save({ session });
+        }
+      });
+    } finally {
+      session.endSession();
+    }
+
+    // the first week of periods to cover, the substitution routes plan the rest
+    let affectedPeriods;
+    if (leaveStatus === "Approved") {
+      const weekEnd = new Date(decidedLeave.date);
+      weekEnd.setDate(weekEnd.getDate() + 6);
+      affectedPeriods = await getAffectedPeriods(decidedLeave, { to: weekEnd });
+    }
+
     return res.status(200).json({
       success: true,
       message: `Leave request ${leaveStatus.toLowerCase()} successfully`,
-      data: updatedLeave,
+      data: decidedLeave,
+      affectedPeriods,
     });
 
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
     console.error("Error updating leave status:", error);
     return res.status(500).json({
       success: false,
@@ -468,11 +569,14 @@ export const CREATE_EXAM = async (req, res) => {
     if ([name, date].some((field) => field.trim() === ""))
       throw new ApiError(400, "All fields are required");
 
+    const academicSession = await resolveAcademicSession(req);
+
     const newExam = await Exam.create(
       [
         {
           name,
           date,
+          academicSession: academicSession._id,
         },
       ],
       { session }
@@ -490,7 +594,7 @@ export const CREATE_EXAM = async (req, res) => {
   } catch (error) {
     await session.abortTransaction();
 
-    res.status(error.code || 500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message,
     });
@@ -499,7 +603,11 @@ export const CREATE_EXAM = async (req, res) => {
 
 export const GET_ALL_EXAMS = async (req, res) => {
   try {
-    const exams = await Exam.find({}).sort({ createdAt: -1 });
+    const academicSession = await resolveAcademicSession(req);
+
+    const exams = await Exam.find({
+      academicSession: academicSession._id,
+    }).sort({ createdAt: -1 });
 
     if (!exams) {
       throw new ApiError(404, "No exams created!");
@@ -507,7 +615,7 @@ export const GET_ALL_EXAMS = async (req, res) => {
 
     return res.status(200).json(new ApiResponse(200, { exams }, "Exams found"));
   } catch (error) {
-    res.status(error.code || 500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message,
     });
@@ -672,3 +780,4 @@ export const CHANGE_PASSWORD = async (req, res) => {
     });
   }
 };
+
@@ -0,0 +1,318 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { AcademicSession } from "../models/academicSession.model.js";
+import { StudentAcademicClass } from "../models/class.model.js";
+import { FeeStructure } from "../models/feeStructure.model.js";
+import { Student } from "../models/student.model.js";
+import { Subject } from "../models/subject.model.js";
+import { Teacher } from "../models/teacher.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { areValidMongoIds } from "../constants.js";
+import { generateAdmissionDues, getFeeStructure } from "../utils/fee.utils.js";
+
+// copies a class with its subjects and fee configuration into another session,
+// reusing the copy when the class was rolled over before
+const rollOverClass = async (sourceClass, academicSessionId, session) => {
+  const existingClass = await StudentAcademicClass.findOne({
+    className: sourceClass.className,
+    academicSession: academicSessionId,
+  }).session(session);
+  if (existingClass) {
+    return { rolloverClass: existingClass, subjectsCopied: 0 };
+  }
+
+  const [rolloverClass] = await StudentAcademicClass.create(
+    [
+      {
+        className: sourceClass.className,
+        section: sourceClass.section,
+        classTeacher: sourceClass.classTeacher,
+        fee: sourceClass.fee,
+        lateFineAmount: sourceClass.lateFineAmount,
+        lateFineRule: sourceClass.lateFineRule,
+        academicSession: academicSessionId,
+        students: [],
+        subjects: [],
+      },
+    ],
+    { session }
+  );
+
+  const sourceSubjects = await Subject.find({
+    _id: { $in: sourceClass.subjects },
+  }).session(session);
+  const copiedSubjects = await Subject.insertMany(
+    sourceSubjects.map((subject) => ({
+      name: subject.name,
+      class: rolloverClass._id,
+      teacher: subject.teacher,
+      students: [],
+    })),
+    { session }
+  );
+
+  rolloverClass.subjects = copiedSubjects.map((subject) => subject._id);
+  await rolloverClass.save({ session });
+
+  const feeStructure = await getFeeStructure(
+    sourceClass._id,
+    sourceClass.academicSession,
+    session
+  );
+  if (feeStructure) {
+    await FeeStructure.create(
+      [
+        {
+          class: rolloverClass._id,
+          academicSession: academicSessionId,
+          heads: feeStructure.heads.map((head) => head.toObject()),
+        },
+      ],
+      { session }
+    );
+  }
+
+  // teachers keep teaching the copied class and subjects
+  await Teacher.findByIdAndUpdate(
+    sourceClass.classTeacher,
+    { $addToSet: { assignedClasses: rolloverClass._id } },
+    { session }
+  );
+  const teacherOps = copiedSubjects.flatMap((subject) =>
+    subject.teacher.map((teacherId) => ({
+      updateOne: {
+        filter: { _id: teacherId },
+        update: {
+          $addToSet: {
+            subject: subject._id,
+            assignedClasses: rolloverClass._id,
+          },
+        },
+      },
+    }))
+  );
+  if (teacherOps.length > 0) {
+    await Teacher.bulkWrite(teacherOps, { session });
+  }
+
+  return { rolloverClass, subjectsCopied: copiedSubjects.length };
+};
+
+// enrols students into a class and every subject of it
+const enrolStudents = async (studentIds, targetClass, session) => {
+  if (studentIds.length === 0) return;
+
+  await Student.updateMany(
+    { _id: { $in: studentIds } },
+    { $set: { studentClass: targetClass._id, subjects: targetClass.subjects } },
+    { session }
+  );
+  await StudentAcademicClass.updateOne(
+    { _id: targetClass._id },
+    { $addToSet: { students: { $each: studentIds } } },
+    { session }
+  );
+  await Subject.updateMany(
+    { _id: { $in: targetClass.subjects } },
+    { $addToSet: { students: { $each: studentIds } } },
+    { session }
+  );
+};
+
+// Year-end promotion of one class into the target session. Students move to targetClass,
+// holdBack students stay in the class's rolled over copy and leavers become alumni.
+// The old class keeps its student list as the record of the finished session.
+// With dryRun the whole promotion runs and is rolled back, the response is the preview.
+export const PROMOTE_CLASS = async (req, res) => {
+  const { classId } = req.params;
+  const {
+    targetSession,
+    targetClass,
+    holdBack = [],
+    leavers = [],
+    dryRun = false,
+  } = req.body;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    if (!isValidObjectId(classId)) {
+      throw new ApiError(400, "Invalid class id");
+    }
+    if (!isValidObjectId(targetSession)) {
+      throw new ApiError(400, "A valid target session is required");
+    }
+    if (!areValidMongoIds(holdBack) || !areValidMongoIds(leavers)) {
+      throw new ApiError(400, "Hold back and leavers must be student id lists");
+    }
+
+    const sourceClass =
+      await StudentAcademicClass.findById(classId).session(session);
+    if (!sourceClass) {
+      throw new ApiError(404, "Class not found");
+    }
+    if (!sourceClass.academicSession) {
+      throw new ApiError(400, "Class does not belong to an academic session");
+    }
+
+    const academicSession =
+      await AcademicSession.findById(targetSession).session(session);
+    if (!academicSession) {
+      throw new ApiError(404, "Target session not found");
+    }
+    if (academicSession._id.equals(sourceClass.academicSession)) {
+      throw new ApiError(400, "Target session must differ from the class's");
+    }
+
+    const students = await Student.find({
+      _id: { $in: sourceClass.students },
+      status: { $ne: "alumni" },
+    })
+      .select("name academicHistory")
+      .session(session);
+    const studentIds = students.map((student) => student._id.toString());
+
+    const unknownStudents = [...holdBack, ...leavers].filter(
+      (studentId) => !studentIds.includes(studentId)
+    );
+    if (unknownStudents.length > 0) {
+      throw new ApiError(
+        400,
+        `Students not in this class: ${unknownStudents.join(", ")}`
+      );
+    }
+    if (holdBack.some((studentId) => leavers.includes(studentId))) {
+      throw new ApiError(400, "A student can't be held back and leave");
+    }
+
+    const alreadyPromoted = students.some((student) =>
+      student.academicHistory.some((entry) =>
+        entry.academicSession?.equals(sourceClass.academicSession)
+      )
+    );
+    if (alreadyPromoted) {
+      throw new ApiError(409, "Class has already been promoted");
+    }
+
+    const outcomeOf = (studentId) => {
+      if (holdBack.includes(studentId)) return "held back";
+      if (leavers.includes(studentId)) return "left";
+      return "promoted";
+    };
+    const idsWithOutcome = (outcome) =>
+      students
+        .filter((student) => outcomeOf(student._id.toString()) === outcome)
+        .map((student) => student._id);
+
+    const promotedIds = idsWithOutcome("promoted");
+    const heldBackIds = idsWithOutcome("held back");
+    const leaverIds = idsWithOutcome("left");
+
+    let promotedClass = null;
+    if (promotedIds.length > 0) {
+      if (!isValidObjectId(targetClass)) {
+        throw new ApiError(400, "A valid target class is required");
+      }
+
+      promotedClass = await StudentAcademicClass.findOne({
+        _id: targetClass,
+        academicSession: academicSession._id,
+      }).session(session);
+      if (!promotedClass) {
+        throw new ApiError(404, "Target class not found in the target session");
+      }
+    }
+
+    const { rolloverClass, subjectsCopied } = await rollOverClass(
+      sourceClass,
+      academicSession._id,
+      session
+    );
+
+    await enrolStudents(promotedIds, promotedClass, session);
+    await enrolStudents(heldBackIds, rolloverClass, session);
+
+    if (students.length > 0) {
+      await Student.bulkWrite(
+        students.map((student) => {
+          const outcome = outcomeOf(student._id.toString());
+          const update = {
+            $push: {
+              academicHistory: {
+                academicSession: sourceClass.academicSession,
+                studentClass: sourceClass._id,
+                outcome,
+              },
+            },
+          };
+          if (outcome === "left") update.$set = { status: "alumni" };
+
+          return { updateOne: { filter: { _id: student._id }, update } };
+        }),
+        { session }
+      );
+    }
+
+    // dues of the new session, the history above keeps one-time heads out
+    const continuingStudents = await Student.find({
+      _id: { $in: [...promotedIds, ...heldBackIds] },
+    })
+      .select("academicHistory")
+      .session(session);
+    const isPromoted = (student) =>
+      outcomeOf(student._id.toString()) === "promoted";
+    if (promotedClass) {
+      await generateAdmissionDues(
+        continuingStudents.filter(isPromoted),
+        promotedClass,
+        session
+      );
+    }
+    await generateAdmissionDues(
+      continuingStudents.filter((student) => !isPromoted(student)),
+      rolloverClass,
+      session
+    );
+
+    if (dryRun) {
+      await session.abortTransaction();
+    } else {
+      await session.commitTransaction();
+    }
+    session.endSession();
+
+    const summary = {
+      dryRun,
+      sourceClass: sourceClass._id,
+      targetClass: promotedClass?._id ?? null,
+      rolloverClass: rolloverClass._id,
+      subjectsCopied,
+      promoted: promotedIds,
+      heldBack: heldBackIds,
+      leftAsAlumni: leaverIds,
+    };
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          summary,
+          dryRun
+            ? "Promotion preview, nothing was saved"
+            : "Class promoted successfully"
+        )
+      );
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    session.endSession();
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
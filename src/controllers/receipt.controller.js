@@ -0,0 +1,277 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { AcademicSession } from "../models/academicSession.model.js";
+import { FeeTransaction } from "../models/feeTransaction.model.js";
+import {
+  Receipt,
+  RECEIPT_KINDS,
+  RECEIPT_STATUSES,
+} from "../models/receipt.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { resolveAcademicSession } from "../utils/academicSession.utils.js";
+import { reverseFeeTransaction } from "../utils/feePayment.utils.js";
+import { issueCreditNote, renderReceiptPdf } from "../utils/receipt.utils.js";
+
+// a fee receipt together with the ledger payment it was issued for
+const findReceiptWithPayment = async (receiptId, session) => {
+  if (!isValidObjectId(receiptId)) {
+    throw new ApiError(400, "Invalid receipt id");
+  }
+
+  const receipt = await Receipt.findById(receiptId).session(session);
+  if (!receipt || receipt.kind === "credit-note") {
+    throw new ApiError(404, "Receipt not found");
+  }
+
+  const payment = await FeeTransaction.findById(receipt.transaction).session(
+    session
+  );
+  if (!payment) {
+    throw new ApiError(404, "Payment of the receipt not found");
+  }
+
+  return { receipt, payment };
+};
+
+// receipts and credit notes of the session, ?student=, ?status= and ?kind= narrow it down
+export const GET_RECEIPTS = async (req, res) => {
+  const { student, status, kind } = req.query;
+
+  try {
+    const academicSession = await resolveAcademicSession(req);
+
+    const filter = { academicSession: academicSession._id };
+    if (student) {
+      if (!isValidObjectId(student)) {
+        throw new ApiError(400, "Invalid student id");
+      }
+      filter.student = student;
+    }
+    if (status) {
+      if (!RECEIPT_STATUSES.includes(status)) {
+        throw new ApiError(
+          400,
+          `Invalid status. Allowed values: ${RECEIPT_STATUSES.join(", ")}`
+        );
+      }
+      filter.status = status;
+    }
+    if (kind) {
+      if (!RECEIPT_KINDS.includes(kind)) {
+        throw new ApiError(
+          400,
+          `Invalid kind. Allowed values: ${RECEIPT_KINDS.join(", ")}`
+        );
+      }
+      filter.kind = kind;
+    }
+
+    const receipts = await Receipt.find(filter)
+      .select("-auditTrail")
+      .sort({ sequence: -1 })
+      .lean();
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { receipts, count: receipts.length },
+          "Receipts fetched successfully"
+        )
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const GET_RECEIPT_BY_ID = async (req, res) => {
+  const { receiptId } = req.params;
+
+  try {
+    if (!isValidObjectId(receiptId)) {
+      throw new ApiError(400, "Invalid receipt id");
+    }
+
+    const receipt = await Receipt.findById(receiptId).lean();
+    if (!receipt) {
+      throw new ApiError(404, "Receipt not found");
+    }
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, receipt, "Receipt fetched successfully"));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// every download counts as a print, only the first one is the original
+export const DOWNLOAD_RECEIPT_PDF = async (req, res) => {
+  const { receiptId } = req.params;
+
+  try {
+    if (!isValidObjectId(receiptId)) {
+      throw new ApiError(400, "Invalid receipt id");
+    }
+
+    // the counter decides, two simultaneous first prints can't both be originals
+    const receipt = await Receipt.findByIdAndUpdate(
+      receiptId,
+      { $inc: { printCount: 1 } },
+      { new: true }
+    );
+    if (!receipt) {
+      throw new ApiError(404, "Receipt not found");
+    }
+    const duplicate = receipt.printCount > 1;
+    await Receipt.updateOne(
+      { _id: receiptId },
+      {
+        $push: {
+          auditTrail: {
+            action: duplicate ? "reprinted" : "printed",
+            by: req.user._id,
+            role: req.role,
+          },
+        },
+      }
+    );
+
+    const pdf = await renderReceiptPdf(receipt, { duplicate });
+    const fileName = receipt.receiptNumber.replace(/\//g, "-");
+
+    return res
+      .status(200)
+      .set({
+        "Content-Type": "application/pdf",
+        "Content-Disposition": `attachment; filename="${fileName}.pdf"`,
+      })
+      .send(pdf);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// For payments booked by mistake. The receipt keeps its number and is voided, a
+// reversal entry in the ledger takes the payment back from the months so they are
+// due again.
+export const CANCEL_RECEIPT = async (req, res) => {
+  const { receiptId } = req.params;
+  const { reason = "" } = req.body;
+
+  const session = await mongoose.startSession();
+
+  try {
+    if (typeof reason !== "string" || reason.trim() === "") {
+      throw new ApiError(400, "A reason is required to cancel a receipt");
+    }
+
+    const receipt = await session.withTransaction(async () => {
+      const { receipt, payment } = await findReceiptWithPayment(
+        receiptId,
+        session
+      );
+      if (receipt.status === "cancelled") {
+        throw new ApiError(400, "Receipt is already cancelled");
+      }
+
+      await reverseFeeTransaction(
+        payment,
+        {
+          type: "reversal",
+          reason,
+          approvedBy: { _id: req.user._id, role: req.role },
+        },
+        session
+      );
+
+      receipt.status = "cancelled";
+      receipt.cancellationReason = reason.trim();
+      receipt.auditTrail.push({
+        action: "cancelled",
+        by: req.user._id,
+        role: req.role,
+        reason: reason.trim(),
+      });
+      return receipt.save({ session });
+    });
+    session.endSession();
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, receipt, "Receipt cancelled successfully"));
+  } catch (error) {
+    session.endSession();
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Hands part or all of a payment back to the parent. The refund is its own ledger
+// entry with a credit note, the months it came from are due again.
+export const REFUND_RECEIPT = async (req, res) => {
+  const { receiptId } = req.params;
+  const { amount, reason = "", mode, referenceNumber } = req.body;
+
+  const session = await mongoose.startSession();
+
+  try {
+    const { refund, creditNote } = await session.withTransaction(async () => {
+      const { receipt, payment } = await findReceiptWithPayment(
+        receiptId,
+        session
+      );
+      if (receipt.status === "cancelled") {
+        throw new ApiError(400, "A cancelled receipt can't be refunded");
+      }
+
+      const approvedBy = { _id: req.user._id, role: req.role };
+      const refund = await reverseFeeTransaction(
+        payment,
+        { type: "refund", amount, reason, mode, referenceNumber, approvedBy },
+        session
+      );
+
+      const academicSession = await AcademicSession.findById(
+        receipt.academicSession
+      ).session(session);
+      const creditNote = await issueCreditNote(
+        { refund, receipt, academicSession, issuedBy: approvedBy },
+        session
+      );
+
+      return { refund, creditNote };
+    });
+    session.endSession();
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { refund, creditNote },
+          "Refund recorded successfully"
+        )
+      );
+  } catch (error) {
+    session.endSession();
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
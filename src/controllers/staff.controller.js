@@ -0,0 +1,189 @@
+import { isValidObjectId } from "mongoose";
+import { Staff, STAFF_ROLES } from "../models/staff.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { authCookieOptions, issueAuthTokens } from "../utils/token.utils.js";
+import { createAuthHandlers } from "./auth.controller.js";
+
+export const REGISTER_STAFF = async (req, res) => {
+  const { name, email, phoneNumber, password, role } = req.body;
+
+  try {
+    if (!STAFF_ROLES.includes(role)) {
+      throw new ApiError(
+        400,
+        `Invalid role. Allowed values: ${STAFF_ROLES.join(", ")}`
+      );
+    }
+
+    const existingStaff = await Staff.findOne({
+      $or: [{ email }, { phoneNumber }],
+    });
+    if (existingStaff) {
+      throw new ApiError(400, "Staff already exists");
+    }
+
+    const newStaff = await Staff.create({
+      name,
+      email,
+      phoneNumber,
+      password,
+      role,
+    });
+
+    const createdStaff = await Staff.findById(newStaff._id).select("-password");
+    if (!createdStaff) {
+      throw new ApiError(500, "Uh oh! Staff registration failed");
+    }
+
+    return res
+      .status(201)
+      .json(
+        new ApiResponse(201, createdStaff, "Staff registered successfully")
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const LOGIN_STAFF = async (req, res) => {
+  const { email = "", password = "" } = req.body;
+
+  try {
+    if ([email, password].some((field) => field.trim() === ""))
+      throw new ApiError(400, "All fields are required");
+
+    const staff = await Staff.findOne({ email });
+    if (!staff) {
+      throw new ApiError(404, "Staff not found");
+    }
+
+    const isPasswordValid = await staff.comparePassword(password);
+    if (!isPasswordValid) {
+      throw new ApiError(401, "Invalid credentials");
+    }
+
+    const { accessToken, refreshToken } = await issueAuthTokens(staff);
+
+    // Don't send password to front-end
+    const loggedInStaff = await Staff.findById(staff._id).select("-password");
+
+    return res
+      .status(200)
+      .cookie("accessToken", accessToken, authCookieOptions)
+      .cookie("refreshToken", refreshToken, authCookieOptions)
+      .json(
+        new ApiResponse(
+          200,
+          { user: loggedInStaff, accessToken },
+          "You are logged in successfully!"
+        )
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const {
+  REFRESH_TOKEN,
+  LOGOUT,
+  FORGOT_PASSWORD,
+  VERIFY_PASSWORD_OTP,
+  RESET_PASSWORD,
+} = createAuthHandlers(Staff);
+
+export const GET_ALL_STAFF = async (req, res) => {
+  const { role } = req.query;
+
+  try {
+    const filter = {};
+    if (role) filter.role = role;
+
+    const staff = await Staff.find(filter)
+      .select("-password")
+      .sort({ name: 1 })
+      .lean();
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { staff, count: staff.length },
+          "Staff fetched successfully"
+        )
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// moving a staff to another role logs them out, their tokens still carry the old role
+export const UPDATE_STAFF_ROLE = async (req, res) => {
+  const { staffId } = req.params;
+  const { role } = req.body;
+
+  try {
+    if (!isValidObjectId(staffId)) {
+      throw new ApiError(400, "Invalid staff id");
+    }
+
+    if (!STAFF_ROLES.includes(role)) {
+      throw new ApiError(
+        400,
+        `Invalid role. Allowed values: ${STAFF_ROLES.join(", ")}`
+      );
+    }
+
+    const updatedStaff = await Staff.findByIdAndUpdate(
+      staffId,
+      { $set: { role }, $unset: { refreshToken: "", refreshTokenFamily: "" } },
+      { new: true, runValidators: true }
+    ).select("-password");
+    if (!updatedStaff) {
+      throw new ApiError(404, "Staff not found");
+    }
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, updatedStaff, "Staff role updated"));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const DELETE_STAFF = async (req, res) => {
+  const { staffId } = req.params;
+
+  try {
+    if (!isValidObjectId(staffId)) {
+      throw new ApiError(400, "Invalid staff id");
+    }
+
+    const deletedStaff = await Staff.findByIdAndDelete(staffId);
+    if (!deletedStaff) {
+      throw new ApiError(404, "Staff not found");
+    }
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, null, "Staff deleted successfully"));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -1,20 +1,52 @@
 import mongoose, { isValidObjectId } from "mongoose";
 import { Student } from "../models/student.model.js";
 import { StudentAcademicClass } from "../models/class.model.js";
+import { AcademicSession } from "../models/academicSession.model.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { Subject } from "../models/subject.model.js";
 import { FeePayment } from "../models/feepayment.model.js";
 import { uploadFileOnCloudinary } from "../utils/cloudinary.utils.js";
+import { resolveAcademicSession } from "../utils/academicSession.utils.js";
+import { getNonWorkingDays } from "../utils/calendar.utils.js";
+import logger from "../utils/logger.js";
+import {
+  applyConcessions,
+  computeLateFine,
+  generateAdmissionDues,
+  getLateFineRule,
+  getMonthDueDate,
+  normalizeMonth,
+  roundAmount,
+} from "../utils/fee.utils.js";
+import {
+  getStudentBalance,
+  loadMonthlyDues,
+  recordFeePayment,
+} from "../utils/feePayment.utils.js";
+import {
+  buildDuesReport,
+  resolveReportMonths,
+} from "../utils/feeReport.utils.js";
+import {
+  drawSchoolHeader,
+  drawTable,
+  formatAmount,
+  renderPdf,
+} from "../utils/pdf.utils.js";
+import {
+  buildSpreadsheet,
+  collectValidationErrors,
+  generateInitialPassword,
+  parseSpreadsheet,
+} from "../utils/spreadsheet.utils.js";
+import { authCookieOptions, issueAuthTokens } from "../utils/token.utils.js";
+import { createAuthHandlers } from "./auth.controller.js";
 
 const generateAccessToken_RefreshToken = async function (userId) {
   try {
     const student = await Student.findById(userId);
-    const accessToken = student.generateAccessToken();
-    const refreshToken = student.generateRefreshToken();
-
-    // user.refreshToken = refreshToken;
-    // await user.save({ validateBeforeSave: false });
+    const { accessToken, refreshToken } = await issueAuthTokens(student);
 
     return { accessToken, refreshToken };
   } catch (error) {
@@ -125,6 +157,9 @@ export const REGISTER_STUDENT = async (req, res) => {
     classExists.students.push(newStudent[0]._id);
     await classExists.save({ session });
 
+    // monthly dues of the fee structure, one-time heads included
+    await generateAdmissionDues(newStudent, classExists, session);
+
     // Commit the transaction
     await session.commitTransaction();
     session.endSession();
@@ -161,6 +196,181 @@ export const REGISTER_STUDENT = async (req, res) => {
   }
 };
 
+// spreadsheet columns accepted by the bulk import, className is resolved to the class id
+const STUDENT_IMPORT_FIELDS = [
+  "name",
+  "email",
+  "gender",
+  "dob",
+  "className",
+  "rollNumber",
+  "grade",
+  "parentName",
+  "parentContact",
+  "phoneNumber",
+  "whatsappNumber",
+  "address",
+  "fatherName",
+  "fatherAadhar",
+  "motherName",
+  "motherAadhar",
+  "aadharId",
+  "studentPan",
+];
+
+// Bulk admission from a .csv / .xlsx sheet. Every row is validated and reported on, the
+// valid rows are created together in one transaction, each with a generated password.
+// With dryRun=true only the validation report is returned.
+export const IMPORT_STUDENTS = async (req, res) => {
+  const dryRun = req.body?.dryRun === "true" || req.query.dryRun === "true";
+
+  const session = await mongoose.startSession();
+
+  try {
+    const rows = await parseSpreadsheet(req.file, STUDENT_IMPORT_FIELDS);
+    const academicSession = await resolveAcademicSession(req);
+
+    const classes = await StudentAcademicClass.find({
+      academicSession: academicSession._id,
+    })
+      .select("className subjects")
+      .lean();
+    const classByName = new Map(
+      classes.map((studentClass) => [
+        studentClass.className.trim().toLowerCase(),
+        studentClass,
+      ])
+    );
+
+    const emails = rows.map(({ data }) => data.email).filter(Boolean);
+    const registeredStudents = await Student.find({ email: { $in: emails } })
+      .select("email")
+      .lean();
+    const registeredEmails = new Set(
+      registeredStudents.map((student) => student.email)
+    );
+    const seenEmails = new Set();
+
+    const invalidRows = [];
+    const validRows = [];
+    for (const { row, data } of rows) {
+      const { className, ...fields } = data;
+      if (fields.gender) fields.gender = String(fields.gender).toLowerCase();
+
+      const studentClass = className
+        ? classByName.get(String(className).trim().toLowerCase())
+        : null;
+      const password = generateInitialPassword();
+      const student = new Student({
+        ...fields,
+        studentClass: studentClass?._id,
+        subjects: studentClass?.subjects,
+        password,
+      });
+
+      const errors = await collectValidationErrors(student);
+      if (!className) {
+        errors.className = "Class name is required";
+      } else if (!studentClass) {
+        errors.className = `Class ${className} not found in session ${academicSession.name}`;
+      }
+      delete errors.studentClass; // reported as className
+
+      // the email is unique and is where password reset otps are sent
+      if (!fields.email) {
+        errors.email = "Email is required";
+      } else if (registeredEmails.has(fields.email)) {
+        errors.email = "Email is already registered";
+      } else if (seenEmails.has(fields.email)) {
+        errors.email = "Email appears more than once in the file";
+      }
+      if (fields.email) seenEmails.add(fields.email);
+
+      if (Object.keys(errors).length > 0) {
+        invalidRows.push({ row, errors });
+      } else {
+        validRows.push({ row, student, password, className });
+      }
+    }
+
+    if (!dryRun && validRows.length > 0) {
+      session.startTransaction();
+
+      // create runs the password hashing save hook for every student
+      await Student.create(
+        validRows.map(({ student }) => student.toObject()),
+        { session, ordered: true }
+      );
+
+      const studentsByClass = new Map();
+      for (const { student } of validRows) {
+        const classId = student.studentClass.toString();
+        studentsByClass.set(classId, [
+          ...(studentsByClass.get(classId) || []),
+          student,
+        ]);
+      }
+      for (const [classId, classStudents] of studentsByClass) {
+        const studentIds = classStudents.map(({ _id }) => _id);
+        const studentClass = await StudentAcademicClass.findByIdAndUpdate(
+          classId,
+          { $addToSet: { students: { $each: studentIds } } },
+          { session, new: true }
+        );
+        // enrolled in the class's subjects like promoted students
+        await Subject.updateMany(
+          { _id: { $in: studentClass.subjects } },
+          { $addToSet: { students: { $each: studentIds } } },
+          { session }
+        );
+        await generateAdmissionDues(classStudents, studentClass, session);
+      }
+
+      await session.commitTransaction();
+    }
+    session.endSession();
+
+    const students = validRows.map(({ row, student, password, className }) => ({
+      row,
+      _id: student._id,
+      name: student.name,
+      email: student.email,
+      className,
+      // initial passwords are only handed out for created students
+      ...(!dryRun && { password }),
+    }));
+
+    const created = !dryRun && validRows.length > 0;
+    return res.status(created ? 201 : 200).json(
+      new ApiResponse(
+        created ? 201 : 200,
+        {
+          dryRun,
+          academicSession: academicSession.name,
+          totalRows: rows.length,
+          validRows: validRows.length,
+          invalidRows: invalidRows.length,
+          errors: invalidRows,
+          students,
+        },
+        dryRun
+          ? "Import preview, nothing was saved"
+          : `${validRows.length} students imported`
+      )
+    );
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    session.endSession();
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
 export const LOGIN_STUDENT = async (req, res) => {
   const { studentId = "", password = "" } = req.body;
 
@@ -190,15 +400,10 @@ export const LOGIN_STUDENT = async (req, res) => {
       "-password -refreshToken"
     );
 
-    const options = {
-      httpOnly: true,
-      secure: true,
-    };
-
     return res
       .status(200)
-      .cookie("accessToken", accessToken, options)
-      .cookie("refreshToken", refreshToken, options)
+      .cookie("accessToken", accessToken, authCookieOptions)
+      .cookie("refreshToken", refreshToken, authCookieOptions)
       .json(
         new ApiResponse(
           200,
@@ -214,6 +419,15 @@ export const LOGIN_STUDENT = async (req, res) => {
   }
 };
 
+const studentAuthHandlers = createAuthHandlers(Student);
+
+export const REFRESH_STUDENT_TOKEN = studentAuthHandlers.REFRESH_TOKEN;
+export const LOGOUT_STUDENT = studentAuthHandlers.LOGOUT;
+export const FORGOT_STUDENT_PASSWORD = studentAuthHandlers.FORGOT_PASSWORD;
+export const VERIFY_STUDENT_PASSWORD_OTP =
+  studentAuthHandlers.VERIFY_PASSWORD_OTP;
+export const RESET_STUDENT_PASSWORD = studentAuthHandlers.RESET_PASSWORD;
+
 export const CHANGE_STUDENT_PASSWORD = async (req, res) => {
   const { _id: studentId } = req.user;
   const { oldPassword = "", newPassword = "" } = req.body;
@@ -314,7 +528,13 @@ export const GET_ALL_STUDENTS = async (req, res) => {
   const skip = (page - 1) * limit; // Calculate the number of documents to skip
 
   try {
-    const students = await Student.find()
+    // alumni are only listed on request, ?status=alumni
+    const filter =
+      req.query.status === "alumni"
+        ? { status: "alumni" }
+        : { status: { $ne: "alumni" } };
+
+    const students = await Student.find(filter)
       .populate({
         path: "studentClass",
         select: "className section classTeacher",
@@ -329,7 +549,7 @@ export const GET_ALL_STUDENTS = async (req, res) => {
       .limit(limit);
 
     // pagination metadata
-    const totalStudents = await Student.countDocuments();
+    const totalStudents = await Student.countDocuments(filter);
     const totalPages = Math.ceil(totalStudents / limit);
 
     return res.status(200).json(
@@ -451,6 +671,17 @@ export const UPDATE_STUDENT = async (req, res) => {
       throw new ApiError(400, "No fields to update");
     }
 
+    // students may edit their own profile, but not their class or subjects
+    if (
+      req.role === "student" &&
+      (studentClass || section || grade || subjects)
+    ) {
+      throw new ApiError(
+        403,
+        "You can only update your name and parent details"
+      );
+    }
+
     // Fetch the existing student data
     const existingStudent = await Student.findById(studentId).session(session);
     if (!existingStudent) {
@@ -464,7 +695,7 @@ export const UPDATE_STUDENT = async (req, res) => {
     ) {
       // Remove student from the old class
       if (existingStudent.studentClass) {
-        await Class.findByIdAndUpdate(
+        await StudentAcademicClass.findByIdAndUpdate(
           existingStudent.studentClass,
           { $pull: { students: studentId } },
           { session }
@@ -472,7 +703,7 @@ export const UPDATE_STUDENT = async (req, res) => {
       }
 
       // Add student to the new class
-      await Class.findByIdAndUpdate(
+      await StudentAcademicClass.findByIdAndUpdate(
         studentClass,
         { $addToSet: { students: studentId } },
         { session }
@@ -549,7 +780,7 @@ export const UPDATE_STUDENT = async (req, res) => {
     session.endSession();
 
     // Handle the error
-    res.status(error.code || 500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message,
     });
@@ -557,171 +788,82 @@ export const UPDATE_STUDENT = async (req, res) => {
 };
 
 //* accounting - fee management
-// export const MARK_FEE_PAYMENT_STATUS = async (req, res) => {
-//   const { student, month, status } = req.body;
-
-//   try {
-//     const studentExists = await Student.findById(student);
-//     if (!studentExists) {
-//       throw new ApiError(404, "Student not found.");
-//     }
-
-//     const feePayment = await FeePayment.findOneAndUpdate(
-//       { student, month },
-//       { status },
-//       { upsert: true, new: true }
-//     );
-
-//     return res
-//       .status(200)
-//       .json(
-//         new ApiResponse(
-//           200,
-//           feePayment,
-//           "Fee payment status updated successfully."
-//         )
-//       );
-//   } catch (error) {
-//     res.status(error.code || 500).json({
-//       success: false,
-//       message: error.message,
-//     });
-//   }
-// };
 
+// Records a payment for one or more months into the fee ledger. amount may be less
+// than the dues of the months, the last month it reaches is then partially paid.
 export const MARK_FEE_PAYMENT_STATUS = async (req, res) => {
-  const { student, months, status, isAdvancePayment } = req.body;
+  const {
+    student,
+    months,
+    status = "paid",
+    isAdvancePayment,
+    amount,
+    mode,
+    referenceNumber,
+    notes,
+  } = req.body;
 
   const session = await mongoose.startSession();
-  session.startTransaction();
 
   try {
-    const studentExists = await Student.findById(student).session(session);
-    if (!studentExists) {
-      throw new ApiError(404, "Student not found.");
+    if (status !== "paid") {
+      throw new ApiError(
+        400,
+        "Only payments can be recorded, status must be paid"
+      );
     }
-
-    // fetch student class to get fee info
-    const studentClass = await StudentAcademicClass.findById(
-      studentExists.studentClass
-    ).session(session);
-    if (!studentClass) {
-      throw new ApiError(404, "Student class not found.");
+    if (!Array.isArray(months) && typeof months !== "string") {
+      throw new ApiError(400, "Months must be a string or an array");
     }
 
-    const baseFeeAmount = studentClass.fee || 0;
-    const lateFineAmount = studentClass.lateFineAmount || 0;
-
-    // let's handle bulk payment
-    if (Array.isArray(months)) {
-      const bulkUpdateOps = [];
-      const currentDate = new Date();
-      const currentMonth = currentDate.toLocaleString("default", {
-        month: "long",
-      });
-      const currentYear = currentDate.getFullYear();
-
-      for (const month of months) {
-        // preparing an update obj - to insert or update a payment record
-        const updateObj = {
-          // $set - update existing field in the document or set a field
-          $set: {
-            status,
-            paymentDate: currentDate,
-            lateFine: false, // no longer fine after payment
-          },
-          // set field while inserting a new record
-          $setOnInsert: {
-            student,
-            month,
-            baseAmount: baseFeeAmount,
-          },
-        };
-
-        // existing records with late fine, add new field finepaid
-        updateObj.$set.finePaid = true;
+    // Receipt numbers come from a counter every payment increments, of two payments at
+    // the same moment one hits a write conflict and withTransaction runs it again.
+    const { transaction, receipt, feePayments } = await session.withTransaction(
+      async () => {
+        const studentExists = await Student.findById(student).session(session);
+        if (!studentExists) {
+          throw new ApiError(404, "Student not found.");
+        }
 
-        // handling advance payment - month will be in future
-        if (isAdvancePayment) {
-          updateObj.$set.isAdvancePayment = true;
+        // fetch student class to get fee info
+        const studentClass = await StudentAcademicClass.findById(
+          studentExists.studentClass
+        ).session(session);
+        if (!studentClass) {
+          throw new ApiError(404, "Student class not found.");
         }
 
-        // batch update operation
-        bulkUpdateOps.push({
-          updateOne: {
-            filter: { student, month },
-            update: updateObj,
-            upsert: true,
+        // the same month is paid once per academic session
+        const academicSession = await resolveAcademicSession(req);
+
+        return recordFeePayment(
+          {
+            student: studentExists,
+            studentClass,
+            academicSession,
+            months,
+            amount,
+            mode,
+            referenceNumber,
+            notes,
+            isAdvancePayment,
+            collector: { _id: req.user._id, role: req.role },
           },
-        });
-      }
-
-      const bulkWriteResults = await FeePayment.bulkWrite(bulkUpdateOps, {
-        session,
-      });
-
-      await session.commitTransaction();
-      session.endSession();
-
-      return res
-        .status(200)
-        .json(
-          new ApiResponse(
-            200,
-            bulkWriteResults,
-            "Bulk fee payment status updated sucessfully"
-          )
+          session
         );
-    } else if (typeof months === "string") {
-      const month = months;
-      const currentDate = new Date();
-
-      const isFutureMonth =
-        isAdvancePayment ||
-        new Date(`${month} 1, ${currentDate.getFullYear()}`) > currentDate;
-
-      const updateObj = {
-        $set: {
-          status,
-          paymentDate: currentDate,
-          lateFine: false,
-        },
-        $setOnInsert: {
-          student,
-          month,
-          baseAmount: baseFeeAmount,
-        },
-      };
-
-      if (status === "paid") {
-        updateObj.$set.finePaid = true;
-      }
-
-      if (isFutureMonth) {
-        updateObj.$set.isAdvancePayment = true;
       }
+    );
+    session.endSession();
 
-      const feePayment = await FeePayment.findOneAndUpdate(
-        { student, month },
-        updateObj,
-        { upsert: true, new: true, session }
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { transaction, receipt, feePayments },
+          "Fee payment recorded successfully."
+        )
       );
-
-      await session.commitTransaction();
-      session.endSession();
-
-      return res
-        .status(200)
-        .json(
-          new ApiResponse(
-            200,
-            feePayment,
-            "Fee payment status updated successfully."
-          )
-        );
-    } else {
-      throw new ApiError(400, "Months must be a string or an array");
-    }
   } catch (error) {
     // Abort the transaction in case of an error
     if (session.inTransaction()) {
@@ -729,20 +871,7 @@ export const MARK_FEE_PAYMENT_STATUS = async (req, res) => {
     }
     session.endSession();
 
-    // mongodb duplicate key error code is 11000, but http status code range is in between [1xx, 5xx]. Thus we need to handle it separately
-    if (error.code === 11000) {
-      let message = "Duplicate key error";
-      if (error.keyValue) {
-        const field = Object.keys(error.keyValue)[0];
-        message = `Duplicate key error: A student with this ${field} already exists`;
-      }
-      res.status(409).json({
-        success: false,
-        message,
-      });
-    }
-
-    res.status(error.code || 500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message,
     });
@@ -751,7 +880,8 @@ export const MARK_FEE_PAYMENT_STATUS = async (req, res) => {
 
 // this api imposes late fine by individual month and student
 export const IMPOSE_LATE_FINE = async (req, res, next) => {
-  const { studentId, month } = req.body;
+  const { studentId } = req.body;
+  const month = req.body.month && normalizeMonth(req.body.month);
 
   if (!studentId || !month) {
     return next(new ApiError(400, "Student ID and month are required"));
@@ -773,16 +903,25 @@ export const IMPOSE_LATE_FINE = async (req, res, next) => {
       student.studentClass._id
     ).session(session);
 
-    const classFee = studentClass?.fee ?? 1000;
-    const lateFine = studentClass?.lateFineAmount ?? 500;
-
-    if (classFee === undefined || lateFine === undefined) {
-      throw new ApiError(400, "Class fee or late fine amount is missing");
+    // the same rule the late fine job applies
+    const lateFineRule = studentClass && getLateFineRule(studentClass);
+    if (!lateFineRule) {
+      throw new ApiError(400, "No late fine is configured for the class");
     }
 
+    const academicSession = await resolveAcademicSession(req);
+    const duesFor = await loadMonthlyDues(
+      student,
+      studentClass,
+      academicSession,
+      session
+    );
+    const { baseAmount, items, dueDate } = duesFor(month);
+
     // Check if payment record already exists
     const existingPayment = await FeePayment.findOne({
       student: studentId,
+      academicSession: academicSession._id,
       month,
     }).session(session);
 
@@ -791,6 +930,23 @@ export const IMPOSE_LATE_FINE = async (req, res, next) => {
       throw new ApiError(400, "Cannot impose fine on already paid fee");
     }
 
+    const fineDueDate =
+      existingPayment?.dueDate ||
+      dueDate ||
+      getMonthDueDate(academicSession, month);
+    const now = new Date();
+    // days off don't count as days late, same as for the late fine job
+    const lateFine = computeLateFine(
+      lateFineRule,
+      fineDueDate,
+      now,
+      fineDueDate &&
+        (await getNonWorkingDays(fineDueDate, now, studentClass._id))
+    );
+    if (lateFine === 0) {
+      throw new ApiError(400, `Fee of ${month} is not overdue yet`);
+    }
+
     // Build update object without conflicts
     const updateObj = {
       $setOnInsert: {
@@ -798,15 +954,19 @@ export const IMPOSE_LATE_FINE = async (req, res, next) => {
         month,
         // year,
         status: "not paid",
-        baseAmount: classFee,
+        baseAmount,
+        items,
+        dueDate,
         isAdvancePayment: false,
         // notes: notes || `Late fine imposed on ${new Date().toISOString()}`,
       },
       $set: {
         lateFine: true,
-      },
-      $inc: {
-        lateFineAmount: existingPayment?.lateFineAmount ? 0 : lateFine,
+        // the fine owed today, imposing twice doesn't add it again
+        lateFineAmount: Math.max(
+          existingPayment?.lateFineAmount || 0,
+          lateFine
+        ),
       },
     };
     // Only set finePaid if it's not already false in existing document
@@ -817,6 +977,7 @@ export const IMPOSE_LATE_FINE = async (req, res, next) => {
     const payment = await FeePayment.findOneAndUpdate(
       {
         student: studentId,
+        academicSession: academicSession._id,
         month,
       },
       updateObj,
@@ -832,6 +993,14 @@ export const IMPOSE_LATE_FINE = async (req, res, next) => {
       throw new ApiError(500, "Failed to create/update payment record");
     }
 
+    // late fine waivers of the student apply to the new fine
+    await applyConcessions(
+      student._id,
+      academicSession,
+      { months: [month] },
+      session
+    );
+
     const createdPayment = await FeePayment.findById(payment._id)
       .populate("student", "name")
       .session(session)
@@ -861,68 +1030,64 @@ export const IMPOSE_LATE_FINE = async (req, res, next) => {
         const field = Object.keys(error.keyValue)[0];
         message = `Duplicate key error: A student with this ${field} already exists`;
       }
-      res.status(409).json({
+      return res.status(409).json({
         success: false,
         message,
       });
     }
 
-    res.status(error.code || 500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message,
     });
   }
 };
 
+// Every student of the class with their paid, unpaid and fined months and what they
+// owe. ?month= or ?from=&to= pick the months, by default the months started so far.
 export const GET_FEE_PAYMENT_STATUS_BY_CLASS = async (req, res) => {
   const { classId } = req.params;
-  const { month } = req.query;
 
   try {
-    if (!month) throw new ApiError(400, "Month is required");
     if (!isValidObjectId(classId)) {
       throw new ApiError(400, "Invalid class ID");
     }
 
-    const students = await Student.find({ studentClass: classId })
-      .select("_id name")
+    const studentClass = await StudentAcademicClass.findById(classId)
+      .select("className academicSession")
       .lean();
+    if (!studentClass) {
+      throw new ApiError(404, "Class not found");
+    }
 
-    const feePayments = await FeePayment.find({
-      student: { $in: students.map((s) => s._id) },
-      month,
-    }).lean();
-
-    const paymentMap = new Map(
-      feePayments.map((payment) => [payment.student.toString(), payment])
-    );
-
-    const response = students.map((student) => {
-      const payment = paymentMap.get(student._id.toString());
+    // the months and fee structures are those of the session the class belongs to
+    const academicSession = await AcademicSession.findById(
+      studentClass.academicSession
+    ).lean();
+    if (!academicSession) {
+      throw new ApiError(404, "Academic session of the class not found");
+    }
+    const months = resolveReportMonths(academicSession, req.query);
+
+    const students = await Student.find({
+      studentClass: classId,
+      status: { $ne: "alumni" },
+    })
+      .select("name rollNumber studentClass")
+      .sort({ rollNumber: 1, name: 1 })
+      .lean();
 
-      return {
-        student: {
-          _id: student._id,
-          name: student.name,
-        },
-        status: payment?.status || "not paid",
-        details: payment
-          ? {
-              baseAmount: payment.baseAmount,
-              lateFineAmount: payment.lateFineAmount,
-              totalAmount: payment.totalAmount,
-              isLateFeeApplied: payment.lateFineAmount > 0,
-            }
-          : null,
-      };
-    });
+    const report = await buildDuesReport(students, academicSession, months);
 
     //* Calculate summary, (paid count, unpaid count, late fee count) statistical data to be displayed in graph
     const summary = {
       totalStudents: students.length,
-      paidCount: feePayments.length,
-      unpaidCount: students.length - feePayments.length,
-      lateFeeCount: feePayments.filter((p) => p.lateFineAmount > 0).length,
+      paidCount: report.filter((row) => row.outstanding === 0).length,
+      unpaidCount: report.filter((row) => row.outstanding > 0).length,
+      lateFeeCount: report.filter((row) => row.finedMonths.length > 0).length,
+      totalOutstanding: roundAmount(
+        report.reduce((total, row) => total + row.outstanding, 0)
+      ),
     };
 
     res
@@ -930,7 +1095,7 @@ export const GET_FEE_PAYMENT_STATUS_BY_CLASS = async (req, res) => {
       .json(
         new ApiResponse(
           200,
-          { summary, students: response },
+          { class: studentClass, months, summary, students: report },
           "Fee status fetched"
         )
       );
@@ -944,6 +1109,130 @@ export const GET_FEE_PAYMENT_STATUS_BY_CLASS = async (req, res) => {
   }
 };
 
+const DEFAULTER_COLUMNS = [
+  { header: "Student", key: "name" },
+  { header: "Roll Number", key: "rollNumber" },
+  { header: "Class", key: "className" },
+  { header: "Unpaid Months", key: "unpaidMonths" },
+  { header: "Late Fine", key: "lateFineAmount" },
+  { header: "Outstanding", key: "outstanding" },
+];
+
+// Students of the whole school who owe fees, largest amount first. Takes the same
+// month filters as the class report, ?minAmount= and ?format=csv|pdf for downloads.
+export const GET_FEE_DEFAULTERS = async (req, res) => {
+  const { format = "json" } = req.query;
+  const minAmount = Number(req.query.minAmount) || 0;
+
+  try {
+    if (!["json", "csv", "pdf"].includes(format)) {
+      throw new ApiError(400, "Format must be json, csv or pdf");
+    }
+
+    const academicSession = await resolveAcademicSession(req);
+    const months = resolveReportMonths(academicSession, req.query);
+
+    const classes = await StudentAcademicClass.find({
+      academicSession: academicSession._id,
+    })
+      .select("_id")
+      .lean();
+    const students = await Student.find({
+      studentClass: { $in: classes.map((studentClass) => studentClass._id) },
+      status: { $ne: "alumni" },
+    })
+      .select("name rollNumber studentClass")
+      .lean();
+
+    const report = await buildDuesReport(students, academicSession, months);
+    const defaulters = report
+      .filter((row) => row.outstanding > 0 && row.outstanding >= minAmount)
+      .sort((a, b) => b.outstanding - a.outstanding);
+
+    if (format === "json") {
+      return res.status(200).json(
+        new ApiResponse(
+          200,
+          {
+            months,
+            count: defaulters.length,
+            totalOutstanding: roundAmount(
+              defaulters.reduce((total, row) => total + row.outstanding, 0)
+            ),
+            defaulters,
+          },
+          "Fee defaulters fetched successfully"
+        )
+      );
+    }
+
+    const rows = defaulters.map((row) => ({
+      name: row.student.name,
+      rollNumber: row.student.rollNumber ?? "",
+      className: row.className ?? "",
+      unpaidMonths: row.unpaidMonths.join(", "),
+      lateFineAmount: row.months.reduce(
+        (total, month) => total + month.lateFineAmount,
+        0
+      ),
+      outstanding: row.outstanding,
+    }));
+    const fileName = `fee-defaulters-${academicSession.name}`;
+
+    if (format === "csv") {
+      const { buffer, contentType, extension } = await buildSpreadsheet(
+        DEFAULTER_COLUMNS,
+        rows
+      );
+      return res
+        .status(200)
+        .set({
+          "Content-Type": contentType,
+          "Content-Disposition": `attachment; filename="${fileName}.${extension}"`,
+        })
+        .send(buffer);
+    }
+
+    const pdf = await renderPdf((doc) => {
+      drawSchoolHeader(doc, `Fee Defaulters - ${academicSession.name}`);
+      doc.text(`Months: ${months.join(", ")}`);
+      doc.moveDown();
+      drawTable(
+        doc,
+        [
+          { header: "Student", key: "name", width: 120 },
+          { header: "Roll No.", key: "rollNumber", width: 50 },
+          { header: "Class", key: "className", width: 50 },
+          { header: "Unpaid Months", key: "unpaidMonths", width: 150 },
+          {
+            header: "Outstanding",
+            key: "outstanding",
+            width: 125,
+            align: "right",
+          },
+        ],
+        rows.map((row) => ({
+          ...row,
+          outstanding: formatAmount(row.outstanding),
+        }))
+      );
+    });
+
+    return res
+      .status(200)
+      .set({
+        "Content-Type": "application/pdf",
+        "Content-Disposition": `attachment; filename="${fileName}.pdf"`,
+      })
+      .send(pdf);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
 export const GET_FEE_PAYMENT_HISTORY_BY_STUDENT = async (req, res) => {
   const { studentId } = req.params;
   const { month } = req.query;
@@ -954,7 +1243,12 @@ export const GET_FEE_PAYMENT_HISTORY_BY_STUDENT = async (req, res) => {
       throw new ApiError(404, "Student not found.");
     }
 
-    const filter = { student: studentId };
+    const academicSession = await resolveAcademicSession(req);
+
+    const filter = {
+      student: studentId,
+      academicSession: academicSession._id,
+    };
     if (month) {
       filter.month = month; // Filter by month if provided
     }
@@ -971,7 +1265,45 @@ export const GET_FEE_PAYMENT_HISTORY_BY_STUDENT = async (req, res) => {
         )
       );
   } catch (error) {
-    res.status(error.code || 500).json({
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const GET_FEE_BALANCE_BY_STUDENT = async (req, res) => {
+  const { studentId } = req.params;
+
+  try {
+    if (!isValidObjectId(studentId)) {
+      throw new ApiError(400, "Invalid student ID");
+    }
+
+    const student = await Student.findById(studentId).select("name");
+    if (!student) {
+      throw new ApiError(404, "Student not found.");
+    }
+
+    const academicSession = await resolveAcademicSession(req);
+    const balance = await getStudentBalance(student._id, academicSession);
+
+    return res.status(200).json(
+      new ApiResponse(
+        200,
+        {
+          student,
+          academicSession: {
+            _id: academicSession._id,
+            name: academicSession.name,
+          },
+          ...balance,
+        },
+        "Fee balance fetched successfully."
+      )
+    );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message,
     });
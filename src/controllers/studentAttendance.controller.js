@@ -1,6 +1,12 @@
 import { StudentAttendance } from "../models/studentAttendance.model.js";
 import { StudentAcademicClass } from "../models/class.model.js";
 import { Student } from "../models/student.model.js";
+import { resolveAcademicSession } from "../utils/academicSession.utils.js";
+import {
+  getDayOff,
+  getNonWorkingDays,
+  startOfDay,
+} from "../utils/calendar.utils.js";
 
 // allow class teacher to mark attendance for a class on a specific date
 export const MARK_ATTENDANCE = async (req, res) => {
@@ -14,6 +20,14 @@ export const MARK_ATTENDANCE = async (req, res) => {
       return res.status(404).json({ message: "Class not found" });
     }
 
+    // no attendance while the school or the class is off
+    const dayOff = await getDayOff(date, classId);
+    if (dayOff) {
+      return res.status(400).json({
+        message: `Attendance isn't marked on days off, ${new Date(date).toDateString()} is ${dayOff.name}`,
+      });
+    }
+
     // Validate the student IDs
     const studentIds = students.map((s) => s.student);
     const studentsExist = await Student.find({ _id: { $in: studentIds } });
@@ -38,6 +52,7 @@ export const MARK_ATTENDANCE = async (req, res) => {
     const newAttendance = new StudentAttendance({
       date,
       class: classId,
+      academicSession: classExists.academicSession, // same session as the class
       students,
     });
 
@@ -130,8 +145,11 @@ export const FETCH_ATTENDANCE_HISTORY_STUDENT = async (req, res) => {
   const { studentId } = req.params; // Get the student ID from the request parameters
 
   try {
-    // Fetch all attendance records for the student
+    const academicSession = await resolveAcademicSession(req);
+
+    // Fetch all attendance records for the student in the session
     const attendanceHistory = await StudentAttendance.find({
+      academicSession: academicSession._id,
       "students.student": studentId,
     })
       .populate("class", "className section") // Populate class details
@@ -152,13 +170,53 @@ export const FETCH_ATTENDANCE_HISTORY_STUDENT = async (req, res) => {
         .status,
     }));
 
+    // the percentage only counts working days, days marked while off are left out
+    const dates = formattedHistory.map((record) => record.date);
+    const from = new Date(Math.min(...dates));
+    const to = new Date(Math.max(...dates));
+    // a student may have changed class, each class has its own days off
+    const classes = new Map(
+      formattedHistory.map((record) => [
+        String(record.class?._id),
+        record.class?._id,
+      ])
+    );
+    const daysOffByClass = new Map(
+      await Promise.all(
+        [...classes].map(async ([key, classId]) => [
+          key,
+          await getNonWorkingDays(from, to, classId),
+        ])
+      )
+    );
+    const workingDayRecords = formattedHistory.filter(
+      (record) =>
+        !daysOffByClass
+          .get(String(record.class?._id))
+          .has(startOfDay(record.date).getTime())
+    );
+    const presentDays = workingDayRecords.filter(
+      (record) => record.status === "present"
+    ).length;
+
     // Respond with the attendance history
     res.status(200).json({
       message: "Attendance history fetched successfully",
       attendanceHistory: formattedHistory,
+      summary: {
+        workingDays: workingDayRecords.length,
+        presentDays,
+        absentDays: workingDayRecords.length - presentDays,
+        percentage: workingDayRecords.length
+          ? Math.round((presentDays / workingDayRecords.length) * 10000) / 100
+          : null,
+      },
     });
   } catch (error) {
     console.error("Error fetching attendance history:", error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     res.status(500).json({ message: "Internal server error" });
   }
 };
@@ -0,0 +1,145 @@
+import { isValidObjectId } from "mongoose";
+import { Substitution } from "../models/substitution.model.js";
+import { TeachersLeave } from "../models/teacherLeave.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { startOfDay } from "../utils/calendar.utils.js";
+import {
+  assignSubstitute,
+  getAffectedPeriods,
+} from "../utils/substitution.utils.js";
+
+const findLeave = async (leaveId) => {
+  if (!isValidObjectId(leaveId)) {
+    throw new ApiError(400, "Invalid leave request id");
+  }
+  const leave = await TeachersLeave.findById(leaveId).lean();
+  if (!leave) {
+    throw new ApiError(404, "Leave request not found");
+  }
+  return leave;
+};
+
+// the periods a leave leaves uncovered with suggested substitutes, ?from= and ?to=
+export const GET_LEAVE_SUBSTITUTIONS = async (req, res) => {
+  const { leaveId } = req.params;
+  const { from, to } = req.query;
+
+  try {
+    const leave = await findLeave(leaveId);
+    if (
+      [from, to].some((date) => date && Number.isNaN(new Date(date).getTime()))
+    ) {
+      throw new ApiError(400, "Invalid from or to date");
+    }
+
+    const periods = await getAffectedPeriods(leave, { from, to });
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { leave, periods },
+          "Affected periods fetched successfully"
+        )
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const ASSIGN_SUBSTITUTE = async (req, res) => {
+  const { leaveId } = req.params;
+  const { slotId, date, substituteId } = req.body;
+
+  try {
+    if (!isValidObjectId(slotId) || !isValidObjectId(substituteId) || !date) {
+      throw new ApiError(400, "slotId, date and substituteId are required");
+    }
+
+    const leave = await findLeave(leaveId);
+    const substitution = await assignSubstitute(
+      leave,
+      { slotId, date, substituteId },
+      req.user._id
+    );
+
+    return res
+      .status(201)
+      .json(
+        new ApiResponse(201, substitution, "Substitute assigned successfully")
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export const REMOVE_SUBSTITUTION = async (req, res) => {
+  const { substitutionId } = req.params;
+
+  try {
+    if (!isValidObjectId(substitutionId)) {
+      throw new ApiError(400, "Invalid substitution id");
+    }
+
+    const substitution =
+      await Substitution.findByIdAndDelete(substitutionId).lean();
+    if (!substitution) {
+      throw new ApiError(404, "Substitution not found");
+    }
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(200, substitution, "Substitution removed successfully")
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// the logged in teacher's substitutions of the day, today unless ?date= says otherwise
+export const GET_MY_SUBSTITUTIONS = async (req, res) => {
+  try {
+    const date = startOfDay(req.query.date || new Date());
+    if (Number.isNaN(date.getTime())) {
+      throw new ApiError(400, "Invalid date");
+    }
+
+    const substitutions = await Substitution.find({
+      substitute: req.user._id,
+      date,
+    })
+      .populate("slot", "startTime endTime")
+      .populate("class", "className section")
+      .populate("subject", "name")
+      .populate("absentTeacher", "name")
+      .sort({ period: 1 })
+      .lean();
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { date, substitutions },
+          "Substitutions fetched successfully"
+        )
+      );
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -5,18 +5,41 @@ import { StudentAcademicClass } from "../models/class.model.js";
 import { Subject } from "../models/subject.model.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { ApiError } from "../utils/ApiError.js";
-import { TeacherAttendance } from "../models/teacherAttendance.model.js";
+import {
+  TEACHER_ATTENDANCE_STATUSES,
+  TeacherAttendance,
+} from "../models/teacherAttendance.model.js";
 import { PaymentRecord } from "../models/paymentRecord.model.js";
+import { SalaryAdvance } from "../models/salaryAdvance.model.js";
 import { TeachersLeave } from "../models/teacherLeave.model.js";
+import { authCookieOptions, issueAuthTokens } from "../utils/token.utils.js";
+import { createAuthHandlers } from "./auth.controller.js";
+import { resolveAcademicSession } from "../utils/academicSession.utils.js";
+import {
+  buildSpreadsheet,
+  collectValidationErrors,
+  generateInitialPassword,
+  parseSpreadsheet,
+} from "../utils/spreadsheet.utils.js";
+import { hasPermissions, PERMISSIONS } from "../utils/permissions.utils.js";
+import {
+  findLeaveType,
+  getLeaveDates,
+  getLeaveWorkingDates,
+  getSessionOfDate,
+  overlappingLeaveFilter,
+  splitLeaveDays,
+} from "../utils/leave.utils.js";
+import { getDayOff, startOfDay } from "../utils/calendar.utils.js";
+import {
+  buildMusterRoll,
+  MUSTER_ROLL_CODES,
+} from "../utils/teacherAttendance.utils.js";
 
 const generateAccessToken_RefreshToken = async function (userId) {
   try {
     const teacher = await Teacher.findById(userId);
-    const accessToken = teacher.generateAccessToken();
-    const refreshToken = teacher.generateRefreshToken();
-
-    // user.refreshToken = refreshToken;
-    // await user.save({ validateBeforeSave: false });
+    const { accessToken, refreshToken } = await issueAuthTokens(teacher);
 
     return { accessToken, refreshToken };
   } catch (error) {
@@ -27,6 +50,44 @@ const generateAccessToken_RefreshToken = async function (userId) {
   }
 };
 
+// checks that the subjects, classes and class teacher class handed to a teacher exist,
+// shared by registration, assignment and the bulk import
+const validateTeacherAssignments = async (
+  { subjectIds = [], classIds = [], classTeacherId = null },
+  session = null
+) => {
+  if (subjectIds.length !== 0) {
+    const subjects = await Subject.find({ _id: { $in: subjectIds } }).session(
+      session
+    );
+    if (subjects.length !== new Set(subjectIds.map(String)).size) {
+      throw new ApiError(400, "One or more subjects do not exist");
+    }
+  }
+
+  if (classIds.length !== 0) {
+    const classes = await StudentAcademicClass.find({
+      _id: { $in: classIds },
+    }).session(session);
+    if (classes.length !== new Set(classIds.map(String)).size) {
+      throw new ApiError(400, "One or more classes do not exist");
+    }
+  }
+
+  if (classTeacherId) {
+    const classTeacherClass = await StudentAcademicClass.findById(
+      classTeacherId
+    ).session(session);
+    if (!classTeacherClass) {
+      throw new ApiError(400, "Class for classTeacher does not exist");
+    }
+
+    if (classTeacherClass.classTeacher) {
+      throw new ApiError(400, "Class already has a class teacher");
+    }
+  }
+};
+
 export const REGISTER_TEACHER = async (req, res) => {
   const {
     name,
@@ -49,38 +110,10 @@ export const REGISTER_TEACHER = async (req, res) => {
       throw new ApiError(400, "Teacher already exists");
     }
 
-    // Validate subject IDs
-    if (!subjectIds || subjectIds.length !== 0) {
-      const subjects = await Subject.find({ _id: { $in: subjectIds } }).session(
-        session
-      );
-      if (subjects?.length !== subjectIds?.length) {
-        throw new ApiError(400, "One or more subjects do not exist");
-      }
-    }
-
-    // Validate class IDs
-    if (!classIds || classIds.length !== 0) {
-      const classes = await StudentAcademicClass.find({
-        _id: { $in: classIds },
-      }).session(session);
-      if (classes?.length !== classIds?.length) {
-        throw new ApiError(400, "One or more classes do not exist");
-      }
-    }
-
-    if (classTeacherId) {
-      const classTeacherClass = await StudentAcademicClass.findById(
-        classTeacherId
-      ).session(session);
-      if (!classTeacherClass) {
-        throw new ApiError(400, "Class for classTeacher does not exist");
-      }
-
-      if (classTeacherClass.classTeacher) {
-        throw new ApiError(400, "Class already has a class teacher");
-      }
-    }
+    await validateTeacherAssignments(
+      { subjectIds, classIds, classTeacherId },
+      session
+    );
 
     const newTeacher = await Teacher.create(
       [
@@ -113,7 +146,7 @@ export const REGISTER_TEACHER = async (req, res) => {
     if (classTeacherId) {
       await StudentAcademicClass.findByIdAndUpdate(
         classTeacherId,
-        { classTeacher: newTeacher._id }, // Set the classTeacher field
+        { classTeacher: newTeacher[0]._id }, // Set the classTeacher field
         { session }
       );
     }
@@ -164,15 +197,10 @@ export const LOGIN_TEACHER = async (req, res) => {
       "-password -refreshToken"
     );
 
-    const options = {
-      httpOnly: true,
-      secure: true,
-    };
-
     return res
       .status(200)
-      .cookie("accessToken", accessToken, options)
-      .cookie("refreshToken", refreshToken, options)
+      .cookie("accessToken", accessToken, authCookieOptions)
+      .cookie("refreshToken", refreshToken, authCookieOptions)
       .json(
         new ApiResponse(
           200,
@@ -188,6 +216,14 @@ export const LOGIN_TEACHER = async (req, res) => {
   }
 };
 
+export const {
+  REFRESH_TOKEN,
+  LOGOUT,
+  FORGOT_PASSWORD,
+  VERIFY_PASSWORD_OTP,
+  RESET_PASSWORD,
+} = createAuthHandlers(Teacher);
+
 export const CHANGE_PASSWORD = async (req, res) => {
   const { _id: teacherId } = req.user;
   const { oldPassword = "", newPassword = "" } = req.body;
@@ -286,39 +322,78 @@ export const GET_ALL_TEACHERS = async (req, res) => {
 };
 export const SEND_LEAVE_REQUEST = async (req, res) => {
   try {
-    const {  teacherId,teacherName, type,  date } = req.body;
-console.log(req.body)
+    const { type, date, endDate, acceptLossOfPay = false } = req.body;
+    // the request is always raised for the logged in teacher
+    const teacherId = req.user._id;
+    const teacherName = req.user.name;
+
     // Validate required fields
-    if ( !teacherId||!type || !date) {
+    if (!type || !date) {
       return res.status(400).json({
         success: false,
-        message: "Teacher name, email, date, and leave type are required",
+        message: "Date and leave type are required",
       });
     }
 
-   
-    const leaveDate = new Date(date);
+    const leaveType = await findLeaveType(type);
+    const dates = getLeaveDates(date, endDate);
     const currentDate = new Date();
 
     // Check if the leave date is in the past
-    if (leaveDate < currentDate.setHours(0, 0, 0, 0)) {
+    if (dates[0] < currentDate.setHours(0, 0, 0, 0)) {
       return res.status(400).json({
         success: false,
         message: "Date cannot be in the past",
       });
     }
 
-   
-    const leaveCount = await TeachersLeave.countDocuments({ teacherId:teacherId });
+    const overlapping = await TeachersLeave.exists({
+      teacherId: teacherId.toString(),
+      leaveStatus: { $ne: "Rejected" },
+      ...overlappingLeaveFilter(dates[0], dates[dates.length - 1]),
+    });
+    if (overlapping) {
+      return res.status(409).json({
+        success: false,
+        message: "You already have a leave request on these dates",
+      });
+    }
+
+    // weekly offs, holidays and vacations inside the leave aren't taken from the balance
+    const workingDates = await getLeaveWorkingDates(dates[0], dates[dates.length - 1]);
+    if (workingDates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "The school is closed on all of these dates, no leave is needed",
+      });
+    }
 
-    if (leaveCount >= 12) {
+    // the balance of the session the leave starts in pays for all of it
+    const academicSession = await getSessionOfDate(dates[0]);
+    const { lossOfPayDays, available } = await splitLeaveDays(
+      teacherId,
+      leaveType,
+      academicSession,
+      workingDates.length,
+      { countPending: true }
+    );
+    if (lossOfPayDays > 0 && !acceptLossOfPay) {
       return res.status(400).json({
         success: false,
-        message: "All leaves are over. You have already used 12 leave requests.",
+        message: `Only ${available} day(s) of ${leaveType.name} left. Send acceptLossOfPay to take the remaining ${lossOfPayDays} day(s) as loss of pay.`,
       });
     }
 
-    const newLeaveRequest = await TeachersLeave.create({ teacherId,teacherName,type, date });
+    const newLeaveRequest = await TeachersLeave.create({
+      teacherId,
+      teacherName,
+      type: leaveType.code,
+      leaveType: leaveType._id,
+      academicSession: academicSession._id,
+      date: dates[0],
+      endDate: dates[dates.length - 1],
+      days: workingDates.length,
+    });
 
     return res.status(201).json({
       success: true,
@@ -327,6 +402,12 @@ console.log(req.body)
     });
 
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
     console.error(" Error submitting leave request:", error);
     return res.status(500).json({
       success: false,
@@ -379,14 +460,14 @@ export const GET_PAY_DETAILS = async (req, res) => {
 
 export const SEND_ADVANCE_PAY_REQUEST = async (req, res) => {
   try {
-    const { teacherId, amount, date } = req.body;
-    console.log(req.body);
+    const { amount, date } = req.body;
+    const teacherId = req.user._id;
 
     // Validate required fields
-    if (!teacherId || !amount || amount <= 0 || !date) {
+    if (!amount || amount <= 0 || !date) {
       return res.status(400).json({
         success: false,
-        message: "Valid teacher ID, amount, and date are required",
+        message: "Valid amount and date are required",
       });
     }
 
@@ -407,6 +488,25 @@ export const SEND_ADVANCE_PAY_REQUEST = async (req, res) => {
       });
     }
 
+    // the month's approved advance is recovered through payroll, a new request would overwrite it
+    const approvedRequest = await PaymentRecord.findOne({
+      teacher: teacherId,
+      month,
+      advanceStatus: "approved",
+    }).select("_id");
+    if (
+      approvedRequest &&
+      (await SalaryAdvance.exists({
+        paymentRecord: approvedRequest._id,
+        status: { $ne: "cancelled" },
+      }))
+    ) {
+      return res.status(409).json({
+        success: false,
+        message: "You already have an approved advance payment for this month",
+      });
+    }
+
     // Create or update payment record
     const advanceRequest = await PaymentRecord.findOneAndUpdate(
       { teacher: teacherId, month }, // Search criteria
@@ -744,21 +844,7 @@ export const ASSIGN_CLASSES_AND_SUBJECTS_TO_TEACHER = async (req, res) => {
       throw new ApiError(404, "Teacher not found.");
     }
 
-    // Validate class IDs
-    const classesExist = await StudentAcademicClass.find({
-      _id: { $in: classIds },
-    }).session(session);
-    if (classesExist.length !== classIds.length) {
-      throw new ApiError(400, "One or more class IDs are invalid.");
-    }
-
-    // Validate subject IDs
-    const subjectsExist = await Subject.find({
-      _id: { $in: subjectIds },
-    }).session(session);
-    if (subjectsExist.length !== subjectIds.length) {
-      throw new ApiError(400, "One or more subject IDs are invalid.");
-    }
+    await validateTeacherAssignments({ subjectIds, classIds }, session);
 
     // Assign classes to the teacher (avoid duplicates)
     await Teacher.updateOne(
@@ -926,17 +1012,50 @@ export const DELETE_ASSIGNED_SUBJECT_CLASSES = async (req, res) => {
 export const MARK_ATTENDANCE_BY_DATE = async (req, res) => {
   const { date, teacher, status } = req.body;
 
-  if ([date, teacher, status].some((field) => field.trim() === ""))
-    throw new ApiError(400, "All fields are required");
-
   const session = await mongoose.startSession();
   session.startTransaction();
 
   try {
+    if ([date, teacher, status].some((field) => !field || String(field).trim() === ""))
+      throw new ApiError(400, "All fields are required");
+
+    if (!TEACHER_ATTENDANCE_STATUSES.includes(status)) {
+      throw new ApiError(
+        400,
+        `Status must be one of ${TEACHER_ATTENDANCE_STATUSES.join(", ")}`
+      );
+    }
+
+    const day = startOfDay(date);
+    if (Number.isNaN(day.getTime())) throw new ApiError(400, "Invalid date");
+
+    const dayOff = await getDayOff(day);
+    if (dayOff) {
+      throw new ApiError(
+        400,
+        `Attendance isn't marked on days off, ${day.toDateString()} is ${dayOff.name}`
+      );
+    }
+
+    // on-leave only comes from an approved leave
+    const leave = await TeachersLeave.findOne({
+      teacherId: String(teacher),
+      leaveStatus: "Approved",
+      ...overlappingLeaveFilter(day),
+    }).session(session);
+    if (status === "on-leave" && !leave) {
+      throw new ApiError(
+        400,
+        "The teacher has no approved leave on the given date"
+      );
+    }
+
+    const nextDay = new Date(day);
+    nextDay.setDate(nextDay.getDate() + 1);
     const existingAttendance = await TeacherAttendance.findOne({
-      date,
+      date: { $gte: day, $lt: nextDay },
       teacher,
-    });
+    }).session(session);
     if (existingAttendance) {
       throw new ApiError(
         400,
@@ -948,9 +1067,11 @@ export const MARK_ATTENDANCE_BY_DATE = async (req, res) => {
     const newAttendance = await TeacherAttendance.create(
       [
         {
-          date,
+          date: day,
           teacher,
           status,
+          leave: status === "on-leave" ? leave._id : undefined,
+          markedBy: req.user._id,
         },
       ],
       { session }
@@ -974,10 +1095,12 @@ export const MARK_ATTENDANCE_BY_DATE = async (req, res) => {
         )
       );
   } catch (error) {
-    await session.abortTransaction();
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
     session.endSession();
 
-    res.status(error.code || 500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message,
     });
@@ -1017,6 +1140,73 @@ export const GET_TEACHER_ATTENDANCE_HISTORY = async (req, res) => {
   }
 };
 
+// Month's attendance of every teacher, or of ?teacher=<id>, day by day with totals.
+// ?format=csv|xlsx downloads it as a sheet with one column per day.
+export const GET_MUSTER_ROLL = async (req, res) => {
+  const { month, teacher, format = "json" } = req.query;
+
+  try {
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month || "")) {
+      throw new ApiError(400, "Month must be in YYYY-MM format");
+    }
+    if (teacher && !mongoose.isValidObjectId(teacher)) {
+      throw new ApiError(400, "Invalid teacher id");
+    }
+    if (!["json", "csv", "xlsx"].includes(format)) {
+      throw new ApiError(400, "Format must be json, csv or xlsx");
+    }
+
+    const musterRoll = await buildMusterRoll(month, teacher);
+
+    if (format === "json") {
+      return res
+        .status(200)
+        .json(new ApiResponse(200, musterRoll, "Muster roll fetched successfully"));
+    }
+
+    const columns = [
+      { header: "Teacher", key: "name" },
+      ...Array.from({ length: musterRoll.days }, (_, index) => ({
+        header: String(index + 1),
+        key: `day${index + 1}`,
+      })),
+      ...Object.entries(MUSTER_ROLL_CODES).map(([status, code]) => ({
+        header: code,
+        key: status,
+      })),
+      { header: "Present days", key: "presentDays" },
+      { header: "Attendance %", key: "attendancePercentage" },
+    ];
+    const rows = musterRoll.teachers.map((entry) => ({
+      name: entry.name,
+      ...Object.fromEntries(
+        entry.days.map((day, index) => [`day${index + 1}`, day.code])
+      ),
+      ...entry.totals,
+      presentDays: entry.presentDays,
+      attendancePercentage: entry.attendancePercentage,
+    }));
+    const { buffer, contentType, extension } = await buildSpreadsheet(
+      columns,
+      rows,
+      format
+    );
+
+    return res
+      .status(200)
+      .set({
+        "Content-Type": contentType,
+        "Content-Disposition": `attachment; filename="muster-roll-${month}.${extension}"`,
+      })
+      .send(buffer);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
 //* Teacher Transaction Controllers (salary khata book)
 export const ADD_TRANSACTION = async (req, res) => {
   const { teacher, month, status, advancePay, advanceAmount } = req.body;
@@ -1042,6 +1232,14 @@ export const ADD_TRANSACTION = async (req, res) => {
         )
       );
   } catch (error) {
+    // a teacher has one salary record per month
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "A payment record for this teacher and month already exists.",
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: "Failed to add payment record.",
@@ -1170,3 +1368,316 @@ export const GET_PAYMENT_RECORDS_BY_TEACHER = async (req, res) => {
     });
   }
 };
+
+// roster columns, shared by the import and the export so an export can be re-imported.
+// classes are listed by name, subjects as "className: subjectName", separated by ";"
+const TEACHER_SHEET_COLUMNS = [
+  { header: "name", key: "name" },
+  { header: "email", key: "email" },
+  { header: "phoneNumber", key: "phoneNumber" },
+  { header: "qualification", key: "qualification" },
+  { header: "salary", key: "salary" },
+  { header: "assignedClasses", key: "assignedClasses" },
+  { header: "subjects", key: "subjects" },
+  { header: "classTeacher", key: "classTeacher" },
+];
+
+const splitList = (value) =>
+  String(value ?? "")
+    .split(/[;,]/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const nameKey = (...parts) =>
+  parts.map((part) => String(part).trim().toLowerCase()).join(":");
+
+// Bulk teacher registration from a .csv / .xlsx roster, class and subject names are
+// resolved in the academic session. Rows go through the same checks as REGISTER_TEACHER,
+// duplicates of email / phoneNumber are reported per row. dryRun=true only validates.
+export const IMPORT_TEACHERS = async (req, res) => {
+  const dryRun = req.body?.dryRun === "true" || req.query.dryRun === "true";
+
+  const session = await mongoose.startSession();
+
+  try {
+    const rows = await parseSpreadsheet(
+      req.file,
+      TEACHER_SHEET_COLUMNS.map(({ key }) => key)
+    );
+    const academicSession = await resolveAcademicSession(req);
+
+    const classes = await StudentAcademicClass.find({
+      academicSession: academicSession._id,
+    })
+      .select("className")
+      .lean();
+    const classByName = new Map(
+      classes.map((studentClass) => [
+        nameKey(studentClass.className),
+        studentClass,
+      ])
+    );
+    const subjects = await Subject.find({
+      class: { $in: classes.map((studentClass) => studentClass._id) },
+    })
+      .select("name class")
+      .lean();
+    const classNameById = new Map(
+      classes.map((studentClass) => [
+        studentClass._id.toString(),
+        studentClass.className,
+      ])
+    );
+    const subjectByName = new Map(
+      subjects.map((subject) => [
+        nameKey(classNameById.get(subject.class.toString()), subject.name),
+        subject,
+      ])
+    );
+
+    // duplicates against the registered teachers and earlier rows of the file
+    const uniqueFields = ["email", "phoneNumber"];
+    const registeredTeachers = await Teacher.find({
+      $or: uniqueFields.map((field) => ({
+        [field]: {
+          $in: rows.map(({ data }) => data[field]).filter(Boolean),
+        },
+      })),
+    })
+      .select("email phoneNumber")
+      .lean();
+    const takenValues = Object.fromEntries(
+      uniqueFields.map((field) => [
+        field,
+        new Set(registeredTeachers.map((teacher) => teacher[field])),
+      ])
+    );
+    const seenValues = Object.fromEntries(
+      uniqueFields.map((field) => [field, new Set()])
+    );
+    const classTeacherRows = new Set();
+
+    const invalidRows = [];
+    const validRows = [];
+    for (const { row, data } of rows) {
+      const errors = {};
+      const {
+        assignedClasses,
+        subjects: subjectNames,
+        classTeacher,
+        ...fields
+      } = data;
+
+      const classIds = [];
+      for (const className of splitList(assignedClasses)) {
+        const studentClass = classByName.get(nameKey(className));
+        if (!studentClass) {
+          errors.assignedClasses = `Class ${className} not found in session ${academicSession.name}`;
+          continue;
+        }
+        classIds.push(studentClass._id);
+      }
+
+      const subjectIds = [];
+      for (const entry of splitList(subjectNames)) {
+        const [className, subjectName] = entry
+          .split(":")
+          .map((part) => part.trim());
+        const subject =
+          subjectName && subjectByName.get(nameKey(className, subjectName));
+        if (!subject) {
+          errors.subjects = `Subject ${entry} not found, use "className: subjectName"`;
+          continue;
+        }
+        subjectIds.push(subject._id);
+        // teaching a subject of a class means being assigned to that class
+        if (!classIds.some((classId) => classId.equals(subject.class))) {
+          classIds.push(subject.class);
+        }
+      }
+
+      let classTeacherId = null;
+      if (classTeacher) {
+        const studentClass = classByName.get(nameKey(classTeacher));
+        if (!studentClass) {
+          errors.classTeacher = `Class ${classTeacher} not found in session ${academicSession.name}`;
+        } else if (classTeacherRows.has(studentClass._id.toString())) {
+          errors.classTeacher = "Class has another class teacher in the file";
+        } else {
+          classTeacherId = studentClass._id;
+          classTeacherRows.add(studentClass._id.toString());
+        }
+      }
+
+      const password = generateInitialPassword();
+      const teacher = new Teacher({
+        ...fields,
+        password,
+        subject: subjectIds,
+        assignedClasses: classIds,
+        classTeacher: classTeacherId,
+      });
+      Object.assign(errors, await collectValidationErrors(teacher));
+
+      for (const field of uniqueFields) {
+        const value = teacher[field];
+        if (!value) continue;
+
+        if (takenValues[field].has(value)) {
+          errors[field] = `A teacher with this ${field} is already registered`;
+        } else if (seenValues[field].has(value)) {
+          errors[field] = `${field} appears more than once in the file`;
+        }
+        seenValues[field].add(value);
+      }
+
+      if (Object.keys(errors).length === 0) {
+        try {
+          await validateTeacherAssignments({
+            subjectIds,
+            classIds,
+            classTeacherId,
+          });
+        } catch (error) {
+          if (!error.statusCode) throw error;
+          errors.assignments = error.message;
+        }
+      }
+
+      if (Object.keys(errors).length > 0) {
+        invalidRows.push({ row, errors });
+      } else {
+        validRows.push({ row, teacher, password });
+      }
+    }
+
+    if (!dryRun && validRows.length > 0) {
+      session.startTransaction();
+
+      // create runs the password hashing save hook for every teacher
+      await Teacher.create(
+        validRows.map(({ teacher }) => teacher.toObject()),
+        { session, ordered: true }
+      );
+
+      const classTeacherOps = validRows
+        .filter(({ teacher }) => teacher.classTeacher)
+        .map(({ teacher }) => ({
+          updateOne: {
+            filter: { _id: teacher.classTeacher },
+            update: { classTeacher: teacher._id },
+          },
+        }));
+      if (classTeacherOps.length > 0) {
+        await StudentAcademicClass.bulkWrite(classTeacherOps, { session });
+      }
+
+      await session.commitTransaction();
+    }
+    session.endSession();
+
+    const teachers = validRows.map(({ row, teacher, password }) => ({
+      row,
+      _id: teacher._id,
+      name: teacher.name,
+      email: teacher.email,
+      // initial passwords are only handed out for created teachers
+      ...(!dryRun && { password }),
+    }));
+
+    const created = !dryRun && validRows.length > 0;
+    return res.status(created ? 201 : 200).json(
+      new ApiResponse(
+        created ? 201 : 200,
+        {
+          dryRun,
+          academicSession: academicSession.name,
+          totalRows: rows.length,
+          validRows: validRows.length,
+          invalidRows: invalidRows.length,
+          errors: invalidRows,
+          teachers,
+        },
+        dryRun
+          ? "Import preview, nothing was saved"
+          : `${validRows.length} teachers imported`
+      )
+    );
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    session.endSession();
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Full teacher roster as a .csv (default) or ?format=xlsx download, assignments of the
+// academic session are flattened into columns. Salaries are left out without payroll:read.
+export const EXPORT_TEACHERS = async (req, res) => {
+  const format = req.query.format === "xlsx" ? "xlsx" : "csv";
+
+  try {
+    const academicSession = await resolveAcademicSession(req);
+    const canReadSalary = await hasPermissions(req.role, [
+      PERMISSIONS.PAYROLL_READ,
+    ]);
+
+    const teachers = await Teacher.find()
+      .select("-password")
+      .populate("assignedClasses", "className academicSession")
+      .populate("classTeacher", "className academicSession")
+      .populate({
+        path: "subject",
+        select: "name class",
+        populate: { path: "class", select: "className academicSession" },
+      })
+      .sort({ name: 1 })
+      .lean();
+
+    const inSession = (studentClass) =>
+      studentClass?.academicSession?.equals(academicSession._id);
+
+    const rows = teachers.map((teacher) => ({
+      name: teacher.name,
+      email: teacher.email,
+      phoneNumber: teacher.phoneNumber,
+      qualification: teacher.qualification,
+      salary: canReadSalary ? teacher.salary : "",
+      assignedClasses: (teacher.assignedClasses || [])
+        .filter(inSession)
+        .map((studentClass) => studentClass.className)
+        .join("; "),
+      subjects: (teacher.subject || [])
+        .filter((subject) => inSession(subject?.class))
+        .map((subject) => `${subject.class.className}: ${subject.name}`)
+        .join("; "),
+      classTeacher: inSession(teacher.classTeacher)
+        ? teacher.classTeacher.className
+        : "",
+    }));
+
+    const { buffer, contentType, extension } = await buildSpreadsheet(
+      TEACHER_SHEET_COLUMNS,
+      rows,
+      format
+    );
+
+    return res
+      .status(200)
+      .set({
+        "Content-Type": contentType,
+        "Content-Disposition": `attachment; filename="teachers-${academicSession.name}.${extension}"`,
+      })
+      .send(buffer);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,161 @@
+import { isValidObjectId } from "mongoose";
+import { StudentAcademicClass } from "../models/class.model.js";
+import { Subject } from "../models/subject.model.js";
+import { Substitution } from "../models/substitution.model.js";
+import { Teacher } from "../models/teacher.model.js";
+import { TimetableSlot, WEEKDAYS } from "../models/timetableSlot.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import {
+  getCurrentAcademicSession,
+  resolveAcademicSession,
+} from "../utils/academicSession.utils.js";
+import { startOfDay } from "../utils/calendar.utils.js";
+
+// a period of a class's timetable, taken by a teacher of the subject
+export const ADD_TIMETABLE_SLOT = async (req, res) => {
+  const { classId, subjectId, teacherId, day, period, startTime, endTime } =
+    req.body;
+
+  try {
+    if (![classId, subjectId, teacherId].every(isValidObjectId)) {
+      throw new ApiError(
+        400,
+        "Valid classId, subjectId and teacherId are required"
+      );
+    }
+    if (!WEEKDAYS.includes(day)) {
+      throw new ApiError(400, `Day must be one of ${WEEKDAYS.join(", ")}`);
+    }
+
+    const [academicClass, subject, teacher] = await Promise.all([
+      StudentAcademicClass.findById(classId).select("academicSession").lean(),
+      Subject.findById(subjectId).select("class teacher").lean(),
+      Teacher.findById(teacherId).select("subject").lean(),
+    ]);
+    if (!academicClass) {
+      throw new ApiError(404, "Class not found");
+    }
+    if (!subject || !subject.class.equals(academicClass._id)) {
+      throw new ApiError(404, "Subject not found in this class");
+    }
+    if (!teacher) {
+      throw new ApiError(404, "Teacher not found");
+    }
+    const teachesSubject =
+      subject.teacher.some((id) => id.equals(teacher._id)) ||
+      teacher.subject.some((id) => id.equals(subject._id));
+    if (!teachesSubject) {
+      throw new ApiError(400, "The teacher isn't assigned to this subject");
+    }
+
+    const slot = await TimetableSlot.create({
+      class: academicClass._id,
+      subject: subject._id,
+      teacher: teacher._id,
+      day,
+      period,
+      startTime,
+      endTime,
+      academicSession:
+        academicClass.academicSession ||
+        (await getCurrentAcademicSession())._id,
+    });
+
+    return res
+      .status(201)
+      .json(new ApiResponse(201, slot, "Timetable slot added successfully"));
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "The class or the teacher already has this period",
+      });
+    }
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// ?class=<id>, ?teacher=<id> and ?day= narrow it down, ?academicSession=<id>
+export const GET_TIMETABLE = async (req, res) => {
+  const { class: classId, teacher, day } = req.query;
+
+  try {
+    if (
+      (classId && !isValidObjectId(classId)) ||
+      (teacher && !isValidObjectId(teacher))
+    ) {
+      throw new ApiError(400, "Invalid class or teacher id");
+    }
+    if (day && !WEEKDAYS.includes(day)) {
+      throw new ApiError(400, `Day must be one of ${WEEKDAYS.join(", ")}`);
+    }
+
+    const academicSession = await resolveAcademicSession(req);
+    const filter = { academicSession: academicSession._id };
+    if (classId) filter.class = classId;
+    if (teacher) filter.teacher = teacher;
+    if (day) filter.day = day;
+
+    const slots = await TimetableSlot.find(filter)
+      .populate("class", "className section")
+      .populate("subject", "name")
+      .populate("teacher", "name")
+      .lean();
+    slots.sort(
+      (a, b) =>
+        WEEKDAYS.indexOf(a.day) - WEEKDAYS.indexOf(b.day) || a.period - b.period
+    );
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, slots, "Timetable fetched successfully"));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// a period with substitutions still ahead can't go, they'd point at nothing
+export const DELETE_TIMETABLE_SLOT = async (req, res) => {
+  const { slotId } = req.params;
+
+  try {
+    if (!isValidObjectId(slotId)) {
+      throw new ApiError(400, "Invalid timetable slot id");
+    }
+
+    const upcoming = await Substitution.exists({
+      slot: slotId,
+      date: { $gte: startOfDay(new Date()) },
+    });
+    if (upcoming) {
+      throw new ApiError(
+        409,
+        "This period has substitutions assigned, remove them first"
+      );
+    }
+
+    const slot = await TimetableSlot.findByIdAndDelete(slotId).lean();
+    if (!slot) {
+      throw new ApiError(404, "Timetable slot not found");
+    }
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, slot, "Timetable slot deleted successfully"));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
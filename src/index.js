@@ -1,6 +1,9 @@
 import dotenv from "dotenv";
 import connectDB from "./db/index.js";
 import { app } from "./app.js";
+import { startLateFineJob } from "./jobs/lateFine.job.js";
+import { startFeeReminderJob } from "./jobs/feeReminder.job.js";
+import { isPaymentProviderConfigured } from "./utils/paymentGateway.utils.js";
 
 dotenv.config({
   path: "./.env",
@@ -8,6 +11,12 @@ dotenv.config({
 
 const PORT = process.env.PORT || 8000;
 
+if (!isPaymentProviderConfigured()) {
+  console.warn(
+    "⚠️ No payment provider configured, online fee payments are off"
+  );
+}
+
 app.get("/", (req, res) => {
   res.send("Hello World!👋");
 });
@@ -17,6 +26,11 @@ connectDB()
     app.listen(PORT, () => {
       console.log(`Server is running on port: ${PORT}`);
     });
+
+    // fines overdue fee payments once a day
+    startLateFineJob();
+    // reminds parents before and after fee due dates
+    startFeeReminderJob();
   })
   .catch((error) => {
     console.error("❌ MongoDB connection failed:", error);
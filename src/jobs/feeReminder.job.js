@@ -0,0 +1,167 @@
+import cron from "node-cron";
+import { FeePayment } from "../models/feepayment.model.js";
+import { NOTIFICATION_CHANNELS } from "../models/notificationLog.model.js";
+import { Student } from "../models/student.model.js";
+import { getCurrentAcademicSession } from "../utils/academicSession.utils.js";
+import { getMonthDueDate } from "../utils/fee.utils.js";
+import logger from "../utils/logger.js";
+import {
+  DEFAULT_TEMPLATES,
+  getTemplate,
+  sendNotification,
+} from "../utils/notification.utils.js";
+import { formatAmount, formatDate } from "../utils/pdf.utils.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseList = (value, fallback) =>
+  (value || fallback)
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+// FEE_REMINDER_DAYS_BEFORE / _AFTER are comma separated days around the due date,
+// FEE_REMINDER_CHANNELS the channels reminders go out on
+export const getReminderSchedule = () => {
+  const toDays = (list) =>
+    list.map(Number).filter((days) => Number.isInteger(days) && days > 0);
+
+  return {
+    before: toDays(parseList(process.env.FEE_REMINDER_DAYS_BEFORE, "3")),
+    after: toDays(parseList(process.env.FEE_REMINDER_DAYS_AFTER, "3,10")),
+    channels: parseList(
+      process.env.FEE_REMINDER_CHANNELS,
+      NOTIFICATION_CHANNELS.join(",")
+    ).filter((channel) => NOTIFICATION_CHANNELS.includes(channel)),
+  };
+};
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// unpaid months whose due date is one of the reminder days away from asOf
+export const collectFeeReminders = async (
+  academicSession,
+  asOf = new Date()
+) => {
+  const { before, after } = getReminderSchedule();
+  const feePayments = await FeePayment.find({
+    academicSession: academicSession._id,
+    status: { $ne: "paid" },
+  });
+
+  const reminders = [];
+  for (const feePayment of feePayments) {
+    if (feePayment.balance === 0) continue;
+
+    const dueDate =
+      feePayment.dueDate || getMonthDueDate(academicSession, feePayment.month);
+    if (!dueDate) continue;
+
+    // negative before the due date, positive after it
+    const offset = Math.round(
+      (startOfDay(asOf) - startOfDay(dueDate)) / DAY_MS
+    );
+    let template = null;
+    if (offset < 0 && before.includes(-offset)) template = "fee-due-reminder";
+    if (offset > 0 && after.includes(offset)) template = "fee-overdue-reminder";
+    if (!template) continue;
+
+    reminders.push({ feePayment, dueDate, offset, template });
+  }
+
+  return reminders;
+};
+
+// One pass over the current session. Every reminder goes out once per channel, so a
+// second run on the same day sends nothing new. dryRun lists them without sending.
+export const runFeeReminderJob = async ({
+  asOf = new Date(),
+  dryRun = false,
+} = {}) => {
+  const academicSession = await getCurrentAcademicSession();
+  const { channels } = getReminderSchedule();
+  const reminders = await collectFeeReminders(academicSession, asOf);
+
+  const students = await Student.find({
+    _id: { $in: reminders.map(({ feePayment }) => feePayment.student) },
+    status: { $ne: "alumni" },
+  })
+    .select(
+      "name email phoneNumber parentContact whatsappNumber notificationOptOut"
+    )
+    .lean();
+  const studentsById = new Map(
+    students.map((student) => [student._id.toString(), student])
+  );
+  const due = reminders.filter(({ feePayment }) =>
+    studentsById.has(feePayment.student.toString())
+  );
+
+  if (dryRun) {
+    return {
+      dryRun,
+      channels,
+      entries: due.map(({ feePayment, dueDate, offset, template }) => ({
+        student: feePayment.student,
+        month: feePayment.month,
+        balance: feePayment.balance,
+        dueDate,
+        offset,
+        template,
+      })),
+    };
+  }
+
+  const templates = {};
+  for (const key of Object.keys(DEFAULT_TEMPLATES)) {
+    templates[key] = await getTemplate(key);
+  }
+
+  const summary = { reminders: due.length, sent: 0, failed: 0, skipped: 0 };
+  for (const { feePayment, dueDate, offset, template } of due) {
+    const student = studentsById.get(feePayment.student.toString());
+
+    for (const channel of channels) {
+      const log = await sendNotification({
+        student,
+        channel,
+        template: templates[template],
+        variables: {
+          studentName: student.name,
+          month: feePayment.month,
+          amount: formatAmount(feePayment.balance),
+          dueDate: formatDate(dueDate),
+          daysOverdue: Math.max(offset, 0),
+        },
+        feePayment: feePayment._id,
+        dedupeKey: `${feePayment._id}:${offset}:${channel}`,
+      });
+      // null when an earlier run already sent it
+      if (log) summary[log.status] += 1;
+    }
+  }
+
+  return summary;
+};
+
+export const startFeeReminderJob = () => {
+  if (process.env.FEE_REMINDER_JOB_ENABLED === "false") return null;
+
+  // every day at 09:00 by default, so messages arrive during the day
+  const schedule = process.env.FEE_REMINDER_CRON || "0 9 * * *";
+
+  return cron.schedule(schedule, async () => {
+    try {
+      const summary = await runFeeReminderJob();
+      logger.info(
+        `Fee reminders: ${summary.sent} sent, ${summary.failed} failed, ${summary.skipped} skipped for ${summary.reminders} fee payments`
+      );
+    } catch (error) {
+      logger.error(`Fee reminder run failed: ${error.message}`);
+    }
+  });
+};
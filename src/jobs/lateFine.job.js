@@ -0,0 +1,193 @@
+import cron from "node-cron";
+import { StudentAcademicClass } from "../models/class.model.js";
+import { FeePayment } from "../models/feepayment.model.js";
+import { LateFineRun } from "../models/lateFineRun.model.js";
+import { Student } from "../models/student.model.js";
+import { getCurrentAcademicSession } from "../utils/academicSession.utils.js";
+import { getDayOff, getNonWorkingDays } from "../utils/calendar.utils.js";
+import {
+  applyConcessions,
+  computeLateFine,
+  getLateFineRule,
+  getMonthDueDate,
+} from "../utils/fee.utils.js";
+import logger from "../utils/logger.js";
+
+const toRunDate = (date) => date.toISOString().slice(0, 10);
+
+// Works out the fine every unpaid month of an active student owes on asOf. The fine
+// is set to what the rule gives, never added to, so running twice changes nothing.
+export const collectLateFines = async (academicSession, asOf = new Date()) => {
+  const feePayments = await FeePayment.find({
+    academicSession: academicSession._id,
+    status: { $ne: "paid" },
+  });
+
+  const students = await Student.find({
+    _id: { $in: feePayments.map((feePayment) => feePayment.student) },
+    status: { $ne: "alumni" },
+  })
+    .select("studentClass")
+    .lean();
+  const classIdByStudent = new Map(
+    students.map((student) => [
+      student._id.toString(),
+      student.studentClass?.toString(),
+    ])
+  );
+
+  const classes = await StudentAcademicClass.find({
+    _id: { $in: students.map((student) => student.studentClass) },
+  })
+    .select("lateFineAmount lateFineRule")
+    .lean();
+  const ruleByClass = new Map(
+    classes.map((studentClass) => [
+      studentClass._id.toString(),
+      getLateFineRule(studentClass),
+    ])
+  );
+  // fines don't run on while the school or the class is off
+  const daysOffByClass = new Map();
+  for (const studentClass of classes) {
+    daysOffByClass.set(
+      studentClass._id.toString(),
+      await getNonWorkingDays(academicSession.startDate, asOf, studentClass._id)
+    );
+  }
+
+  const fines = [];
+  let checkedCount = 0;
+  for (const feePayment of feePayments) {
+    const classId = classIdByStudent.get(feePayment.student.toString());
+    if (!classId || feePayment.balance === 0) continue;
+    checkedCount += 1;
+
+    const dueDate =
+      feePayment.dueDate || getMonthDueDate(academicSession, feePayment.month);
+    const lateFineAmount = computeLateFine(
+      ruleByClass.get(classId),
+      dueDate,
+      asOf,
+      daysOffByClass.get(classId)
+    );
+    const previousAmount = feePayment.lateFineAmount || 0;
+    if (lateFineAmount > previousAmount) {
+      fines.push({
+        feePayment: feePayment._id,
+        student: feePayment.student,
+        month: feePayment.month,
+        previousAmount,
+        lateFineAmount,
+      });
+    }
+  }
+
+  return { checkedCount, fines };
+};
+
+// one pass over the current session, logged as a LateFineRun unless dryRun
+export const runLateFineJob = async ({
+  trigger = "scheduled",
+  triggeredBy,
+  asOf = new Date(),
+  dryRun = false,
+} = {}) => {
+  const academicSession = await getCurrentAcademicSession();
+
+  if (dryRun) {
+    const { checkedCount, fines } = await collectLateFines(
+      academicSession,
+      asOf
+    );
+    return {
+      dryRun,
+      academicSession: academicSession._id,
+      checkedCount,
+      finedCount: fines.length,
+      entries: fines,
+    };
+  }
+
+  // the unique index lets only one scheduled run a day through
+  const run = await LateFineRun.create({
+    academicSession: academicSession._id,
+    trigger,
+    triggeredBy,
+    runDate: toRunDate(asOf),
+  });
+
+  try {
+    const { checkedCount, fines } = await collectLateFines(
+      academicSession,
+      asOf
+    );
+
+    for (const fine of fines) {
+      // skipped when a payment or another run got to the month first
+      const { modifiedCount } = await FeePayment.updateOne(
+        {
+          _id: fine.feePayment,
+          status: { $ne: "paid" },
+          lateFineAmount: fine.previousAmount || { $in: [0, null] },
+        },
+        {
+          $set: {
+            lateFine: true,
+            lateFineAmount: fine.lateFineAmount,
+            finePaid: false,
+          },
+        }
+      );
+      if (modifiedCount === 0) continue;
+      // late fine waivers grow with the fine
+      await applyConcessions(fine.student, academicSession, {
+        months: [fine.month],
+      });
+
+      run.entries.push(fine);
+      run.totalFineAdded += fine.lateFineAmount - fine.previousAmount;
+    }
+
+    run.checkedCount = checkedCount;
+    run.finedCount = run.entries.length;
+    run.status = "completed";
+    run.finishedAt = new Date();
+    await run.save();
+  } catch (error) {
+    run.status = "failed";
+    run.error = error.message;
+    run.finishedAt = new Date();
+    await run.save();
+    throw error;
+  }
+
+  return run;
+};
+
+export const startLateFineJob = () => {
+  if (process.env.LATE_FINE_JOB_ENABLED === "false") return null;
+
+  // every day at 01:00 by default, fines only apply to months past their due date
+  const schedule = process.env.LATE_FINE_CRON || "0 1 * * *";
+
+  return cron.schedule(schedule, async () => {
+    try {
+      // nothing accrues on a day the whole school is off
+      const dayOff = await getDayOff(new Date());
+      if (dayOff) {
+        logger.info(`Late fine run skipped, today is ${dayOff.name}`);
+        return;
+      }
+
+      const run = await runLateFineJob();
+      logger.info(
+        `Late fine run ${run._id}: ${run.finedCount} of ${run.checkedCount} fee payments fined`
+      );
+    } catch (error) {
+      // another instance already ran today
+      if (error.code === 11000) return;
+      logger.error(`Late fine run failed: ${error.message}`);
+    }
+  });
+};
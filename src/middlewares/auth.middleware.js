@@ -2,6 +2,8 @@ import jwt from "jsonwebtoken";
 import { Student } from "../models/student.model.js";
 import { Teacher } from "../models/teacher.model.js";
 import { Principal } from "../models/principal.model.js";
+import { Guardian } from "../models/guardian.model.js";
+import { Staff } from "../models/staff.model.js";
 
 export const VERIFY_TOKEN = async (req, res, next) => {
   try {
@@ -33,6 +35,19 @@ export const VERIFY_TOKEN = async (req, res, next) => {
           "-password -refreshToken"
         );
         break;
+      case "guardian":
+        user = await Guardian.findById(decodedToken._id).select(
+          "-password -refreshToken"
+        );
+        break;
+      case "vice-principal":
+      case "accountant":
+      case "clerk":
+        user = await Staff.findOne({
+          _id: decodedToken._id,
+          role: decodedToken.role, // token is stale once the staff's role changes
+        }).select("-password -refreshToken");
+        break;
       default:
         return res
           .status(401)
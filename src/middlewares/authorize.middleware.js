@@ -1,19 +1,19 @@
-// We’ll create a middleware that checks the user’s role and allows access based on the following rules:
+import { hasPermissions } from "../utils/permissions.utils.js";
 
-// Principal: Can access all routes (student, teacher, and principal routes).
+// Access is decided by named permissions (see utils/permissions.utils.js), every role gets a
+// configurable permission set. The principal's set is "*", which grants everything.
 
-// Teacher: Can access teacher and student routes.
+// Teacher: Can only enter marks and attendance for the classes and subjects assigned to them,
+// and only reach their own leave, advance and payment records.
 
-// Student: Can only access student routes.
+// Student: Can only read and update their own record.
 
+// Guardian: Can only access guardian routes, read-only and limited to their linked children.
+
+// plain role check, for routes that belong to one kind of account (own profile, password, logout)
 export function authorize(allowedRoles) {
   return (req, res, next) => {
-    const userRole = req.user.role || req.role;
-
-    // Principal has access to everything
-    if (userRole === "principal") {
-      return next();
-    }
+    const userRole = req.role || req.user.role;
 
     // Check if the user's role is allowed
     if (allowedRoles.includes(userRole)) {
@@ -24,3 +24,98 @@ export function authorize(allowedRoles) {
     return res.status(403).json({ message: "Access denied" });
   };
 }
+
+// the caller's role must hold every listed permission
+export function requirePermission(...permissions) {
+  return async (req, res, next) => {
+    try {
+      const userRole = req.role || req.user.role;
+
+      if (await hasPermissions(userRole, permissions)) {
+        return next();
+      }
+
+      return res.status(403).json({
+        message: `Access denied, missing permission: ${permissions.join(", ")}`,
+      });
+    } catch (error) {
+      console.error("Error in requirePermission middleware:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  };
+}
+
+// Teachers may only work on their own classes and subjects. getClassIds / getSubjectIds
+// pull the ids the request touches and may be async to look them up on the record the
+// request points at, other roles are not affected.
+export function requireTeacherAssignment({
+  getClassIds = () => [],
+  getSubjectIds = () => [],
+} = {}) {
+  return async (req, res, next) => {
+    const userRole = req.role || req.user.role;
+    if (userRole !== "teacher") {
+      return next();
+    }
+
+    const toIds = (value) =>
+      (Array.isArray(value) ? value : [value])
+        .filter(Boolean)
+        .map((id) => id.toString());
+
+    const assignedClasses = toIds([
+      ...(req.user.assignedClasses || []),
+      req.user.classTeacher,
+    ]);
+    const assignedSubjects = toIds(req.user.subject || []);
+
+    try {
+      const classIds = toIds(await getClassIds(req));
+      const subjectIds = toIds(await getSubjectIds(req));
+
+      if (classIds.some((classId) => !assignedClasses.includes(classId))) {
+        return res
+          .status(403)
+          .json({ message: "Access denied, class is not assigned to you" });
+      }
+
+      if (
+        subjectIds.some((subjectId) => !assignedSubjects.includes(subjectId))
+      ) {
+        return res
+          .status(403)
+          .json({ message: "Access denied, subject is not assigned to you" });
+      }
+
+      return next();
+    } catch (error) {
+      console.error("Error in requireTeacherAssignment middleware:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  };
+}
+
+// Students and teachers may only reach records they own: when the caller has ownerRole,
+// getOwnerId must resolve to their own id. Every other role needs the listed permissions.
+export function requireSelfOrPermission(ownerRole, getOwnerId, ...permissions) {
+  const checkPermission = requirePermission(...permissions);
+
+  return (req, res, next) => {
+    const userRole = req.role || req.user.role;
+
+    if (userRole === ownerRole) {
+      const ownerId = getOwnerId(req);
+      if (ownerId && ownerId.toString() === req.user._id.toString()) {
+        return next();
+      }
+
+      return res
+        .status(403)
+        .json({
+          message: "Access denied, you can only access your own record",
+        });
+    }
+
+    return checkPermission(req, res, next);
+  };
+}
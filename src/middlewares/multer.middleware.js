@@ -17,3 +17,31 @@ export const upload = multer({
     fileSize: 1024 * 1024 * 10,
   },
 });
+
+// spreadsheets for bulk imports are parsed straight from memory
+const SPREADSHEET_EXTENSIONS = /\.(csv|xlsx)$/i;
+
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 1024 * 1024 * 2,
+  },
+  fileFilter: function (req, file, cb) {
+    if (!SPREADSHEET_EXTENSIONS.test(file.originalname)) {
+      return cb(new Error("Only .csv and .xlsx files can be imported"));
+    }
+
+    cb(null, true);
+  },
+});
+
+// rejected or oversized files answer with a 400 instead of reaching the default error handler
+export const singleSpreadsheet = (fieldName) => (req, res, next) => {
+  spreadsheetUpload.single(fieldName)(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    next();
+  });
+};
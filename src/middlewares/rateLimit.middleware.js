@@ -0,0 +1,13 @@
+import { rateLimit } from "express-rate-limit";
+
+// forgot-password / verify-otp / reset-password, per ip
+export const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 10,
+  standardHeaders: "draft-7",
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: "Too many password reset requests, please try again later",
+  },
+});
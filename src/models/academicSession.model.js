@@ -0,0 +1,46 @@
+import mongoose, { Schema } from "mongoose";
+
+const academicSessionSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Name is required while creating an academic session"],
+      unique: true,
+      trim: true,
+    }, // e.g., "2024-25"
+    startDate: {
+      type: Date,
+      required: [
+        true,
+        "Start date is required while creating an academic session",
+      ],
+    },
+    endDate: {
+      type: Date,
+      required: [
+        true,
+        "End date is required while creating an academic session",
+      ],
+      validate: {
+        validator: function (value) {
+          return !this.startDate || value > this.startDate;
+        },
+        message: "End date must be after the start date",
+      },
+    },
+    // classes, fees, marks, exams and attendance default to the current session
+    isCurrent: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+
+// only one session can be the current one
+academicSessionSchema.index(
+  { isCurrent: 1 },
+  { unique: true, partialFilterExpression: { isCurrent: true } }
+);
+
+export const AcademicSession = mongoose.model(
+  "AcademicSession",
+  academicSessionSchema
+);
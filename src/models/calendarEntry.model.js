@@ -0,0 +1,43 @@
+import mongoose, { Schema } from "mongoose";
+
+// holidays and vacations are days off, exam days and half-days are still working days
+export const CALENDAR_ENTRY_TYPES = ["holiday", "vacation", "exam", "half-day"];
+export const NON_WORKING_ENTRY_TYPES = ["holiday", "vacation"];
+
+// A day or run of days on the school calendar, both ends included. Entries without
+// classes apply to the whole school, the rest only to the classes listed.
+const calendarEntrySchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Name is required while adding a calendar entry"],
+      trim: true,
+    }, // e.g., "Diwali", "Summer vacation"
+    type: { type: String, enum: CALENDAR_ENTRY_TYPES, default: "holiday" },
+    startDate: {
+      type: Date,
+      required: [true, "Start date is required while adding a calendar entry"],
+    },
+    endDate: {
+      type: Date,
+      required: [true, "End date is required while adding a calendar entry"],
+      validate: {
+        validator: function (value) {
+          return !this.startDate || value >= this.startDate;
+        },
+        message: "End date can't be before the start date",
+      },
+    },
+    classes: [{ type: Schema.Types.ObjectId, ref: "StudentAcademicClass" }],
+    description: { type: String, trim: true },
+    createdBy: { type: Schema.Types.ObjectId },
+  },
+  { timestamps: true }
+);
+
+calendarEntrySchema.index({ startDate: 1, endDate: 1 });
+
+export const CalendarEntry = mongoose.model(
+  "CalendarEntry",
+  calendarEntrySchema
+);
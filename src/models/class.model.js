@@ -4,7 +4,6 @@ const classSchema = new Schema({
   className: {
     type: String,
     required: [true, "Class name is required, while registrating a class"],
-    unique: [true, "Please provide a unique class name"],
   }, // e.g., "10A", "5B"
   section: {
     type: String,
@@ -20,8 +19,25 @@ const classSchema = new Schema({
   timeTable: { type: String },
   fee: { type: Number, require: true },
   lateFineAmount: { type: Number, require: true },
+  // applied by the late fine job, classes without a rule fall back to a flat lateFineAmount
+  lateFineRule: {
+    type: {
+      type: String,
+      enum: ["flat", "per-day"],
+    },
+    amount: { type: Number, min: 0 }, // flat fine, or the fine per day late
+    cap: { type: Number, min: 0 }, // per-day fines stop growing here
+    graceDays: { type: Number, min: 0, default: 0 },
+  },
+  academicSession: {
+    type: Schema.Types.ObjectId,
+    ref: "AcademicSession",
+  },
 });
 
+// class names are unique within an academic session
+classSchema.index({ className: 1, academicSession: 1 }, { unique: true });
+
 export const StudentAcademicClass = mongoose.model(
   "StudentAcademicClass",
   classSchema
@@ -0,0 +1,88 @@
+import mongoose, { Schema } from "mongoose";
+
+export const CONCESSION_TYPES = [
+  "sibling",
+  "staff-ward",
+  "merit",
+  "late-fine-waiver",
+  "other",
+];
+export const CONCESSION_STATUSES = [
+  "pending",
+  "approved",
+  "rejected",
+  "revoked",
+];
+
+// A discount on a student's fees, only approved concessions reduce the dues.
+// late-fine-waiver discounts the late fine, every other type the fee heads.
+const concessionSchema = new Schema(
+  {
+    student: {
+      type: Schema.Types.ObjectId,
+      ref: "Student",
+      required: [true, "Student is required while granting a concession"],
+    },
+    academicSession: {
+      type: Schema.Types.ObjectId,
+      ref: "AcademicSession",
+      required: [
+        true,
+        "Academic session is required while granting a concession",
+      ],
+    },
+    type: {
+      type: String,
+      enum: CONCESSION_TYPES,
+      required: [true, "Type is required while granting a concession"],
+    },
+    discountType: {
+      type: String,
+      enum: ["percentage", "fixed"],
+      required: [true, "Discount type is required while granting a concession"],
+    },
+    // a percentage, or a fixed amount off each matching head per month
+    value: {
+      type: Number,
+      required: [true, "Value is required while granting a concession"],
+      min: [0.01, "Concession value must be greater than zero"],
+      validate: {
+        validator: function (value) {
+          return this.discountType !== "percentage" || value <= 100;
+        },
+        message: "A percentage concession can't exceed 100",
+      },
+    },
+    // fee head names, empty applies to every head
+    heads: [{ type: String, trim: true }],
+    startDate: {
+      type: Date,
+      required: [true, "Start date is required while granting a concession"],
+    },
+    endDate: {
+      type: Date,
+      validate: {
+        validator: function (value) {
+          return !value || !this.startDate || value >= this.startDate;
+        },
+        message: "End date can't be before the start date",
+      },
+    },
+    reason: { type: String },
+    status: {
+      type: String,
+      enum: CONCESSION_STATUSES,
+      default: "pending",
+    },
+    requestedBy: { type: Schema.Types.ObjectId },
+    requestedByRole: { type: String },
+    reviewedBy: { type: Schema.Types.ObjectId },
+    reviewedAt: { type: Date },
+    reviewNote: { type: String },
+  },
+  { timestamps: true }
+);
+
+concessionSchema.index({ student: 1, academicSession: 1, status: 1 });
+
+export const Concession = mongoose.model("Concession", concessionSchema);
@@ -0,0 +1,27 @@
+import mongoose, { Schema } from "mongoose";
+
+// named sequences, e.g. the receipt numbers of an academic session
+const counterSchema = new Schema({
+  key: {
+    type: String,
+    required: [true, "Key is required while creating a counter"],
+    unique: true,
+  },
+  seq: { type: Number, default: 0 },
+});
+
+export const Counter = mongoose.model("Counter", counterSchema);
+
+// Increments inside the caller's transaction, an aborted transaction gives the number
+// back so the sequence never has gaps. Concurrent callers conflict on the counter
+// document, a caller running session.withTransaction has the losing one retried
+// instead of failed.
+export const getNextSequence = async (key, session = null) => {
+  const counter = await Counter.findOneAndUpdate(
+    { key },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true, session }
+  );
+
+  return counter.seq;
+};
@@ -11,6 +11,10 @@ const examSchema = new Schema(
       required: [true, "Exam date is required while creating an exam"],
     }, // Exam start date
     timetable: { type: String },
+    academicSession: {
+      type: Schema.Types.ObjectId,
+      ref: "AcademicSession",
+    },
   },
   { timestamps: true }
 );
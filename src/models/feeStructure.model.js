@@ -0,0 +1,67 @@
+import mongoose, { Schema } from "mongoose";
+
+export const FEE_FREQUENCIES = ["monthly", "quarterly", "annual", "one-time"];
+
+const feeHeadSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Fee head name is required"],
+      trim: true,
+    }, // e.g., "Tuition", "Transport", "Admission"
+    amount: {
+      type: Number,
+      required: [true, "Fee head amount is required"],
+      min: [0, "Fee head amount cannot be negative"],
+    },
+    // one-time heads are only charged once, in the month a student is admitted
+    frequency: {
+      type: String,
+      enum: FEE_FREQUENCIES,
+      default: "monthly",
+    },
+    dueDay: {
+      type: Number,
+      min: [1, "Due day must be between 1 and 28"],
+      max: [28, "Due day must be between 1 and 28"],
+      default: 10,
+    },
+    // overrides the months picked by the frequency, e.g. ["April", "October"]
+    dueMonths: [{ type: String }],
+  },
+  { _id: false }
+);
+
+const feeStructureSchema = new Schema(
+  {
+    class: {
+      type: Schema.Types.ObjectId,
+      ref: "StudentAcademicClass",
+      required: [true, "Class is required while setting a fee structure"],
+    },
+    academicSession: {
+      type: Schema.Types.ObjectId,
+      ref: "AcademicSession",
+      required: [
+        true,
+        "Academic session is required while setting a fee structure",
+      ],
+    },
+    heads: {
+      type: [feeHeadSchema],
+      validate: {
+        validator: function (heads) {
+          const names = heads.map((head) => head.name.toLowerCase());
+          return new Set(names).size === names.length;
+        },
+        message: "Fee head names must be unique",
+      },
+    },
+  },
+  { timestamps: true }
+);
+
+// one fee structure per class, classes already belong to a single session
+feeStructureSchema.index({ class: 1, academicSession: 1 }, { unique: true });
+
+export const FeeStructure = mongoose.model("FeeStructure", feeStructureSchema);
@@ -0,0 +1,89 @@
+import mongoose, { Schema } from "mongoose";
+
+// online payments come in through the payment gateway only
+export const PAYMENT_MODES = ["cash", "cheque", "upi", "bank", "online"];
+export const TRANSACTION_TYPES = ["payment", "reversal", "refund"];
+
+// One entry of the fee ledger. A payment is money received from a parent, spread over
+// the months it pays for; allocations keep which fee payment got how much. Entries are
+// never edited away: a reversal (booked by mistake) or a refund (money handed back)
+// is its own entry that takes amounts back from the months of the payment it reverses.
+const feeTransactionSchema = new Schema(
+  {
+    student: {
+      type: Schema.Types.ObjectId,
+      ref: "Student",
+      required: [true, "Student is required while recording a payment"],
+    },
+    academicSession: {
+      type: Schema.Types.ObjectId,
+      ref: "AcademicSession",
+      required: [
+        true,
+        "Academic session is required while recording a payment",
+      ],
+    },
+    amount: {
+      type: Number,
+      required: [true, "Amount is required while recording a payment"],
+      min: [0.01, "Amount must be greater than zero"],
+    },
+    mode: {
+      type: String,
+      enum: PAYMENT_MODES,
+      required: [true, "Payment mode is required while recording a payment"],
+    },
+    // cheque number, UPI transaction id, bank reference or gateway transaction id
+    referenceNumber: {
+      type: String,
+      trim: true,
+      required: [
+        function () {
+          return this.mode !== "cash";
+        },
+        "Reference number is required for non-cash payments",
+      ],
+    },
+    collectedBy: {
+      type: Schema.Types.ObjectId,
+      required: [true, "Collector is required while recording a payment"],
+    },
+    collectorRole: { type: String },
+    type: {
+      type: String,
+      enum: TRANSACTION_TYPES,
+      default: "payment",
+    },
+    // reversals and refunds: the payment they take back from
+    reverses: { type: Schema.Types.ObjectId, ref: "FeeTransaction" },
+    reason: { type: String },
+    approvedBy: { type: Schema.Types.ObjectId },
+    // payments: how much reversals and refunds have taken back so far
+    refundedAmount: { type: Number, min: 0, default: 0 },
+    allocations: [
+      {
+        _id: false,
+        feePayment: { type: Schema.Types.ObjectId, ref: "FeePayment" },
+        month: { type: String },
+        amount: { type: Number, min: 0 },
+        refundedAmount: { type: Number, min: 0, default: 0 },
+      },
+    ],
+    paidAt: { type: Date, default: Date.now },
+    // a payment is cancelled once a reversal took all of it back
+    status: {
+      type: String,
+      enum: ["completed", "cancelled"],
+      default: "completed",
+    },
+    notes: { type: String },
+  },
+  { timestamps: true }
+);
+
+feeTransactionSchema.index({ student: 1, academicSession: 1, paidAt: 1 });
+
+export const FeeTransaction = mongoose.model(
+  "FeeTransaction",
+  feeTransactionSchema
+);
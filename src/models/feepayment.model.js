@@ -7,6 +7,10 @@ const feePaymentSchema = new Schema(
       ref: "Student",
       required: [true, "Student is required while registering a fee payment"],
     },
+    academicSession: {
+      type: Schema.Types.ObjectId,
+      ref: "AcademicSession",
+    },
     month: {
       type: String,
       required: [true, "Month is required while registering a fee payment"],
@@ -19,16 +23,29 @@ const feePaymentSchema = new Schema(
         message: (props) => `${props.value} is not a valid month!`,
       },
     },
+    // kept in step with paidAmount, overdue is derived from the due date (dueStatus)
     status: {
       type: String,
-      enum: ["paid", "not paid"],
+      enum: ["paid", "partially paid", "not paid"],
       default: "not paid",
     },
+    // fee heads due this month, generated from the class fee structure
+    items: [
+      {
+        _id: false,
+        head: { type: String },
+        amount: { type: Number, min: 0 },
+      },
+    ],
+    dueDate: { type: Date },
     // fine management
     baseAmount: { type: Number, min: 0 },
     lateFine: { type: Boolean, default: null, min: 0 },
     lateFineAmount: { type: Number, min: 0 },
     finePaid: { type: Boolean, default: false },
+    concessionAmount: { type: Number, min: 0, default: 0 },
+    // sum of the ledger allocations (FeeTransaction) made to this month
+    paidAmount: { type: Number, min: 0, default: 0 },
     // advance payment tracking
     isAdvancePayment: { type: Boolean, default: false },
     paymentDate: {
@@ -48,8 +65,11 @@ const feePaymentSchema = new Schema(
   { timestamps: true, toJSON: { virtuals: true } }
 );
 
-// compound index, fetching fee payments by student and month
-feePaymentSchema.index({ student: 1, month: 1 }, { unique: true });
+// compound index, fetching fee payments by student, session and month
+feePaymentSchema.index(
+  { student: 1, academicSession: 1, month: 1 },
+  { unique: true }
+);
 
 feePaymentSchema.path("lateFineAmount").validate(function (value) {
   if (this.lateFine) {
@@ -62,7 +82,20 @@ feePaymentSchema.path("lateFineAmount").validate(function (value) {
 feePaymentSchema.virtual("totalAmount").get(function () {
   const baseAmount = this.baseAmount || 0;
   const lateFineAmount = this.lateFineAmount || 0;
-  return baseAmount + lateFineAmount;
+  const concessionAmount = this.concessionAmount || 0;
+  return Math.max(baseAmount + lateFineAmount - concessionAmount, 0);
+});
+
+// records marked paid before the ledger existed have no paidAmount
+feePaymentSchema.virtual("balance").get(function () {
+  if (this.status === "paid") return 0;
+  return Math.max(this.totalAmount - (this.paidAmount || 0), 0);
+});
+
+feePaymentSchema.virtual("dueStatus").get(function () {
+  if (this.balance === 0) return "paid";
+  if (this.dueDate && this.dueDate < new Date()) return "overdue";
+  return this.paidAmount > 0 ? "partially paid" : "not paid";
 });
 
 export const FeePayment = mongoose.model("FeePayment", feePaymentSchema);
@@ -0,0 +1,88 @@
+import crypto from "crypto";
+import mongoose, { Schema } from "mongoose";
+import bcrypt from "bcrypt";
+import jwt from "jsonwebtoken";
+
+const guardianSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Guardian name is required while registering a guardian"],
+      trim: true,
+    },
+    email: {
+      type: String,
+      required: [true, "Email is required while registering a guardian"],
+      unique: [true, "Guardian must have a unique email id"],
+      match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, "Invalid email format"],
+      lowercase: true,
+      trim: true,
+    },
+    phoneNumber: {
+      type: String,
+      required: [true, "Phone number is required while registering a guardian"],
+      unique: [true, "Guardian must have a unique phone number"],
+      trim: true,
+    },
+    password: {
+      type: String,
+      required: [true, "Password is required while registering a guardian"],
+      minlength: [6, "Password must be at least 6 characters long"],
+    },
+    relation: {
+      type: String,
+      enum: ["father", "mother", "guardian"],
+      default: "guardian",
+    },
+    // siblings share one guardian account
+    children: [{ type: Schema.Types.ObjectId, ref: "Student" }],
+    role: { type: String, default: "guardian" },
+    // hashed refresh token and the token family it belongs to
+    refreshToken: { type: String, select: false },
+    refreshTokenFamily: { type: String, select: false },
+  },
+  { timestamps: true }
+);
+
+guardianSchema.index({ children: 1 });
+
+guardianSchema.pre("save", async function (next) {
+  if (!this.isModified("password")) return next();
+
+  this.password = await bcrypt.hash(this.password, 10);
+  next();
+});
+
+guardianSchema.methods.comparePassword = async function (candidatePassword) {
+  return await bcrypt.compare(candidatePassword, this.password);
+};
+
+guardianSchema.methods.generateAccessToken = function () {
+  return jwt.sign(
+    {
+      _id: this._id,
+      role: this.role,
+    },
+    process.env.ACCESS_TOKEN_SECRET,
+    {
+      expiresIn: process.env.ACCESS_TOKEN_EXPIRY,
+    }
+  );
+};
+
+guardianSchema.methods.generateRefreshToken = function (family) {
+  return jwt.sign(
+    {
+      _id: this._id,
+      role: this.role,
+      family,
+      jti: crypto.randomUUID(),
+    },
+    process.env.REFRESH_TOKEN_SECRET,
+    {
+      expiresIn: process.env.REFRESH_TOKEN_EXPIRY,
+    }
+  );
+};
+
+export const Guardian = mongoose.model("Guardian", guardianSchema);
@@ -0,0 +1,49 @@
+import mongoose, { Schema } from "mongoose";
+
+// one run of the late fine job, kept for the principal to review
+const lateFineRunSchema = new Schema(
+  {
+    academicSession: {
+      type: Schema.Types.ObjectId,
+      ref: "AcademicSession",
+    },
+    trigger: {
+      type: String,
+      enum: ["scheduled", "manual"],
+      required: [true, "Trigger is required while logging a late fine run"],
+    },
+    triggeredBy: { type: Schema.Types.ObjectId }, // manual runs only
+    runDate: { type: String }, // e.g., "2024-07-15", scheduled runs happen once a day
+    status: {
+      type: String,
+      enum: ["running", "completed", "failed"],
+      default: "running",
+    },
+    startedAt: { type: Date, default: Date.now },
+    finishedAt: { type: Date },
+    checkedCount: { type: Number, default: 0 },
+    finedCount: { type: Number, default: 0 },
+    totalFineAdded: { type: Number, default: 0 },
+    // every fee payment whose fine changed in this run
+    entries: [
+      {
+        _id: false,
+        feePayment: { type: Schema.Types.ObjectId, ref: "FeePayment" },
+        student: { type: Schema.Types.ObjectId, ref: "Student" },
+        month: { type: String },
+        previousAmount: { type: Number },
+        lateFineAmount: { type: Number },
+      },
+    ],
+    error: { type: String },
+  },
+  { timestamps: true }
+);
+
+// a second server instance finds today's scheduled run taken and skips it
+lateFineRunSchema.index(
+  { runDate: 1 },
+  { unique: true, partialFilterExpression: { trigger: "scheduled" } }
+);
+
+export const LateFineRun = mongoose.model("LateFineRun", lateFineRunSchema);
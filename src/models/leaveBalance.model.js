@@ -0,0 +1,37 @@
+import mongoose, { Schema } from "mongoose";
+
+// a teacher's entitlement of one leave type in one academic session
+const leaveBalanceSchema = new Schema(
+  {
+    teacher: {
+      type: Schema.Types.ObjectId,
+      ref: "Teacher",
+      required: true,
+    },
+    leaveType: {
+      type: Schema.Types.ObjectId,
+      ref: "LeaveType",
+      required: true,
+    },
+    academicSession: {
+      type: Schema.Types.ObjectId,
+      ref: "AcademicSession",
+      required: true,
+    },
+    quota: { type: Number, default: 0 },
+    carriedForward: { type: Number, default: 0 }, // from the previous session
+    used: { type: Number, default: 0 }, // days of approved leave
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+leaveBalanceSchema.virtual("remaining").get(function () {
+  return Math.max(this.quota + this.carriedForward - this.used, 0);
+});
+
+leaveBalanceSchema.index(
+  { teacher: 1, leaveType: 1, academicSession: 1 },
+  { unique: true }
+);
+
+export const LeaveBalance = mongoose.model("LeaveBalance", leaveBalanceSchema);
@@ -0,0 +1,32 @@
+import mongoose, { Schema } from "mongoose";
+
+// A kind of leave with its yearly entitlement. Unused days move to the next session
+// when carry forward is on, up to maxCarryForward. Unpaid types are all loss of pay.
+const leaveTypeSchema = new Schema(
+  {
+    code: {
+      type: String,
+      required: [true, "Code is required while creating a leave type"],
+      unique: true,
+      lowercase: true,
+      trim: true,
+    }, // e.g., "casual"
+    name: {
+      type: String,
+      required: [true, "Name is required while creating a leave type"],
+      trim: true,
+    }, // e.g., "Casual Leave"
+    annualQuota: {
+      type: Number,
+      required: [true, "Annual quota is required while creating a leave type"],
+      min: [0, "Annual quota can't be negative"],
+    },
+    carryForward: { type: Boolean, default: false },
+    maxCarryForward: { type: Number, min: 0, default: 0 },
+    paid: { type: Boolean, default: true },
+    isActive: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+export const LeaveType = mongoose.model("LeaveType", leaveTypeSchema);
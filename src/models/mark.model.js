@@ -51,6 +51,10 @@ const markSchema = new Schema(
       type: Number,
       default: 100,
     },
+    academicSession: {
+      type: Schema.Types.ObjectId,
+      ref: "AcademicSession",
+    },
   },
   { timestamps: true }
 );
@@ -60,6 +64,7 @@ markSchema.index({ student: 1 });
 markSchema.index({ class: 1 });
 markSchema.index({ subject: 1 });
 markSchema.index({ exam: 1 });
+markSchema.index({ academicSession: 1, student: 1 });
 markSchema.index({ class: 1, exam: 1 }); // Compound index for fetching marks by class and exam
 
 // Add a unique index for student, class, subject, and exam, reduces redundancy
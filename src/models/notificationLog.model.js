@@ -0,0 +1,43 @@
+import mongoose, { Schema } from "mongoose";
+
+export const NOTIFICATION_CHANNELS = ["email", "sms", "whatsapp"];
+export const NOTIFICATION_STATUSES = ["sending", "sent", "failed", "skipped"];
+
+// one message to one recipient over one channel, kept as the delivery log
+const notificationLogSchema = new Schema(
+  {
+    student: { type: Schema.Types.ObjectId, ref: "Student" },
+    channel: {
+      type: String,
+      enum: NOTIFICATION_CHANNELS,
+      required: [true, "Channel is required while logging a notification"],
+    },
+    template: { type: String, required: true },
+    recipient: { type: String },
+    subject: { type: String },
+    body: { type: String },
+    status: {
+      type: String,
+      enum: NOTIFICATION_STATUSES,
+      default: "sending",
+    },
+    error: { type: String }, // why it failed or was skipped
+    providerMessageId: { type: String },
+    feePayment: { type: Schema.Types.ObjectId, ref: "FeePayment" },
+    // e.g. "<feePaymentId>:-3:sms", a reminder goes out once per channel
+    dedupeKey: { type: String },
+    sentAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+notificationLogSchema.index(
+  { dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $type: "string" } } }
+);
+notificationLogSchema.index({ student: 1, createdAt: -1 });
+
+export const NotificationLog = mongoose.model(
+  "NotificationLog",
+  notificationLogSchema
+);
@@ -0,0 +1,21 @@
+import mongoose, { Schema } from "mongoose";
+
+// the school's wording of a message, the built-in wording is used until one is saved
+const notificationTemplateSchema = new Schema(
+  {
+    key: { type: String, required: true, unique: true }, // e.g., "fee-due-reminder"
+    // email only, sms and whatsapp send the body
+    subject: { type: String, trim: true },
+    body: {
+      type: String,
+      required: [true, "Body is required while saving a notification template"],
+    },
+    updatedBy: { type: Schema.Types.ObjectId },
+  },
+  { timestamps: true }
+);
+
+export const NotificationTemplate = mongoose.model(
+  "NotificationTemplate",
+  notificationTemplateSchema
+);
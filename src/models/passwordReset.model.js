@@ -0,0 +1,31 @@
+import mongoose, { Schema } from "mongoose";
+
+const passwordResetSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      refPath: "userModel",
+      required: [true, "User is required while requesting a password reset"],
+    },
+    userModel: {
+      type: String,
+      enum: ["Student", "Teacher", "Principal", "Guardian", "Staff"],
+      required: true,
+    },
+    otp: { type: String, required: true }, // bcrypt hash of the otp mailed to the user
+    attempts: { type: Number, default: 0 },
+    resetToken: { type: String }, // sha256 hash, issued once the otp is verified
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+// one pending reset per user, a new request replaces the old otp
+passwordResetSchema.index({ user: 1, userModel: 1 }, { unique: true });
+// let mongodb clean up expired requests
+passwordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const PasswordReset = mongoose.model(
+  "PasswordReset",
+  passwordResetSchema
+);
@@ -0,0 +1,75 @@
+import mongoose, { Schema } from "mongoose";
+
+export const PAYMENT_ORDER_STATUSES = [
+  "created",
+  "paid",
+  "failed",
+  "needs-review",
+];
+
+// An online fee payment started by a parent. It turns into a ledger payment once the
+// gateway's webhook confirms it; "needs-review" means the gateway took the money but
+// it couldn't be booked against the months (e.g. they were paid at the counter since).
+// needsReview also flags a paid order the gateway reported paying again.
+const paymentOrderSchema = new Schema(
+  {
+    student: {
+      type: Schema.Types.ObjectId,
+      ref: "Student",
+      required: [true, "Student is required while creating a payment order"],
+    },
+    academicSession: {
+      type: Schema.Types.ObjectId,
+      ref: "AcademicSession",
+      required: [
+        true,
+        "Academic session is required while creating a payment order",
+      ],
+    },
+    months: [{ type: String }],
+    amount: {
+      type: Number,
+      min: 0,
+      required: [true, "Amount is required while creating a payment order"],
+    },
+    currency: { type: String, default: "INR" },
+    provider: { type: String, required: true },
+    providerOrderId: { type: String, required: true, unique: true },
+    // set by the first verified payment webhook, a repeat delivery finds it taken
+    providerTransactionId: { type: String },
+    status: {
+      type: String,
+      enum: PAYMENT_ORDER_STATUSES,
+      default: "created",
+    },
+    createdBy: { type: Schema.Types.ObjectId, required: true },
+    creatorRole: { type: String },
+    transaction: { type: Schema.Types.ObjectId, ref: "FeeTransaction" },
+    receipt: { type: Schema.Types.ObjectId, ref: "Receipt" },
+    paidAt: { type: Date },
+    needsReview: { type: Boolean, default: false },
+    reviewReason: { type: String },
+    // every verified delivery, repeats included
+    webhookEvents: [
+      {
+        _id: false,
+        status: { type: String },
+        providerTransactionId: { type: String },
+        amount: { type: Number },
+        receivedAt: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+paymentOrderSchema.index(
+  { providerTransactionId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { providerTransactionId: { $type: "string" } },
+  }
+);
+paymentOrderSchema.index({ status: 1, createdAt: 1 });
+
+export const PaymentOrder = mongoose.model("PaymentOrder", paymentOrderSchema);
@@ -16,13 +16,36 @@ const paymentRecordSchema = new Schema(
       default: "unpaid",
     },
 
+    // Payroll Fields, filled in by the monthly payroll run
+    payrollRun: { type: Schema.Types.ObjectId, ref: "PayrollRun" },
+    basic: { type: Number },
+    allowances: [
+      { _id: false, name: { type: String }, amount: { type: Number } },
+    ],
+    deductions: [
+      { _id: false, name: { type: String }, amount: { type: Number } },
+    ],
+    grossAmount: { type: Number },
+    totalDeductions: { type: Number },
+    netAmount: { type: Number },
+    lossOfPayDays: { type: Number }, // leave beyond the balance taken this month
+    // advance installments deducted, settled when the run is approved
+    advanceRecoveries: [
+      {
+        _id: false,
+        advance: { type: Schema.Types.ObjectId, ref: "SalaryAdvance" },
+        installment: { type: Schema.Types.ObjectId },
+        amount: { type: Number },
+      },
+    ],
+
     // Advance Payment Fields
     advancePayRequest: { type: Boolean, default: false }, // Whether advance pay was taken
     advanceAmount: { type: Number, default: 0 }, // Amount of advance pay
     advanceRequestDate: { type: Date }, // Date when advance was requested
     advanceStatus: { 
       type: String, 
-      enum: ["pending", "approved", "rejected"], 
+      enum: ["none", "pending", "approved", "rejected"], 
       default: "none"
     }, // Status of advance payment request
     advanceApprovalDate: { type: Date }, // Date when advance was approved/rejected
@@ -30,6 +53,15 @@ const paymentRecordSchema = new Schema(
   { timestamps: true }
 );
 
+// One salary record per teacher and month. The index doesn't build while a database
+// still has duplicates from before it was unique, find them with
+//   db.paymentrecords.aggregate([
+//     { $group: { _id: { teacher: "$teacher", month: "$month" }, ids: { $push: "$_id" }, count: { $sum: 1 } } },
+//     { $match: { count: { $gt: 1 } } },
+//   ])
+// and merge each group into the record with the payrollRun (or the newest one) first.
+paymentRecordSchema.index({ teacher: 1, month: 1 }, { unique: true });
+
 export const PaymentRecord = mongoose.model(
   "PaymentRecord",
   paymentRecordSchema
@@ -0,0 +1,40 @@
+import mongoose, { Schema } from "mongoose";
+
+export const PAYROLL_RUN_STATUSES = ["draft", "approved"];
+
+// The salaries of one month. A draft can be generated again as often as needed,
+// approval locks the run and its payment records.
+const payrollRunSchema = new Schema(
+  {
+    month: {
+      type: String,
+      required: [true, "Month is required while running payroll"],
+      unique: true,
+      match: [/^\d{4}-(0[1-9]|1[0-2])$/, "Month must be in YYYY-MM format"],
+    }, // e.g., "2024-07"
+    status: {
+      type: String,
+      enum: PAYROLL_RUN_STATUSES,
+      default: "draft",
+    },
+    teacherCount: { type: Number, default: 0 },
+    grossAmount: { type: Number, default: 0 },
+    totalDeductions: { type: Number, default: 0 },
+    netAmount: { type: Number, default: 0 },
+    // teachers left out, e.g. without a salary structure
+    skipped: [
+      {
+        _id: false,
+        teacher: { type: Schema.Types.ObjectId, ref: "Teacher" },
+        reason: { type: String },
+      },
+    ],
+    generatedBy: { type: Schema.Types.ObjectId },
+    generatedAt: { type: Date },
+    approvedBy: { type: Schema.Types.ObjectId },
+    approvedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+export const PayrollRun = mongoose.model("PayrollRun", payrollRunSchema);
@@ -1,3 +1,4 @@
+import crypto from "crypto";
 import mongoose from "mongoose";
 import jwt from "jsonwebtoken";
 import bcrypt from "bcrypt";
@@ -8,10 +9,51 @@ const principalSchema = new mongoose.Schema(
     password: { type: String, required: true },
     role: { type: String, default: "principal" },
     yearsOfExperience: { type: Number },
+    // hashed refresh token and the token family it belongs to
+    refreshToken: { type: String, select: false },
+    refreshTokenFamily: { type: String, select: false },
   },
   { timestamps: true }
 );
-// principalSchema.methods.comparePassword = async function (candidatePassword) {
-//   return await bcrypt.compare(candidatePassword, this.password);
-// };
+
+principalSchema.pre("save", async function (next) {
+  if (!this.isModified("password")) return next();
+
+  this.password = await bcrypt.hash(this.password, 10);
+  next();
+});
+
+principalSchema.methods.comparePassword = async function (candidatePassword) {
+  return await bcrypt.compare(candidatePassword, this.password);
+};
+
+principalSchema.methods.generateAccessToken = function () {
+  return jwt.sign(
+    {
+      _id: this._id,
+      email: this.email,
+      role: this.role,
+    },
+    process.env.ACCESS_TOKEN_SECRET,
+    {
+      expiresIn: process.env.ACCESS_TOKEN_EXPIRY,
+    }
+  );
+};
+
+principalSchema.methods.generateRefreshToken = function (family) {
+  return jwt.sign(
+    {
+      _id: this._id,
+      role: this.role,
+      family,
+      jti: crypto.randomUUID(),
+    },
+    process.env.REFRESH_TOKEN_SECRET,
+    {
+      expiresIn: process.env.REFRESH_TOKEN_EXPIRY,
+    }
+  );
+};
+
 export const Principal = mongoose.model("Principal", principalSchema);
@@ -0,0 +1,92 @@
+import mongoose, { Schema } from "mongoose";
+
+export const RECEIPT_STATUSES = ["issued", "cancelled"];
+export const RECEIPT_KINDS = ["receipt", "credit-note"];
+
+// A fee receipt, issued for every payment in the ledger, or a credit note for a refund.
+// They are never deleted, a cancelled receipt keeps its number and the audit trail
+// says who did what.
+const receiptSchema = new Schema(
+  {
+    receiptNumber: {
+      type: String,
+      required: [true, "Receipt number is required while issuing a receipt"],
+      unique: true,
+    }, // e.g., "RCPT/2024-25/00042"
+    sequence: { type: Number, required: true },
+    // credit notes are numbered separately, e.g. "CN/2024-25/00003"
+    kind: {
+      type: String,
+      enum: RECEIPT_KINDS,
+      default: "receipt",
+    },
+    // credit notes: the receipt of the refunded payment
+    against: { type: Schema.Types.ObjectId, ref: "Receipt" },
+    reason: { type: String },
+    academicSession: {
+      type: Schema.Types.ObjectId,
+      ref: "AcademicSession",
+      required: [true, "Academic session is required while issuing a receipt"],
+    },
+    transaction: {
+      type: Schema.Types.ObjectId,
+      ref: "FeeTransaction",
+      required: [true, "Transaction is required while issuing a receipt"],
+      unique: true,
+    },
+    student: {
+      type: Schema.Types.ObjectId,
+      ref: "Student",
+      required: [true, "Student is required while issuing a receipt"],
+    },
+    studentName: { type: String },
+    className: { type: String },
+    months: [{ type: String }],
+    // fee breakdown of the months covered
+    lines: [
+      {
+        _id: false,
+        month: { type: String },
+        description: { type: String },
+        amount: { type: Number },
+      },
+    ],
+    lateFineAmount: { type: Number, default: 0 },
+    concessionAmount: { type: Number, default: 0 },
+    amount: { type: Number, required: true },
+    balanceDue: { type: Number, default: 0 },
+    amountInWords: { type: String },
+    mode: { type: String },
+    referenceNumber: { type: String },
+    issuedAt: { type: Date, default: Date.now },
+    status: {
+      type: String,
+      enum: RECEIPT_STATUSES,
+      default: "issued",
+    },
+    cancellationReason: { type: String },
+    printCount: { type: Number, default: 0 },
+    auditTrail: [
+      {
+        _id: false,
+        action: {
+          type: String,
+          enum: ["issued", "printed", "reprinted", "cancelled", "refunded"],
+        },
+        by: { type: Schema.Types.ObjectId },
+        role: { type: String },
+        at: { type: Date, default: Date.now },
+        reason: { type: String },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+// receipt and credit note numbers each run without gaps within a session
+receiptSchema.index(
+  { academicSession: 1, kind: 1, sequence: 1 },
+  { unique: true }
+);
+
+export const Receipt = mongoose.model("Receipt", receiptSchema);
@@ -0,0 +1,23 @@
+import mongoose, { Schema } from "mongoose";
+
+// overrides the default permission set of a role, see utils/permissions.utils.js
+const rolePermissionSchema = new Schema(
+  {
+    role: {
+      type: String,
+      required: [true, "Role is required while configuring permissions"],
+      unique: true,
+    },
+    permissions: [{ type: String }],
+    updatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "Principal",
+    },
+  },
+  { timestamps: true }
+);
+
+export const RolePermission = mongoose.model(
+  "RolePermission",
+  rolePermissionSchema
+);
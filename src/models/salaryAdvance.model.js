@@ -0,0 +1,67 @@
+import mongoose, { Schema } from "mongoose";
+
+export const REPAYMENT_TYPES = ["lump-sum", "installments"];
+
+// An approved salary advance the school recovers from later payroll months. Each
+// installment is deducted by the payroll run of its month and settled on approval.
+const salaryAdvanceSchema = new Schema(
+  {
+    teacher: {
+      type: Schema.Types.ObjectId,
+      ref: "Teacher",
+      required: [true, "Teacher is required while approving an advance"],
+    },
+    // the payment record the advance was requested on
+    paymentRecord: {
+      type: Schema.Types.ObjectId,
+      ref: "PaymentRecord",
+      required: true,
+      unique: true,
+    },
+    amount: {
+      type: Number,
+      required: [true, "Amount is required while approving an advance"],
+      min: [0.01, "Advance amount must be greater than zero"],
+    },
+    repaymentType: {
+      type: String,
+      enum: REPAYMENT_TYPES,
+      default: "lump-sum",
+    },
+    installments: [
+      {
+        month: { type: String, required: true }, // e.g., "2024-08"
+        amount: { type: Number, required: true, min: 0 },
+        status: {
+          type: String,
+          enum: ["scheduled", "recovered"],
+          default: "scheduled",
+        },
+        payrollRun: { type: Schema.Types.ObjectId, ref: "PayrollRun" },
+        recoveredAt: { type: Date },
+      },
+    ],
+    recoveredAmount: { type: Number, default: 0 },
+    // cancelled when the approval is withdrawn before anything was recovered
+    status: {
+      type: String,
+      enum: ["active", "recovered", "cancelled"],
+      default: "active",
+    },
+    approvedBy: { type: Schema.Types.ObjectId },
+    approvedAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+salaryAdvanceSchema.virtual("outstanding").get(function () {
+  if (this.status === "cancelled") return 0;
+  return Math.round((this.amount - (this.recoveredAmount || 0)) * 100) / 100;
+});
+
+salaryAdvanceSchema.index({ teacher: 1, status: 1 });
+
+export const SalaryAdvance = mongoose.model(
+  "SalaryAdvance",
+  salaryAdvanceSchema
+);
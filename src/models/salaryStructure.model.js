@@ -0,0 +1,43 @@
+import mongoose, { Schema } from "mongoose";
+
+// A teacher's monthly pay. Allowances are fixed amounts; a deduction is a fixed amount
+// or a percentage of the basic (e.g. PF at 12%) or of the gross (e.g. tax).
+const salaryStructureSchema = new Schema(
+  {
+    teacher: {
+      type: Schema.Types.ObjectId,
+      ref: "Teacher",
+      required: [true, "Teacher is required while saving a salary structure"],
+      unique: true,
+    },
+    basic: {
+      type: Number,
+      required: [true, "Basic pay is required while saving a salary structure"],
+      min: [0, "Basic pay can't be negative"],
+    },
+    allowances: [
+      {
+        _id: false,
+        name: { type: String, required: true, trim: true }, // e.g., "HRA"
+        amount: { type: Number, required: true, min: 0 },
+      },
+    ],
+    deductions: [
+      {
+        _id: false,
+        name: { type: String, required: true, trim: true }, // e.g., "PF"
+        type: { type: String, enum: ["fixed", "percentage"], required: true },
+        value: { type: Number, required: true, min: 0 },
+        // what a percentage is taken of
+        base: { type: String, enum: ["basic", "gross"], default: "basic" },
+      },
+    ],
+    updatedBy: { type: Schema.Types.ObjectId },
+  },
+  { timestamps: true }
+);
+
+export const SalaryStructure = mongoose.model(
+  "SalaryStructure",
+  salaryStructureSchema
+);
@@ -0,0 +1,86 @@
+import crypto from "crypto";
+import mongoose, { Schema } from "mongoose";
+import bcrypt from "bcrypt";
+import jwt from "jsonwebtoken";
+
+export const STAFF_ROLES = ["vice-principal", "accountant", "clerk"];
+
+// non teaching staff, what each role may do is decided by its permission set
+const staffSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Staff name is required while registering a staff"],
+      trim: true,
+    },
+    email: {
+      type: String,
+      required: [true, "Email is required while registering a staff"],
+      unique: [true, "Staff must have a unique email id"],
+      match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, "Invalid email format"],
+      lowercase: true,
+      trim: true,
+    },
+    phoneNumber: {
+      type: String,
+      required: [true, "Phone number is required while registering a staff"],
+      unique: [true, "Staff must have a unique phone number"],
+      trim: true,
+    },
+    password: {
+      type: String,
+      required: [true, "Password is required while registering a staff"],
+      minlength: [6, "Password must be at least 6 characters long"],
+    },
+    role: {
+      type: String,
+      enum: STAFF_ROLES,
+      required: [true, "Role is required while registering a staff"],
+    },
+    // hashed refresh token and the token family it belongs to
+    refreshToken: { type: String, select: false },
+    refreshTokenFamily: { type: String, select: false },
+  },
+  { timestamps: true }
+);
+
+staffSchema.pre("save", async function (next) {
+  if (!this.isModified("password")) return next();
+
+  this.password = await bcrypt.hash(this.password, 10);
+  next();
+});
+
+staffSchema.methods.comparePassword = async function (candidatePassword) {
+  return await bcrypt.compare(candidatePassword, this.password);
+};
+
+staffSchema.methods.generateAccessToken = function () {
+  return jwt.sign(
+    {
+      _id: this._id,
+      role: this.role,
+    },
+    process.env.ACCESS_TOKEN_SECRET,
+    {
+      expiresIn: process.env.ACCESS_TOKEN_EXPIRY,
+    }
+  );
+};
+
+staffSchema.methods.generateRefreshToken = function (family) {
+  return jwt.sign(
+    {
+      _id: this._id,
+      role: this.role,
+      family,
+      jti: crypto.randomUUID(),
+    },
+    process.env.REFRESH_TOKEN_SECRET,
+    {
+      expiresIn: process.env.REFRESH_TOKEN_EXPIRY,
+    }
+  );
+};
+
+export const Staff = mongoose.model("Staff", staffSchema);
@@ -1,6 +1,8 @@
+import crypto from "crypto";
 import mongoose, { Schema } from "mongoose";
 import jwt from "jsonwebtoken";
 import bcrypt from "bcrypt";
+import { NOTIFICATION_CHANNELS } from "./notificationLog.model.js";
 
 const studentSchema = new Schema(
   {
@@ -78,10 +80,39 @@ const studentSchema = new Schema(
     parentName: {
       type: String,
     },
+    // channels the family asked not to be messaged on
+    notificationOptOut: [{ type: String, enum: NOTIFICATION_CHANNELS }],
     role: {
       type: String,
       default: "student",
     },
+    // leavers become alumni at year-end promotion
+    status: {
+      type: String,
+      enum: ["active", "alumni"],
+      default: "active",
+    },
+    // one entry per finished academic session
+    academicHistory: [
+      {
+        academicSession: {
+          type: Schema.Types.ObjectId,
+          ref: "AcademicSession",
+        },
+        studentClass: {
+          type: Schema.Types.ObjectId,
+          ref: "StudentAcademicClass",
+        },
+        outcome: {
+          type: String,
+          enum: ["promoted", "held back", "left"],
+        },
+        recordedAt: { type: Date, default: Date.now },
+      },
+    ],
+    // hashed refresh token and the token family it belongs to
+    refreshToken: { type: String, select: false },
+    refreshTokenFamily: { type: String, select: false },
   },
   { timestamps: true }
 );
@@ -113,11 +144,13 @@ studentSchema.methods.generateAccessToken = function () {
   );
 };
 
-studentSchema.methods.generateRefreshToken = function () {
+studentSchema.methods.generateRefreshToken = function (family) {
   return jwt.sign(
     {
       id: this._id,
       role: this.role,
+      family,
+      jti: crypto.randomUUID(),
     },
     process.env.REFRESH_TOKEN_SECRET,
     {
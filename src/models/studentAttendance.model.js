@@ -8,6 +8,10 @@ const studentAttendanceSchema = new Schema(
       ref: "StudentAcademicClass",
       required: true,
     }, // Reference to Class model
+    academicSession: {
+      type: Schema.Types.ObjectId,
+      ref: "AcademicSession",
+    },
     students: [
       {
         student: {
@@ -0,0 +1,34 @@
+import mongoose, { Schema } from "mongoose";
+
+// a teacher covering one period of a colleague on approved leave
+const substitutionSchema = new Schema(
+  {
+    leave: { type: Schema.Types.ObjectId, ref: "TeacherLeave", required: true },
+    slot: {
+      type: Schema.Types.ObjectId,
+      ref: "TimetableSlot",
+      required: true,
+    },
+    date: { type: Date, required: true }, // start of the day
+    period: { type: Number, required: true },
+    class: { type: Schema.Types.ObjectId, ref: "StudentAcademicClass" },
+    subject: { type: Schema.Types.ObjectId, ref: "Subject" },
+    absentTeacher: { type: Schema.Types.ObjectId, ref: "Teacher" },
+    substitute: {
+      type: Schema.Types.ObjectId,
+      ref: "Teacher",
+      required: [true, "Substitute is required while assigning a substitution"],
+    },
+    assignedBy: { type: Schema.Types.ObjectId },
+  },
+  { timestamps: true }
+);
+
+// a period is covered once, a substitute covers one period at a time
+substitutionSchema.index({ slot: 1, date: 1 }, { unique: true });
+substitutionSchema.index(
+  { substitute: 1, date: 1, period: 1 },
+  { unique: true }
+);
+
+export const Substitution = mongoose.model("Substitution", substitutionSchema);
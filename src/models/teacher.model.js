@@ -1,3 +1,4 @@
+import crypto from "crypto";
 import mongoose, { Schema } from "mongoose";
 import bcrypt from "bcrypt";
 import jwt from "jsonwebtoken";
@@ -44,6 +45,9 @@ const teacherSchema = new Schema(
       required: [true, "Please add teacher qualification"],
     },
     role: { type: String, default: "teacher" },
+    // hashed refresh token and the token family it belongs to
+    refreshToken: { type: String, select: false },
+    refreshTokenFamily: { type: String, select: false },
   },
   { timestamps: true }
 );
@@ -74,11 +78,13 @@ teacherSchema.methods.generateAccessToken = function () {
   );
 };
 
-teacherSchema.methods.generateRefreshToken = function () {
+teacherSchema.methods.generateRefreshToken = function (family) {
   return jwt.sign(
     {
       _id: this._id,
       role: this.role,
+      family,
+      jti: crypto.randomUUID(),
     },
     process.env.REFRESH_TOKEN_SECRET,
     {
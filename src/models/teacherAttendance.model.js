@@ -1,5 +1,14 @@
 import mongoose, { Schema } from "mongoose";
 
+// on-leave is filled in from approved leave, not marked by hand
+export const TEACHER_ATTENDANCE_STATUSES = [
+  "present",
+  "absent",
+  "on-leave",
+  "half-day",
+  "late",
+];
+
 const teacherAttendanceSchema = new Schema(
   {
     date: { type: Date, required: true }, // Date of attendance
@@ -8,11 +17,15 @@ const teacherAttendanceSchema = new Schema(
       ref: "Teacher",
       required: true,
     }, // Reference to Teacher model
-    status: { type: String, enum: ["present", "absent"], required: true }, // Attendance status
+    status: { type: String, enum: TEACHER_ATTENDANCE_STATUSES, required: true }, // Attendance status
+    leave: { type: Schema.Types.ObjectId, ref: "TeacherLeave" }, // the approved leave behind on-leave
+    markedBy: { type: Schema.Types.ObjectId },
   },
   { timestamps: true }
 );
 
+teacherAttendanceSchema.index({ teacher: 1, date: 1 });
+
 export const TeacherAttendance = mongoose.model(
   "TeacherAttendance",
   teacherAttendanceSchema
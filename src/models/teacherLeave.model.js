@@ -23,7 +23,17 @@ const TeacherLeaveSchema = new Schema({
   date:{
     type: Date,
     required: [true, "Date is  require"],
-  }
+  },
+  endDate: { type: Date }, // last day of a multi-day leave, same as date when left out
+  leaveType: { type: Schema.Types.ObjectId, ref: "LeaveType" },
+  academicSession: { type: Schema.Types.ObjectId, ref: "AcademicSession" },
+  days: { type: Number, default: 1 },
+  // split on approval: days covered by the balance, the rest is loss of pay
+  paidDays: { type: Number, default: 0 },
+  lossOfPayDays: { type: Number, default: 0 },
+  lossOfPayDates: [{ type: Date }], // deducted by the payroll run of their month
+  decidedBy: { type: Schema.Types.ObjectId },
+  decidedAt: { type: Date },
 }, { timestamps: true });
 
 export const TeachersLeave = mongoose.model("TeacherLeave", TeacherLeaveSchema);
\ No newline at end of file
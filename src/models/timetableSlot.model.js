@@ -0,0 +1,66 @@
+import mongoose, { Schema } from "mongoose";
+
+// indexed by Date#getDay()
+export const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+// one period of a class's weekly timetable and the teacher who takes it
+const timetableSlotSchema = new Schema(
+  {
+    class: {
+      type: Schema.Types.ObjectId,
+      ref: "StudentAcademicClass",
+      required: [true, "Class is required while adding a timetable slot"],
+    },
+    subject: {
+      type: Schema.Types.ObjectId,
+      ref: "Subject",
+      required: [true, "Subject is required while adding a timetable slot"],
+    },
+    teacher: {
+      type: Schema.Types.ObjectId,
+      ref: "Teacher",
+      required: [true, "Teacher is required while adding a timetable slot"],
+    },
+    day: {
+      type: String,
+      enum: WEEKDAYS,
+      required: [true, "Day is required while adding a timetable slot"],
+    },
+    period: {
+      type: Number,
+      required: [true, "Period is required while adding a timetable slot"],
+      min: [1, "Periods start at 1"],
+    },
+    startTime: { type: String, match: [/^\d{2}:\d{2}$/, "Use HH:MM"] },
+    endTime: { type: String, match: [/^\d{2}:\d{2}$/, "Use HH:MM"] },
+    academicSession: {
+      type: Schema.Types.ObjectId,
+      ref: "AcademicSession",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// a class has one subject a period, a teacher is in one class a period
+timetableSlotSchema.index(
+  { academicSession: 1, class: 1, day: 1, period: 1 },
+  { unique: true }
+);
+timetableSlotSchema.index(
+  { academicSession: 1, teacher: 1, day: 1, period: 1 },
+  { unique: true }
+);
+
+export const TimetableSlot = mongoose.model(
+  "TimetableSlot",
+  timetableSlotSchema
+);
@@ -0,0 +1,33 @@
+import { Router } from "express";
+import {
+  CREATE_ACADEMIC_SESSION,
+  GET_ALL_ACADEMIC_SESSIONS,
+  GET_CURRENT_ACADEMIC_SESSION,
+  SET_CURRENT_ACADEMIC_SESSION,
+} from "../controllers/academicSession.controller.js";
+import { VERIFY_TOKEN } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/authorize.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.utils.js";
+
+const academicSessionRouter = Router();
+
+academicSessionRouter.post(
+  "/create",
+  VERIFY_TOKEN,
+  requirePermission(PERMISSIONS.SESSIONS_MANAGE),
+  CREATE_ACADEMIC_SESSION
+);
+academicSessionRouter.get("/all", VERIFY_TOKEN, GET_ALL_ACADEMIC_SESSIONS);
+academicSessionRouter.get(
+  "/current",
+  VERIFY_TOKEN,
+  GET_CURRENT_ACADEMIC_SESSION
+);
+academicSessionRouter.put(
+  "/:sessionId/set-current",
+  VERIFY_TOKEN,
+  requirePermission(PERMISSIONS.SESSIONS_MANAGE),
+  SET_CURRENT_ACADEMIC_SESSION
+);
+
+export default academicSessionRouter;
@@ -6,14 +6,15 @@ import {
   MAKE_ANNOUNCEMENT,
 } from "../controllers/announcement.controller.js";
 import { VERIFY_TOKEN } from "../middlewares/auth.middleware.js";
-import { authorize } from "../middlewares/authorize.middleware.js";
+import { requirePermission } from "../middlewares/authorize.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.utils.js";
 
 const announcementRouter = Router();
 
 announcementRouter.post(
   "/create-announcement",
   VERIFY_TOKEN,
-  authorize(["principal", "teacher"]),
+  requirePermission(PERMISSIONS.ANNOUNCEMENTS_WRITE),
   MAKE_ANNOUNCEMENT
 );
 announcementRouter.get(
@@ -30,7 +31,7 @@ announcementRouter
   .route("/delete-announcement")
   .delete(
     VERIFY_TOKEN,
-    authorize(["principal", "teacher"]),
+    requirePermission(PERMISSIONS.ANNOUNCEMENTS_WRITE),
     DELETE_ANNOUNCEMENT
   );
 
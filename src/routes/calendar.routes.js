@@ -0,0 +1,31 @@
+import { Router } from "express";
+import {
+  ADD_CALENDAR_ENTRY,
+  DELETE_CALENDAR_ENTRY,
+  GET_CALENDAR_ENTRIES,
+  GET_WORKING_DAYS,
+} from "../controllers/calendar.controller.js";
+import { VERIFY_TOKEN } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/authorize.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.utils.js";
+
+const calendarRouter = Router();
+
+calendarRouter
+  .route("/entries")
+  .get(VERIFY_TOKEN, GET_CALENDAR_ENTRIES)
+  .post(
+    VERIFY_TOKEN,
+    requirePermission(PERMISSIONS.CALENDAR_MANAGE),
+    ADD_CALENDAR_ENTRY
+  );
+calendarRouter.delete(
+  "/entries/:entryId",
+  VERIFY_TOKEN,
+  requirePermission(PERMISSIONS.CALENDAR_MANAGE),
+  DELETE_CALENDAR_ENTRY
+);
+
+calendarRouter.get("/working-days", VERIFY_TOKEN, GET_WORKING_DAYS);
+
+export default calendarRouter;
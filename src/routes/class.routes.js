@@ -9,16 +9,18 @@ import {
   UPDATE_CLASS,
 } from "../controllers/academicclass.controller.js";
 import { VERIFY_TOKEN } from "../middlewares/auth.middleware.js";
-import { authorize } from "../middlewares/authorize.middleware.js";
+import { requirePermission } from "../middlewares/authorize.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.utils.js";
 import { upload } from "../middlewares/multer.middleware.js";
 import { UPLOAD_TIME_TABLE } from "../controllers/principal.controller.js";
+import { PROMOTE_CLASS } from "../controllers/promotion.controller.js";
 
 const classRouter = Router();
 
 classRouter.post(
   "/register",
   VERIFY_TOKEN,
-  authorize(["principal"]),
+  requirePermission(PERMISSIONS.CLASSES_WRITE),
   REGISTER_CLASS
 );
 classRouter.get(
@@ -29,13 +31,34 @@ classRouter.get("/all-classes", GET_ALL_CLASS);
 classRouter.get("/:id", GET_CLASS_BY_ID);
 classRouter
   .route("/delete-class/:classId")
-  .delete(VERIFY_TOKEN, authorize(["principal"]), DELETE_CLASS);
+  .delete(
+    VERIFY_TOKEN,
+    requirePermission(PERMISSIONS.CLASSES_WRITE),
+    DELETE_CLASS
+  );
 classRouter
   .route("/update-class/:classId")
-  .put(VERIFY_TOKEN, authorize(["principal"]), UPDATE_CLASS);
+  .put(
+    VERIFY_TOKEN,
+    requirePermission(PERMISSIONS.CLASSES_WRITE),
+    UPDATE_CLASS
+  );
 classRouter
   .route("/:classId/upload-timetable")
-  .post(upload.single("timetable"), UPLOAD_TIME_TABLE);
+  .post(
+    VERIFY_TOKEN,
+    requirePermission(PERMISSIONS.CLASSES_WRITE),
+    upload.single("timetable"),
+    UPLOAD_TIME_TABLE
+  );
+// year-end promotion into the next academic session, dryRun previews it
+classRouter
+  .route("/:classId/promote")
+  .post(
+    VERIFY_TOKEN,
+    requirePermission(PERMISSIONS.CLASSES_WRITE, PERMISSIONS.STUDENTS_WRITE),
+    PROMOTE_CLASS
+  );
 classRouter
   .route("/get-fee-by-class-id/:classId")
   .get(VERIFY_TOKEN, GET_FEE_BY_CLASS_ID);
@@ -0,0 +1,42 @@
+import { Router } from "express";
+import {
+  APPROVE_CONCESSION,
+  GET_CONCESSIONS,
+  REJECT_CONCESSION,
+  REQUEST_CONCESSION,
+  REVOKE_CONCESSION,
+} from "../controllers/concession.controller.js";
+import { VERIFY_TOKEN } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/authorize.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.utils.js";
+
+const concessionRouter = Router();
+
+concessionRouter
+  .route("/")
+  .get(VERIFY_TOKEN, requirePermission(PERMISSIONS.FEES_READ), GET_CONCESSIONS)
+  .post(
+    VERIFY_TOKEN,
+    requirePermission(PERMISSIONS.FEES_WRITE),
+    REQUEST_CONCESSION
+  );
+concessionRouter.post(
+  "/:concessionId/approve",
+  VERIFY_TOKEN,
+  requirePermission(PERMISSIONS.CONCESSIONS_APPROVE),
+  APPROVE_CONCESSION
+);
+concessionRouter.post(
+  "/:concessionId/reject",
+  VERIFY_TOKEN,
+  requirePermission(PERMISSIONS.CONCESSIONS_APPROVE),
+  REJECT_CONCESSION
+);
+concessionRouter.post(
+  "/:concessionId/revoke",
+  VERIFY_TOKEN,
+  requirePermission(PERMISSIONS.CONCESSIONS_APPROVE),
+  REVOKE_CONCESSION
+);
+
+export default concessionRouter;
@@ -6,14 +6,15 @@ import {
   GET_EVENT_BY_ID,
 } from "../controllers/event.controller.js";
 import { VERIFY_TOKEN } from "../middlewares/auth.middleware.js";
-import { authorize } from "../middlewares/authorize.middleware.js";
+import { requirePermission } from "../middlewares/authorize.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.utils.js";
 
 const eventRouter = Router();
 
 eventRouter.post(
   "/create-event",
   VERIFY_TOKEN,
-  authorize(["principal", "teacher"]),
+  requirePermission(PERMISSIONS.EVENTS_WRITE),
   CREATE_EVENT
 );
 eventRouter.get("/getallevents", VERIFY_TOKEN, GET_ALL_EVENTS);
@@ -21,7 +22,7 @@ eventRouter.get("/:eventId", VERIFY_TOKEN, GET_EVENT_BY_ID);
 eventRouter.delete(
   "/delete-events",
   VERIFY_TOKEN,
-  authorize(["principal", "teacher"]),
+  requirePermission(PERMISSIONS.EVENTS_WRITE),
   DELETE_EVENTS
 );
 
@@ -0,0 +1,39 @@
+import { Router } from "express";
+import {
+  GENERATE_CLASS_DUES,
+  GET_FEE_STRUCTURE,
+  SET_FEE_STRUCTURE,
+  SET_LATE_FINE_RULE,
+} from "../controllers/feeStructure.controller.js";
+import { VERIFY_TOKEN } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/authorize.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.utils.js";
+
+const feeStructureRouter = Router();
+
+feeStructureRouter
+  .route("/classes/:classId")
+  .get(
+    VERIFY_TOKEN,
+    requirePermission(PERMISSIONS.FEES_READ),
+    GET_FEE_STRUCTURE
+  )
+  .put(
+    VERIFY_TOKEN,
+    requirePermission(PERMISSIONS.FEES_WRITE),
+    SET_FEE_STRUCTURE
+  );
+feeStructureRouter.post(
+  "/classes/:classId/generate-dues",
+  VERIFY_TOKEN,
+  requirePermission(PERMISSIONS.FEES_WRITE),
+  GENERATE_CLASS_DUES
+);
+feeStructureRouter.put(
+  "/classes/:classId/late-fine-rule",
+  VERIFY_TOKEN,
+  requirePermission(PERMISSIONS.FEES_WRITE),
+  SET_LATE_FINE_RULE
+);
+
+export default feeStructureRouter;
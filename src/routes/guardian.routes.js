@@ -0,0 +1,96 @@
+import { Router } from "express";
+import {
+  FORGOT_PASSWORD,
+  GET_ALL_GUARDIANS,
+  GET_CHILD_ATTENDANCE,
+  GET_CHILD_FEE_HISTORY,
+  GET_CHILD_MARKS,
+  GET_GUARDIAN_ANNOUNCEMENTS,
+  GET_MY_CHILDREN,
+  LINK_CHILDREN,
+  LOGIN_GUARDIAN,
+  LOGOUT,
+  REFRESH_TOKEN,
+  REGISTER_GUARDIAN,
+  RESET_PASSWORD,
+  UNLINK_CHILD,
+  VERIFY_PASSWORD_OTP,
+} from "../controllers/guardian.controller.js";
+import { VERIFY_TOKEN } from "../middlewares/auth.middleware.js";
+import {
+  authorize,
+  requirePermission,
+} from "../middlewares/authorize.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.utils.js";
+import { passwordResetLimiter } from "../middlewares/rateLimit.middleware.js";
+
+const guardianRouter = Router();
+
+guardianRouter.post(
+  "/register",
+  VERIFY_TOKEN,
+  requirePermission(PERMISSIONS.GUARDIANS_WRITE),
+  REGISTER_GUARDIAN
+);
+guardianRouter.post("/login", LOGIN_GUARDIAN);
+guardianRouter.post("/refresh-token", REFRESH_TOKEN);
+guardianRouter.post("/logout", VERIFY_TOKEN, authorize(["guardian"]), LOGOUT);
+// password reset over an emailed otp, no login required
+guardianRouter.post("/forgot-password", passwordResetLimiter, FORGOT_PASSWORD);
+guardianRouter.post("/verify-otp", passwordResetLimiter, VERIFY_PASSWORD_OTP);
+guardianRouter.post("/reset-password", passwordResetLimiter, RESET_PASSWORD);
+
+guardianRouter.get(
+  "/all-guardians",
+  VERIFY_TOKEN,
+  requirePermission(PERMISSIONS.STUDENTS_READ),
+  GET_ALL_GUARDIANS
+);
+guardianRouter
+  .route("/:guardianId/children")
+  .post(
+    VERIFY_TOKEN,
+    requirePermission(PERMISSIONS.GUARDIANS_WRITE),
+    LINK_CHILDREN
+  );
+guardianRouter
+  .route("/:guardianId/children/:studentId")
+  .delete(
+    VERIFY_TOKEN,
+    requirePermission(PERMISSIONS.GUARDIANS_WRITE),
+    UNLINK_CHILD
+  );
+
+// read-only access to the linked children
+guardianRouter.get(
+  "/children",
+  VERIFY_TOKEN,
+  authorize(["guardian"]),
+  GET_MY_CHILDREN
+);
+guardianRouter.get(
+  "/children/:studentId/marks",
+  VERIFY_TOKEN,
+  authorize(["guardian"]),
+  GET_CHILD_MARKS
+);
+guardianRouter.get(
+  "/children/:studentId/attendance-history",
+  VERIFY_TOKEN,
+  authorize(["guardian"]),
+  GET_CHILD_ATTENDANCE
+);
+guardianRouter.get(
+  "/children/:studentId/fee-history",
+  VERIFY_TOKEN,
+  authorize(["guardian"]),
+  GET_CHILD_FEE_HISTORY
+);
+guardianRouter.get(
+  "/announcements",
+  VERIFY_TOKEN,
+  authorize(["guardian"]),
+  GET_GUARDIAN_ANNOUNCEMENTS
+);
+
+export default guardianRouter;
@@ -0,0 +1,32 @@
+import { Router } from "express";
+import {
+  GET_LATE_FINE_RUN_BY_ID,
+  GET_LATE_FINE_RUNS,
+  RUN_LATE_FINE_JOB,
+} from "../controllers/lateFine.controller.js";
+import { VERIFY_TOKEN } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/authorize.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.utils.js";
+
+const lateFineRouter = Router();
+
+lateFineRouter.post(
+  "/run",
+  VERIFY_TOKEN,
+  requirePermission(PERMISSIONS.FEES_WRITE),
+  RUN_LATE_FINE_JOB
+);
+lateFineRouter.get(
+  "/runs",
+  VERIFY_TOKEN,
+  requirePermission(PERMISSIONS.FEES_READ),
+  GET_LATE_FINE_RUNS
+);
+lateFineRouter.get(
+  "/runs/:runId",
+  VERIFY_TOKEN,
+  requirePermission(PERMISSIONS.FEES_READ),
+  GET_LATE_FINE_RUN_BY_ID
+);
+
+export default lateFineRouter;
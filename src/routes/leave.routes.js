@@ -0,0 +1,42 @@
+import { Router } from "express";
+import {
+  CREATE_LEAVE_TYPE,
+  GET_LEAVE_TYPES,
+  GET_TEACHER_LEAVE_BALANCES,
+  UPDATE_LEAVE_TYPE,
+} from "../controllers/leave.controller.js";
+import { VERIFY_TOKEN } from "../middlewares/auth.middleware.js";
+import {
+  requirePermission,
+  requireSelfOrPermission,
+} from "../middlewares/authorize.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.utils.js";
+
+const leaveRouter = Router();
+
+leaveRouter
+  .route("/types")
+  .get(VERIFY_TOKEN, GET_LEAVE_TYPES)
+  .post(
+    VERIFY_TOKEN,
+    requirePermission(PERMISSIONS.LEAVE_POLICY_MANAGE),
+    CREATE_LEAVE_TYPE
+  );
+leaveRouter.put(
+  "/types/:typeId",
+  VERIFY_TOKEN,
+  requirePermission(PERMISSIONS.LEAVE_POLICY_MANAGE),
+  UPDATE_LEAVE_TYPE
+);
+leaveRouter.get(
+  "/balances/teacher/:teacherId",
+  VERIFY_TOKEN,
+  requireSelfOrPermission(
+    "teacher",
+    (req) => req.params.teacherId,
+    PERMISSIONS.LEAVE_APPROVE
+  ),
+  GET_TEACHER_LEAVE_BALANCES
+);
+
+export default leaveRouter;
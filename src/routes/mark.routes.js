@@ -1,4 +1,5 @@
 import { Router } from "express";
+import { isValidObjectId } from "mongoose";
 import {
   ADD_MARKS,
   DELETE_MARKS_BY_STUDENT_AND_SUBJECT,
@@ -6,20 +7,68 @@ import {
   LEADERBOARD_BY_CLASS,
 } from "../controllers/mark.controller.js";
 import { VERIFY_TOKEN } from "../middlewares/auth.middleware.js";
-import { authorize } from "../middlewares/authorize.middleware.js";
+import {
+  requirePermission,
+  requireSelfOrPermission,
+  requireTeacherAssignment,
+} from "../middlewares/authorize.middleware.js";
+import { Mark } from "../models/mark.model.js";
+import { Student } from "../models/student.model.js";
+import { PERMISSIONS } from "../utils/permissions.utils.js";
 
 const markRouter = Router();
 
-markRouter.post("/add-mark", VERIFY_TOKEN, authorize(["principal"]), ADD_MARKS);
+// the class the student is really in counts, not only the one the request claims
+const getMarkClassIds = async (req) => {
+  const { student, studentClass } = req.body;
+  if (!isValidObjectId(student)) return [studentClass];
+
+  const existingStudent = await Student.findById(student)
+    .select("studentClass")
+    .lean();
+  return [studentClass, existingStudent?.studentClass];
+};
+
+// the classes of the marks being deleted, whatever class they were entered for
+const getDeletedMarkClassIds = async (req) => {
+  const { studentId, subjectId } = req.params;
+  if (!isValidObjectId(studentId) || !isValidObjectId(subjectId)) return [];
+
+  return Mark.distinct("class", { student: studentId, subject: subjectId });
+};
+
+markRouter.post(
+  "/add-mark",
+  VERIFY_TOKEN,
+  requirePermission(PERMISSIONS.MARKS_ENTER),
+  requireTeacherAssignment({
+    getClassIds: getMarkClassIds,
+    getSubjectIds: (req) =>
+      Array.isArray(req.body.marks)
+        ? req.body.marks.map((mark) => mark.subject)
+        : [],
+  }),
+  ADD_MARKS
+);
 markRouter.get(
   "/students/:studentId/exams/:examId",
+  VERIFY_TOKEN,
+  requireSelfOrPermission(
+    "student",
+    (req) => req.params.studentId,
+    PERMISSIONS.MARKS_ENTER
+  ),
   GET_MARKS_BY_STUDENT_AND_EXAM
 );
 markRouter.get("/leaderboard/:classId", LEADERBOARD_BY_CLASS);
 markRouter.delete(
   "/delete-mark/students/:studentId/subjects/:subjectId",
   VERIFY_TOKEN,
-  authorize(["principal"]),
+  requirePermission(PERMISSIONS.MARKS_DELETE),
+  requireTeacherAssignment({
+    getClassIds: getDeletedMarkClassIds,
+    getSubjectIds: (req) => req.params.subjectId,
+  }),
   DELETE_MARKS_BY_STUDENT_AND_SUBJECT
 );
 
@@ -0,0 +1,60 @@
+import { Router } from "express";
+import {
+  GET_NOTIFICATION_LOGS,
+  GET_NOTIFICATION_TEMPLATES,
+  RESET_NOTIFICATION_TEMPLATE,
+  RUN_FEE_REMINDERS,
+  SET_NOTIFICATION_OPT_OUT,
+  UPDATE_NOTIFICATION_TEMPLATE,
+} from "../controllers/notification.controller.js";
+import { VERIFY_TOKEN } from "../middlewares/auth.middleware.js";
+import {
+  requirePermission,
+  requireSelfOrPermission,
+} from "../middlewares/authorize.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.utils.js";
+
+const notificationRouter = Router();
+
+notificationRouter.get(
+  "/templates",
+  VERIFY_TOKEN,
+  requirePermission(PERMISSIONS.FEES_READ),
+  GET_NOTIFICATION_TEMPLATES
+);
+notificationRouter
+  .route("/templates/:key")
+  .put(
+    VERIFY_TOKEN,
+    requirePermission(PERMISSIONS.FEES_WRITE),
+    UPDATE_NOTIFICATION_TEMPLATE
+  )
+  .delete(
+    VERIFY_TOKEN,
+    requirePermission(PERMISSIONS.FEES_WRITE),
+    RESET_NOTIFICATION_TEMPLATE
+  );
+notificationRouter.put(
+  "/opt-out/students/:studentId",
+  VERIFY_TOKEN,
+  requireSelfOrPermission(
+    "student",
+    (req) => req.params.studentId,
+    PERMISSIONS.STUDENTS_WRITE
+  ),
+  SET_NOTIFICATION_OPT_OUT
+);
+notificationRouter.post(
+  "/fee-reminders/run",
+  VERIFY_TOKEN,
+  requirePermission(PERMISSIONS.FEES_WRITE),
+  RUN_FEE_REMINDERS
+);
+notificationRouter.get(
+  "/logs",
+  VERIFY_TOKEN,
+  requirePermission(PERMISSIONS.FEES_READ),
+  GET_NOTIFICATION_LOGS
+);
+
+export default notificationRouter;
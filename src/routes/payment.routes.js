@@ -0,0 +1,26 @@
+import { Router } from "express";
+import {
+  CREATE_PAYMENT_ORDER,
+  GET_PAYMENT_ORDER_BY_ID,
+  GET_PAYMENT_RECONCILIATION,
+  HANDLE_PAYMENT_WEBHOOK,
+} from "../controllers/payment.controller.js";
+import { VERIFY_TOKEN } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/authorize.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.utils.js";
+
+const paymentRouter = Router();
+
+// who may pay for which student is checked in the controller
+paymentRouter.post("/orders", VERIFY_TOKEN, CREATE_PAYMENT_ORDER);
+paymentRouter.get(
+  "/reconciliation",
+  VERIFY_TOKEN,
+  requirePermission(PERMISSIONS.FEES_READ),
+  GET_PAYMENT_RECONCILIATION
+);
+paymentRouter.get("/orders/:orderId", VERIFY_TOKEN, GET_PAYMENT_ORDER_BY_ID);
+// signed by the provider instead of a token
+paymentRouter.post("/webhook/:provider", HANDLE_PAYMENT_WEBHOOK);
+
+export default paymentRouter;
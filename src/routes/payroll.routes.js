@@ -0,0 +1,92 @@
+import { Router } from "express";
+import {
+  APPROVE_PAYROLL_RUN,
+  DOWNLOAD_PAYROLL_PAYSLIPS,
+  DOWNLOAD_PAYSLIP,
+  GET_PAYROLL_RUN_BY_ID,
+  GET_PAYROLL_RUNS,
+  GET_SALARY_STRUCTURE,
+  GET_SALARY_STRUCTURES,
+  GET_TEACHER_ADVANCES,
+  RUN_PAYROLL,
+  SET_SALARY_STRUCTURE,
+} from "../controllers/payroll.controller.js";
+import { VERIFY_TOKEN } from "../middlewares/auth.middleware.js";
+import {
+  requirePermission,
+  requireSelfOrPermission,
+} from "../middlewares/authorize.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.utils.js";
+
+const payrollRouter = Router();
+
+payrollRouter.get(
+  "/salary-structures",
+  VERIFY_TOKEN,
+  requirePermission(PERMISSIONS.PAYROLL_READ),
+  GET_SALARY_STRUCTURES
+);
+payrollRouter
+  .route("/salary-structures/:teacherId")
+  .get(
+    VERIFY_TOKEN,
+    requireSelfOrPermission(
+      "teacher",
+      (req) => req.params.teacherId,
+      PERMISSIONS.PAYROLL_READ
+    ),
+    GET_SALARY_STRUCTURE
+  )
+  .put(
+    VERIFY_TOKEN,
+    requirePermission(PERMISSIONS.PAYROLL_WRITE),
+    SET_SALARY_STRUCTURE
+  );
+payrollRouter
+  .route("/runs")
+  .post(VERIFY_TOKEN, requirePermission(PERMISSIONS.PAYROLL_WRITE), RUN_PAYROLL)
+  .get(
+    VERIFY_TOKEN,
+    requirePermission(PERMISSIONS.PAYROLL_READ),
+    GET_PAYROLL_RUNS
+  );
+payrollRouter.get(
+  "/runs/:runId",
+  VERIFY_TOKEN,
+  requirePermission(PERMISSIONS.PAYROLL_READ),
+  GET_PAYROLL_RUN_BY_ID
+);
+payrollRouter.post(
+  "/runs/:runId/approve",
+  VERIFY_TOKEN,
+  requirePermission(PERMISSIONS.PAYROLL_APPROVE),
+  APPROVE_PAYROLL_RUN
+);
+payrollRouter.get(
+  "/advances/teacher/:teacherId",
+  VERIFY_TOKEN,
+  requireSelfOrPermission(
+    "teacher",
+    (req) => req.params.teacherId,
+    PERMISSIONS.PAYROLL_READ
+  ),
+  GET_TEACHER_ADVANCES
+);
+payrollRouter.get(
+  "/runs/:runId/payslips",
+  VERIFY_TOKEN,
+  requirePermission(PERMISSIONS.PAYROLL_READ),
+  DOWNLOAD_PAYROLL_PAYSLIPS
+);
+payrollRouter.get(
+  "/payslips/teacher/:teacherId/:month",
+  VERIFY_TOKEN,
+  requireSelfOrPermission(
+    "teacher",
+    (req) => req.params.teacherId,
+    PERMISSIONS.PAYROLL_READ
+  ),
+  DOWNLOAD_PAYSLIP
+);
+
+export default payrollRouter;
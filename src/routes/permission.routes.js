@@ -0,0 +1,24 @@
+import { Router } from "express";
+import {
+  GET_ROLE_PERMISSIONS,
+  RESET_ROLE_PERMISSIONS,
+  UPDATE_ROLE_PERMISSIONS,
+} from "../controllers/permission.controller.js";
+import { VERIFY_TOKEN } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/authorize.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.utils.js";
+
+const permissionRouter = Router();
+
+permissionRouter.use(
+  VERIFY_TOKEN,
+  requirePermission(PERMISSIONS.PERMISSIONS_MANAGE)
+);
+
+permissionRouter.get("/", GET_ROLE_PERMISSIONS);
+permissionRouter
+  .route("/:role")
+  .put(UPDATE_ROLE_PERMISSIONS)
+  .delete(RESET_ROLE_PERMISSIONS);
+
+export default permissionRouter;
@@ -7,57 +7,121 @@ import {
   GET_ALL_EXAMS,
   GET_ALL_EXPENSES,
   LOGIN_PRINCIPAL,
+  LOGOUT,
+  REFRESH_TOKEN,
   REGISTER_PRINCIPAL,
   UPLOAD_EXAM_TIME_TABLE, GET_ALL_TEACHERS_LEAVE, ACCEPT_OR_REJECT_TEACHERS_LEAVE, GET_ALL_PAYMENT_REQUESTS, GET_TEACHER_EXPENSE,UPDATE_PAYMENT_STATUS
 } from "../controllers/principal.controller.js";
 import { upload } from "../middlewares/multer.middleware.js";
 import { VERIFY_TOKEN } from "../middlewares/auth.middleware.js";
-import { authorize } from "../middlewares/authorize.middleware.js";
-import { CHANGE_PASSWORD } from "../controllers/principal.controller.js";
+import {
+  authorize,
+  requirePermission,
+} from "../middlewares/authorize.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.utils.js";
+import {
+  CHANGE_PASSWORD,
+  FORGOT_PASSWORD,
+  RESET_PASSWORD,
+  VERIFY_PASSWORD_OTP,
+} from "../controllers/principal.controller.js";
+import { passwordResetLimiter } from "../middlewares/rateLimit.middleware.js";
 
 const principalRouter = Router();
 
 principalRouter.post("/register", REGISTER_PRINCIPAL);
 principalRouter.post("/login", LOGIN_PRINCIPAL);
+principalRouter.post("/refresh-token", REFRESH_TOKEN);
+principalRouter
+  .route("/logout")
+  .post(VERIFY_TOKEN, authorize(["principal"]), LOGOUT);
 principalRouter
   .route("/create-exam")
-  .post(VERIFY_TOKEN, authorize(["principal"]), CREATE_EXAM);
-  principalRouter
+  .post(VERIFY_TOKEN, requirePermission(PERMISSIONS.EXAMS_WRITE), CREATE_EXAM);
+principalRouter
   .route("/get-payment-request")
-  .get( GET_ALL_PAYMENT_REQUESTS);
-  principalRouter
+  .get(
+    VERIFY_TOKEN,
+    requirePermission(PERMISSIONS.PAYROLL_READ),
+    GET_ALL_PAYMENT_REQUESTS
+  );
+principalRouter
   .route("/get-teacher-expense/:teacherId/:month")
-  .get( GET_TEACHER_EXPENSE);
-  principalRouter
+  .get(
+    VERIFY_TOKEN,
+    requirePermission(PERMISSIONS.PAYROLL_READ),
+    GET_TEACHER_EXPENSE
+  );
+principalRouter
   .route("/update-payment-request")
-  .post( UPDATE_PAYMENT_STATUS);
+  .post(
+    VERIFY_TOKEN,
+    requirePermission(PERMISSIONS.PAYROLL_WRITE),
+    UPDATE_PAYMENT_STATUS
+  );
 principalRouter
   .route("/upload-exam-timetable/:examId")
   .post(
     VERIFY_TOKEN,
-    authorize(["principal"]),
+    requirePermission(PERMISSIONS.EXAMS_WRITE),
     upload.single("timeTable"),
     UPLOAD_EXAM_TIME_TABLE
   );
 principalRouter.route("/getallexams").get(GET_ALL_EXAMS);
 principalRouter
   .route("/delete-exam/:examId")
-  .delete(VERIFY_TOKEN, DELETE_EXAM_BY_ID);
+  .delete(
+    VERIFY_TOKEN,
+    requirePermission(PERMISSIONS.EXAMS_WRITE),
+    DELETE_EXAM_BY_ID
+  );
 principalRouter
   .route("/expenses/add")
-  .post(VERIFY_TOKEN, authorize(["principal"]), ADD_EXPENSE);
-principalRouter.route("/expenses/getAllExpenses").get(GET_ALL_EXPENSES);
+  .post(
+    VERIFY_TOKEN,
+    requirePermission(PERMISSIONS.EXPENSES_WRITE),
+    ADD_EXPENSE
+  );
+principalRouter
+  .route("/expenses/getAllExpenses")
+  .get(
+    VERIFY_TOKEN,
+    requirePermission(PERMISSIONS.EXPENSES_READ),
+    GET_ALL_EXPENSES
+  );
 principalRouter
   .route("/expenses/delete/:expenseId")
-  .delete(VERIFY_TOKEN, authorize(["principal"]), DELETE_EXPENSE);
+  .delete(
+    VERIFY_TOKEN,
+    requirePermission(PERMISSIONS.EXPENSES_WRITE),
+    DELETE_EXPENSE
+  );
 principalRouter
   .route("/change_password/:principalId")
   .post(VERIFY_TOKEN, authorize(["principal"]), CHANGE_PASSWORD);
-  principalRouter
+// password reset over an emailed otp, no login required
+principalRouter
+  .route("/forgot-password")
+  .post(passwordResetLimiter, FORGOT_PASSWORD);
+principalRouter
+  .route("/verify-otp")
+  .post(passwordResetLimiter, VERIFY_PASSWORD_OTP);
+principalRouter
+  .route("/reset-password")
+  .post(passwordResetLimiter, RESET_PASSWORD);
+principalRouter
   .route("/get-teachers-leave")
-  .get(GET_ALL_TEACHERS_LEAVE);
-  principalRouter
+  .get(
+    VERIFY_TOKEN,
+    requirePermission(PERMISSIONS.LEAVE_APPROVE),
+    GET_ALL_TEACHERS_LEAVE
+  );
+principalRouter
   .route("/accept-teachers-leave/:id")
-  .post(ACCEPT_OR_REJECT_TEACHERS_LEAVE);
+  .post(
+    VERIFY_TOKEN,
+    requirePermission(PERMISSIONS.LEAVE_APPROVE),
+    ACCEPT_OR_REJECT_TEACHERS_LEAVE
+  );
 
 export default principalRouter;
@@ -0,0 +1,47 @@
+import { Router } from "express";
+import {
+  CANCEL_RECEIPT,
+  DOWNLOAD_RECEIPT_PDF,
+  GET_RECEIPT_BY_ID,
+  GET_RECEIPTS,
+  REFUND_RECEIPT,
+} from "../controllers/receipt.controller.js";
+import { VERIFY_TOKEN } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/authorize.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.utils.js";
+
+const receiptRouter = Router();
+
+receiptRouter.get(
+  "/",
+  VERIFY_TOKEN,
+  requirePermission(PERMISSIONS.FEES_READ),
+  GET_RECEIPTS
+);
+receiptRouter.get(
+  "/:receiptId",
+  VERIFY_TOKEN,
+  requirePermission(PERMISSIONS.FEES_READ),
+  GET_RECEIPT_BY_ID
+);
+receiptRouter.get(
+  "/:receiptId/pdf",
+  VERIFY_TOKEN,
+  requirePermission(PERMISSIONS.FEES_READ),
+  DOWNLOAD_RECEIPT_PDF
+);
+// the caller is recorded as the approver of the reversal or refund
+receiptRouter.post(
+  "/:receiptId/cancel",
+  VERIFY_TOKEN,
+  requirePermission(PERMISSIONS.FEES_REFUND),
+  CANCEL_RECEIPT
+);
+receiptRouter.post(
+  "/:receiptId/refund",
+  VERIFY_TOKEN,
+  requirePermission(PERMISSIONS.FEES_REFUND),
+  REFUND_RECEIPT
+);
+
+export default receiptRouter;
@@ -0,0 +1,59 @@
+import { Router } from "express";
+import {
+  DELETE_STAFF,
+  FORGOT_PASSWORD,
+  GET_ALL_STAFF,
+  LOGIN_STAFF,
+  LOGOUT,
+  REFRESH_TOKEN,
+  REGISTER_STAFF,
+  RESET_PASSWORD,
+  UPDATE_STAFF_ROLE,
+  VERIFY_PASSWORD_OTP,
+} from "../controllers/staff.controller.js";
+import { VERIFY_TOKEN } from "../middlewares/auth.middleware.js";
+import {
+  authorize,
+  requirePermission,
+} from "../middlewares/authorize.middleware.js";
+import { passwordResetLimiter } from "../middlewares/rateLimit.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.utils.js";
+import { STAFF_ROLES } from "../models/staff.model.js";
+
+const staffRouter = Router();
+
+staffRouter.post(
+  "/register",
+  VERIFY_TOKEN,
+  requirePermission(PERMISSIONS.STAFF_MANAGE),
+  REGISTER_STAFF
+);
+staffRouter.post("/login", LOGIN_STAFF);
+staffRouter.post("/refresh-token", REFRESH_TOKEN);
+staffRouter.post("/logout", VERIFY_TOKEN, authorize(STAFF_ROLES), LOGOUT);
+// password reset over an emailed otp, no login required
+staffRouter.post("/forgot-password", passwordResetLimiter, FORGOT_PASSWORD);
+staffRouter.post("/verify-otp", passwordResetLimiter, VERIFY_PASSWORD_OTP);
+staffRouter.post("/reset-password", passwordResetLimiter, RESET_PASSWORD);
+staffRouter.get(
+  "/all-staff",
+  VERIFY_TOKEN,
+  requirePermission(PERMISSIONS.STAFF_MANAGE),
+  GET_ALL_STAFF
+);
+staffRouter
+  .route("/:staffId/role")
+  .put(
+    VERIFY_TOKEN,
+    requirePermission(PERMISSIONS.STAFF_MANAGE),
+    UPDATE_STAFF_ROLE
+  );
+staffRouter
+  .route("/:staffId")
+  .delete(
+    VERIFY_TOKEN,
+    requirePermission(PERMISSIONS.STAFF_MANAGE),
+    DELETE_STAFF
+  );
+
+export default staffRouter;
@@ -1,22 +1,39 @@
 import { Router } from "express";
 import {
   CHANGE_STUDENT_PASSWORD,
+  FORGOT_STUDENT_PASSWORD,
   GET_ALL_STUDENT_COUNT,
   GET_ALL_STUDENTS,
+  GET_FEE_BALANCE_BY_STUDENT,
+  GET_FEE_DEFAULTERS,
   GET_CLASS_BY_STUDENT_ID,
   GET_FEE_PAYMENT_HISTORY_BY_STUDENT,
   GET_FEE_PAYMENT_STATUS_BY_CLASS,
   GET_STUDENT_BY_CLASS_ID,
   GET_STUDENT_BY_ID,
+  IMPORT_STUDENTS,
   IMPOSE_LATE_FINE,
   LOGIN_STUDENT,
+  LOGOUT_STUDENT,
   MARK_FEE_PAYMENT_STATUS,
+  REFRESH_STUDENT_TOKEN,
   REGISTER_STUDENT,
+  RESET_STUDENT_PASSWORD,
   UPDATE_STUDENT,
+  VERIFY_STUDENT_PASSWORD_OTP,
 } from "../controllers/student.controller.js";
-import { upload } from "../middlewares/multer.middleware.js";
+import {
+  singleSpreadsheet,
+  upload,
+} from "../middlewares/multer.middleware.js";
 import { VERIFY_TOKEN } from "../middlewares/auth.middleware.js";
-import { authorize } from "../middlewares/authorize.middleware.js";
+import {
+  authorize,
+  requirePermission,
+  requireSelfOrPermission,
+} from "../middlewares/authorize.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.utils.js";
+import { passwordResetLimiter } from "../middlewares/rateLimit.middleware.js";
 import { getRatio } from "../controllers/genderratio.controller.js";
 
 const studentRouter = Router();
@@ -25,44 +42,127 @@ const studentRouter = Router();
 studentRouter.post(
   "/register",
   VERIFY_TOKEN,
-  authorize(["principal"]),
+  requirePermission(PERMISSIONS.STUDENTS_WRITE),
   upload.single("profilePhoto"),
   REGISTER_STUDENT
 );
+// bulk admission from a .csv / .xlsx sheet, ?dryRun=true only validates
+studentRouter.post(
+  "/import",
+  VERIFY_TOKEN,
+  requirePermission(PERMISSIONS.STUDENTS_WRITE),
+  singleSpreadsheet("file"),
+  IMPORT_STUDENTS
+);
 studentRouter.post("/login", LOGIN_STUDENT);
+studentRouter.post("/refresh-token", REFRESH_STUDENT_TOKEN);
 // Route for student logout
-studentRouter.get("/getstudentbyid/:studentId", GET_STUDENT_BY_ID);
+studentRouter.post(
+  "/logout",
+  VERIFY_TOKEN,
+  authorize(["student"]),
+  LOGOUT_STUDENT
+);
+studentRouter.get(
+  "/getstudentbyid/:studentId",
+  VERIFY_TOKEN,
+  requireSelfOrPermission(
+    "student",
+    (req) => req.params.studentId,
+    PERMISSIONS.STUDENTS_READ
+  ),
+  GET_STUDENT_BY_ID
+);
 studentRouter.get("/getallstudents", GET_ALL_STUDENTS);
 studentRouter.get("/getstudentbyclassid/:classId", GET_STUDENT_BY_CLASS_ID);
-studentRouter.get("/getclassbystudentid/:studentId", GET_CLASS_BY_STUDENT_ID);
+studentRouter.get(
+  "/getclassbystudentid/:studentId",
+  VERIFY_TOKEN,
+  requireSelfOrPermission(
+    "student",
+    (req) => req.params.studentId,
+    PERMISSIONS.STUDENTS_READ
+  ),
+  GET_CLASS_BY_STUDENT_ID
+);
 // protected route, student must be logged in first
-studentRouter.put("/update-student/:studentId", UPDATE_STUDENT);
+studentRouter.put(
+  "/update-student/:studentId",
+  VERIFY_TOKEN,
+  requireSelfOrPermission(
+    "student",
+    (req) => req.params.studentId,
+    PERMISSIONS.STUDENTS_WRITE
+  ),
+  UPDATE_STUDENT
+);
 studentRouter.get("/getallstudentcount", GET_ALL_STUDENT_COUNT);
-studentRouter.post("/change-password", VERIFY_TOKEN, CHANGE_STUDENT_PASSWORD);
+studentRouter.post(
+  "/change-password",
+  VERIFY_TOKEN,
+  authorize(["student"]),
+  CHANGE_STUDENT_PASSWORD
+);
+// password reset over an emailed otp, no login required
+studentRouter.post(
+  "/forgot-password",
+  passwordResetLimiter,
+  FORGOT_STUDENT_PASSWORD
+);
+studentRouter.post(
+  "/verify-otp",
+  passwordResetLimiter,
+  VERIFY_STUDENT_PASSWORD_OTP
+);
+studentRouter.post(
+  "/reset-password",
+  passwordResetLimiter,
+  RESET_STUDENT_PASSWORD
+);
 studentRouter.post(
   "/fee-payment/pay-fee",
   VERIFY_TOKEN,
-  authorize(["principal"]),
+  requirePermission(PERMISSIONS.FEES_WRITE),
   MARK_FEE_PAYMENT_STATUS
 );
 studentRouter.post(
   "/fee-payment/impose-fine",
   VERIFY_TOKEN,
-  authorize(["principal"]),
+  requirePermission(PERMISSIONS.FEES_WRITE),
   IMPOSE_LATE_FINE
 );
 studentRouter.get(
   "/fee-payment/history/class/:classId",
   VERIFY_TOKEN,
-  authorize(["principal"]),
+  requirePermission(PERMISSIONS.FEES_READ),
   GET_FEE_PAYMENT_STATUS_BY_CLASS
 );
+studentRouter.get(
+  "/fee-payment/defaulters",
+  VERIFY_TOKEN,
+  requirePermission(PERMISSIONS.FEES_READ),
+  GET_FEE_DEFAULTERS
+);
 studentRouter.get(
   "/fee-payment/history/student/:studentId",
   VERIFY_TOKEN,
-  authorize(["principal", "student"]),
+  requireSelfOrPermission(
+    "student",
+    (req) => req.params.studentId,
+    PERMISSIONS.FEES_READ
+  ),
   GET_FEE_PAYMENT_HISTORY_BY_STUDENT
 );
+studentRouter.get(
+  "/fee-payment/balance/student/:studentId",
+  VERIFY_TOKEN,
+  requireSelfOrPermission(
+    "student",
+    (req) => req.params.studentId,
+    PERMISSIONS.FEES_READ
+  ),
+  GET_FEE_BALANCE_BY_STUDENT
+);
 studentRouter.get("/gender-ratio", VERIFY_TOKEN, getRatio);
 
 export default studentRouter;
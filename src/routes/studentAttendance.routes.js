@@ -5,24 +5,52 @@ import {
   MARK_ATTENDANCE,
   UPDATE_ATTENDANCE,
 } from "../controllers/studentAttendance.controller.js";
+import { VERIFY_TOKEN } from "../middlewares/auth.middleware.js";
+import {
+  requirePermission,
+  requireSelfOrPermission,
+  requireTeacherAssignment,
+} from "../middlewares/authorize.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.utils.js";
 
 const studentAttendanceRouter = Router();
 
+// teachers mark attendance only for the classes assigned to them
+const canMarkClassAttendance = [
+  VERIFY_TOKEN,
+  requirePermission(PERMISSIONS.ATTENDANCE_MARK),
+  requireTeacherAssignment({ getClassIds: (req) => req.params.classId }),
+];
+
 // Mark attendance for a class
-studentAttendanceRouter.post("/classes/:classId/attendance", MARK_ATTENDANCE);
+studentAttendanceRouter.post(
+  "/classes/:classId/attendance",
+  canMarkClassAttendance,
+  MARK_ATTENDANCE
+);
 // Fetch attendance for a class on a specific date
 studentAttendanceRouter.get(
   "/classes/:classId/attendance/:date",
+  VERIFY_TOKEN,
+  requirePermission(PERMISSIONS.ATTENDANCE_READ),
+  requireTeacherAssignment({ getClassIds: (req) => req.params.classId }),
   FETCH_ATTENDANCE_CLASS
 );
 // Update attendance for a class on a specific date
 studentAttendanceRouter.put(
   "/classes/:classId/attendance/:date",
+  canMarkClassAttendance,
   UPDATE_ATTENDANCE
 );
 // Fetch attendance history for a student
 studentAttendanceRouter.get(
   "/students/:studentId/attendance-history",
+  VERIFY_TOKEN,
+  requireSelfOrPermission(
+    "student",
+    (req) => req.params.studentId,
+    PERMISSIONS.ATTENDANCE_READ
+  ),
   FETCH_ATTENDANCE_HISTORY_STUDENT
 );
 
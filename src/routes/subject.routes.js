@@ -5,14 +5,15 @@ import {
   REGISTER_SUBJECT,
 } from "../controllers/subject.controller.js";
 import { VERIFY_TOKEN } from "../middlewares/auth.middleware.js";
-import { authorize } from "../middlewares/authorize.middleware.js";
+import { requirePermission } from "../middlewares/authorize.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.utils.js";
 
 const subjectRouter = Router();
 
 subjectRouter.post(
   "/register",
   VERIFY_TOKEN,
-  authorize(["principal"]),
+  requirePermission(PERMISSIONS.SUBJECTS_WRITE),
   REGISTER_SUBJECT
 );
 subjectRouter.get("/getsubjectsbyclass/:classId", GET_SUBJECT_BY_CLASS);
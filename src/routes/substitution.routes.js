@@ -0,0 +1,42 @@
+import { Router } from "express";
+import {
+  ASSIGN_SUBSTITUTE,
+  GET_LEAVE_SUBSTITUTIONS,
+  GET_MY_SUBSTITUTIONS,
+  REMOVE_SUBSTITUTION,
+} from "../controllers/substitution.controller.js";
+import { VERIFY_TOKEN } from "../middlewares/auth.middleware.js";
+import {
+  authorize,
+  requirePermission,
+} from "../middlewares/authorize.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.utils.js";
+
+const substitutionRouter = Router();
+
+substitutionRouter.get(
+  "/me",
+  VERIFY_TOKEN,
+  authorize(["teacher"]),
+  GET_MY_SUBSTITUTIONS
+);
+substitutionRouter
+  .route("/leave/:leaveId")
+  .get(
+    VERIFY_TOKEN,
+    requirePermission(PERMISSIONS.LEAVE_APPROVE),
+    GET_LEAVE_SUBSTITUTIONS
+  )
+  .post(
+    VERIFY_TOKEN,
+    requirePermission(PERMISSIONS.LEAVE_APPROVE),
+    ASSIGN_SUBSTITUTE
+  );
+substitutionRouter.delete(
+  "/:substitutionId",
+  VERIFY_TOKEN,
+  requirePermission(PERMISSIONS.LEAVE_APPROVE),
+  REMOVE_SUBSTITUTION
+);
+
+export default substitutionRouter;
@@ -6,6 +6,8 @@ import {
   // ASSIGN_CLASSES_TO_TEACHER,
   // ASSIGN_SUBJECT_TO_TEACHER,
   DELETE_ASSIGNED_SUBJECT_CLASSES,
+  EXPORT_TEACHERS,
+  FORGOT_PASSWORD,
   GET_ALL_TEACHER_COUNT,
   GET_ALL_TEACHERS,
   GET_ALL_TEACHERS_WITHOUT_PAGINATION,
@@ -13,77 +15,166 @@ import {
   GET_TEACHER_ATTENDANCE_HISTORY,
   GET_TEACHER_BY_ID,
   GET_TEACHERS_BY_ADVANCE_AND_STATUS,
+  IMPORT_TEACHERS,
   LOGIN_TEACHER,
+  LOGOUT,
   MAKE_CLASS_TEACHER,
   MARK_ATTENDANCE_BY_DATE,
+  GET_MUSTER_ROLL,
+  REFRESH_TOKEN,
+  RESET_PASSWORD,
+  VERIFY_PASSWORD_OTP,
   REGISTER_TEACHER, GET_LEAVE_REQUEST, SEND_LEAVE_REQUEST,SEND_ADVANCE_PAY_REQUEST
 } from "../controllers/teacher.controller.js";
 import { VERIFY_TOKEN } from "../middlewares/auth.middleware.js";
-import { authorize } from "../middlewares/authorize.middleware.js";
+import {
+  authorize,
+  requirePermission,
+  requireSelfOrPermission,
+} from "../middlewares/authorize.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.utils.js";
+import { passwordResetLimiter } from "../middlewares/rateLimit.middleware.js";
+import { singleSpreadsheet } from "../middlewares/multer.middleware.js";
 
 const teacherRouter = Router();
+// leave and advance requests are always raised for the logged in teacher
 teacherRouter
   .route("/send-leave-request")
-  .post(SEND_LEAVE_REQUEST);
-teacherRouter
-.get("/get-all-leaves/:id",GET_LEAVE_REQUEST)
-teacherRouter
-.post("/send-adv-pay-req",SEND_ADVANCE_PAY_REQUEST)
+  .post(VERIFY_TOKEN, authorize(["teacher"]), SEND_LEAVE_REQUEST);
+teacherRouter.get(
+  "/get-all-leaves/:id",
+  VERIFY_TOKEN,
+  requireSelfOrPermission(
+    "teacher",
+    (req) => req.params.id,
+    PERMISSIONS.LEAVE_APPROVE
+  ),
+  GET_LEAVE_REQUEST
+);
+teacherRouter.post(
+  "/send-adv-pay-req",
+  VERIFY_TOKEN,
+  authorize(["teacher"]),
+  SEND_ADVANCE_PAY_REQUEST
+);
 
 teacherRouter.post(
   "/register",
- 
+  VERIFY_TOKEN,
+  requirePermission(PERMISSIONS.TEACHERS_WRITE),
   REGISTER_TEACHER
 );
 teacherRouter.route("/login").post(LOGIN_TEACHER);
+teacherRouter.route("/refresh-token").post(REFRESH_TOKEN);
+teacherRouter
+  .route("/logout")
+  .post(VERIFY_TOKEN, authorize(["teacher"]), LOGOUT);
 teacherRouter
   .route("/change-password")
   .post(VERIFY_TOKEN, authorize(["teacher"]), CHANGE_PASSWORD);
+// password reset over an emailed otp, no login required
+teacherRouter
+  .route("/forgot-password")
+  .post(passwordResetLimiter, FORGOT_PASSWORD);
+teacherRouter
+  .route("/verify-otp")
+  .post(passwordResetLimiter, VERIFY_PASSWORD_OTP);
+teacherRouter
+  .route("/reset-password")
+  .post(passwordResetLimiter, RESET_PASSWORD);
 teacherRouter.get("/all-teachers", GET_ALL_TEACHERS);
 teacherRouter.get(
   "/all-teachers/no-pagination",
   GET_ALL_TEACHERS_WITHOUT_PAGINATION
 );
+// roster import / export, ?dryRun=true only validates an import
+teacherRouter.post(
+  "/import",
+  VERIFY_TOKEN,
+  requirePermission(PERMISSIONS.TEACHERS_WRITE),
+  singleSpreadsheet("file"),
+  IMPORT_TEACHERS
+);
+teacherRouter.get(
+  "/export",
+  VERIFY_TOKEN,
+  requirePermission(PERMISSIONS.TEACHERS_READ),
+  EXPORT_TEACHERS
+);
 teacherRouter.get("/:teacherId", GET_TEACHER_BY_ID);
 teacherRouter
   .route("/assign-classes-and-subjects/:teacherId")
   .post(
     VERIFY_TOKEN,
-    authorize(["principal"]),
+    requirePermission(PERMISSIONS.TEACHERS_WRITE),
     ASSIGN_CLASSES_AND_SUBJECTS_TO_TEACHER
   );
 teacherRouter
   .route("/:teacherId/make-class-teacher")
-  .put(VERIFY_TOKEN, authorize(["principal"]), MAKE_CLASS_TEACHER);
+  .put(
+    VERIFY_TOKEN,
+    requirePermission(PERMISSIONS.TEACHERS_WRITE),
+    MAKE_CLASS_TEACHER
+  );
 teacherRouter.delete(
   "/:teacherId/delete-assignments",
   VERIFY_TOKEN,
-  authorize(["principal"]),
+  requirePermission(PERMISSIONS.TEACHERS_WRITE),
   DELETE_ASSIGNED_SUBJECT_CLASSES
 );
 teacherRouter
   .route("/attendance/mark")
-  .post(VERIFY_TOKEN, authorize(["principal"]), MARK_ATTENDANCE_BY_DATE);
+  .post(
+    VERIFY_TOKEN,
+    requirePermission(PERMISSIONS.TEACHER_ATTENDANCE_MARK),
+    MARK_ATTENDANCE_BY_DATE
+  );
+teacherRouter.get(
+  "/attendance/muster-roll",
+  VERIFY_TOKEN,
+  requireSelfOrPermission(
+    "teacher",
+    (req) => req.query.teacher,
+    PERMISSIONS.TEACHERS_READ
+  ),
+  GET_MUSTER_ROLL
+);
 teacherRouter
   .route("/getattendancehistory/:teacherId")
   .get(
     VERIFY_TOKEN,
-    authorize(["principal", "teacher"]),
+    requireSelfOrPermission(
+      "teacher",
+      (req) => req.params.teacherId,
+      PERMISSIONS.TEACHERS_READ
+    ),
     GET_TEACHER_ATTENDANCE_HISTORY
   );
 teacherRouter
   .route("/payment-records")
-  .post(VERIFY_TOKEN, authorize(["principal"]), ADD_TRANSACTION);
+  .post(
+    VERIFY_TOKEN,
+    requirePermission(PERMISSIONS.PAYROLL_WRITE),
+    ADD_TRANSACTION
+  );
 teacherRouter
   .route("/payment-records/teacher/:teacherId")
   .get(
     VERIFY_TOKEN,
-    authorize(["principal", "teacher"]),
+    requireSelfOrPermission(
+      "teacher",
+      (req) => req.params.teacherId,
+      PERMISSIONS.PAYROLL_READ
+    ),
     GET_PAYMENT_RECORDS_BY_TEACHER
   );
 teacherRouter
   .route("/payment-records/teachers")
-  .get(GET_TEACHERS_BY_ADVANCE_AND_STATUS);
+  .get(
+    VERIFY_TOKEN,
+    requirePermission(PERMISSIONS.PAYROLL_READ),
+    GET_TEACHERS_BY_ADVANCE_AND_STATUS
+  );
 teacherRouter.get("", GET_ALL_TEACHER_COUNT);
 
 
@@ -0,0 +1,28 @@
+import { Router } from "express";
+import {
+  ADD_TIMETABLE_SLOT,
+  DELETE_TIMETABLE_SLOT,
+  GET_TIMETABLE,
+} from "../controllers/timetable.controller.js";
+import { VERIFY_TOKEN } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/authorize.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.utils.js";
+
+const timetableRouter = Router();
+
+timetableRouter
+  .route("/slots")
+  .get(VERIFY_TOKEN, GET_TIMETABLE)
+  .post(
+    VERIFY_TOKEN,
+    requirePermission(PERMISSIONS.CLASSES_WRITE),
+    ADD_TIMETABLE_SLOT
+  );
+timetableRouter.delete(
+  "/slots/:slotId",
+  VERIFY_TOKEN,
+  requirePermission(PERMISSIONS.CLASSES_WRITE),
+  DELETE_TIMETABLE_SLOT
+);
+
+export default timetableRouter;
@@ -0,0 +1,37 @@
+import { isValidObjectId } from "mongoose";
+import { AcademicSession } from "../models/academicSession.model.js";
+import { ApiError } from "./ApiError.js";
+
+export const getCurrentAcademicSession = async () => {
+  const currentSession = await AcademicSession.findOne({
+    isCurrent: true,
+  }).lean();
+  if (!currentSession) {
+    throw new ApiError(
+      400,
+      "No current academic session is set, ask the principal to set one"
+    );
+  }
+
+  return currentSession;
+};
+
+// ?academicSession=<id> works on another session, everything else runs on the current one
+export const resolveAcademicSession = async (req) => {
+  const requestedSession = req.query?.academicSession;
+  if (!requestedSession) {
+    return getCurrentAcademicSession();
+  }
+
+  if (!isValidObjectId(requestedSession)) {
+    throw new ApiError(400, "Invalid academic session id");
+  }
+
+  const academicSession =
+    await AcademicSession.findById(requestedSession).lean();
+  if (!academicSession) {
+    throw new ApiError(404, "Academic session not found");
+  }
+
+  return academicSession;
+};
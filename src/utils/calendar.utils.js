@@ -0,0 +1,101 @@
+import {
+  CalendarEntry,
+  NON_WORKING_ENTRY_TYPES,
+} from "../models/calendarEntry.model.js";
+import { WEEKDAYS } from "../models/timetableSlot.model.js";
+
+export const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// start of every day from "from" to "to", both included
+export const eachDay = (from, to) => {
+  const days = [];
+  for (
+    const day = startOfDay(from);
+    day <= to;
+    day.setDate(day.getDate() + 1)
+  ) {
+    days.push(new Date(day));
+  }
+  return days;
+};
+
+// weekdays the school is closed every week, WEEKLY_OFF_DAYS=saturday,sunday
+export const getWeeklyOffDays = () =>
+  new Set(
+    (process.env.WEEKLY_OFF_DAYS ?? "sunday")
+      .split(",")
+      .map((day) => WEEKDAYS.indexOf(day.trim().toLowerCase()))
+      .filter((index) => index !== -1)
+  );
+
+// Calendar entries with a day from "from" to "to". A class sees the school-wide
+// entries and its own, without classId only school-wide ones count. allClasses
+// returns every entry, e.g. to list the calendar.
+export const findCalendarEntries = (
+  from,
+  to = from,
+  { classId = null, allClasses = false, types } = {}
+) => {
+  const filter = {
+    startDate: { $lte: startOfDay(to) },
+    endDate: { $gte: startOfDay(from) },
+  };
+  if (types) filter.type = { $in: types };
+  if (!allClasses) {
+    filter.$or = [{ classes: { $size: 0 } }, { classes: { $exists: false } }];
+    if (classId) filter.$or.push({ classes: classId });
+  }
+
+  return CalendarEntry.find(filter).sort({ startDate: 1 }).lean();
+};
+
+// Every day off from "from" to "to" keyed by its start as a timestamp, with why:
+// { type: "weekly-off" | "holiday" | "vacation", name }.
+export const getNonWorkingDays = async (from, to, classId = null) => {
+  const first = startOfDay(from);
+  const last = startOfDay(to);
+  const daysOff = new Map();
+
+  const weeklyOffDays = getWeeklyOffDays();
+  for (const day of eachDay(first, last)) {
+    if (weeklyOffDays.has(day.getDay())) {
+      daysOff.set(day.getTime(), {
+        type: "weekly-off",
+        name: `Weekly off (${WEEKDAYS[day.getDay()]})`,
+      });
+    }
+  }
+
+  const entries = await findCalendarEntries(first, last, {
+    classId,
+    types: NON_WORKING_ENTRY_TYPES,
+  });
+  for (const entry of entries) {
+    const entryDays = eachDay(
+      Math.max(entry.startDate, first),
+      Math.min(entry.endDate, last)
+    );
+    for (const day of entryDays) {
+      daysOff.set(day.getTime(), { type: entry.type, name: entry.name });
+    }
+  }
+  return daysOff;
+};
+
+// why the school, or the class, is closed on the date, null on a working day
+export const getDayOff = async (date, classId = null) =>
+  (await getNonWorkingDays(date, date, classId)).get(
+    startOfDay(date).getTime()
+  ) || null;
+
+// the days from "from" to "to" that are not days off
+export const getWorkingDays = async (from, to, classId = null) => {
+  const daysOff = await getNonWorkingDays(from, to, classId);
+  return eachDay(from, startOfDay(to)).filter(
+    (day) => !daysOff.has(day.getTime())
+  );
+};
@@ -0,0 +1,42 @@
+// fee payments of a flat class fee have no items, the whole base amount is one head
+const getFeeItems = (feePayment) =>
+  feePayment.items?.length > 0
+    ? feePayment.items
+    : [{ head: "Fee", amount: feePayment.baseAmount || 0 }];
+
+const isActiveOn = (concession, date) =>
+  (!concession.startDate || date >= concession.startDate) &&
+  (!concession.endDate || date <= concession.endDate);
+
+const discount = (concession, amount) =>
+  concession.discountType === "percentage"
+    ? (amount * concession.value) / 100
+    : Math.min(concession.value, amount);
+
+// What the approved concessions take off one month's fee payment. A concession counts
+// when the month falls due within its dates, the total never exceeds what is charged.
+export const getConcessionAmount = (feePayment, concessions, dueDate) => {
+  let headDiscount = 0;
+  let fineDiscount = 0;
+
+  for (const concession of concessions) {
+    if (dueDate && !isActiveOn(concession, dueDate)) continue;
+
+    if (concession.type === "late-fine-waiver") {
+      fineDiscount += discount(concession, feePayment.lateFineAmount || 0);
+      continue;
+    }
+
+    const heads = (concession.heads || []).map((head) => head.toLowerCase());
+    for (const item of getFeeItems(feePayment)) {
+      if (heads.length === 0 || heads.includes(item.head.toLowerCase())) {
+        headDiscount += discount(concession, item.amount);
+      }
+    }
+  }
+
+  const amount =
+    Math.min(headDiscount, feePayment.baseAmount || 0) +
+    Math.min(fineDiscount, feePayment.lateFineAmount || 0);
+  return Math.round(amount * 100) / 100;
+};
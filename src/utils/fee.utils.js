@@ -0,0 +1,297 @@
+import { AcademicSession } from "../models/academicSession.model.js";
+import { Concession } from "../models/concession.model.js";
+import { FeePayment } from "../models/feepayment.model.js";
+import { FeeStructure } from "../models/feeStructure.model.js";
+import { getConcessionAmount } from "./concession.utils.js";
+
+export const MONTHS = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December",
+];
+
+// rupees and paise, avoids 0.1 + 0.2 style leftovers in balances
+export const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+export const getPaymentStatus = (feePayment) => {
+  if (feePayment.balance === 0) return "paid";
+  return feePayment.paidAmount > 0 ? "partially paid" : "not paid";
+};
+
+// balance counts a paid month as settled, so the status is worked out from paidAmount
+export const refreshPaymentStatus = (feePayment) => {
+  feePayment.status = "not paid";
+  feePayment.status = getPaymentStatus(feePayment);
+  return feePayment.status;
+};
+
+// "january" -> "January", unknown names stay as they are
+export const normalizeMonth = (month) =>
+  MONTHS.find((name) => name.toLowerCase() === String(month).toLowerCase()) ||
+  month;
+
+// calendar months an academic session spans, in order
+export const getSessionMonths = (academicSession) => {
+  const months = [];
+  const cursor = new Date(academicSession.startDate);
+  cursor.setDate(1);
+  const end = new Date(academicSession.endDate);
+
+  while (months.length < 12 && cursor <= end) {
+    months.push({
+      month: MONTHS[cursor.getMonth()],
+      monthIndex: cursor.getMonth(),
+      year: cursor.getFullYear(),
+    });
+    cursor.setMonth(cursor.getMonth() + 1);
+  }
+
+  return months;
+};
+
+const getHeadDueMonths = (head, sessionMonths) => {
+  if (head.dueMonths?.length > 0) {
+    const dueMonths = head.dueMonths.map(normalizeMonth);
+    return sessionMonths.filter(({ month }) => dueMonths.includes(month));
+  }
+
+  switch (head.frequency) {
+    case "quarterly":
+      return sessionMonths.filter((_, index) => index % 3 === 0);
+    case "annual":
+    case "one-time":
+      return sessionMonths.slice(0, 1);
+    default:
+      return sessionMonths;
+  }
+};
+
+// Expands a fee structure into the months of the session, each month lists the heads
+// due in it. One-time heads are left out unless includeOneTime, they are only charged
+// to newly admitted students.
+export const buildFeeSchedule = (
+  feeStructure,
+  academicSession,
+  { includeOneTime = false } = {}
+) => {
+  const sessionMonths = getSessionMonths(academicSession);
+  const schedule = new Map(
+    sessionMonths.map(({ month }) => [
+      month,
+      { month, dueDate: null, items: [], baseAmount: 0 },
+    ])
+  );
+
+  for (const head of feeStructure.heads) {
+    if (head.frequency === "one-time" && !includeOneTime) continue;
+
+    for (const { month, monthIndex, year } of getHeadDueMonths(
+      head,
+      sessionMonths
+    )) {
+      const entry = schedule.get(month);
+      const dueDate = new Date(year, monthIndex, head.dueDay || 10);
+
+      entry.items.push({ head: head.name, amount: head.amount });
+      entry.baseAmount += head.amount;
+      // the month is due with its earliest head
+      if (!entry.dueDate || dueDate < entry.dueDate) entry.dueDate = dueDate;
+    }
+  }
+
+  return [...schedule.values()].filter((entry) => entry.items.length > 0);
+};
+
+// students without history are in their first session, they pay the one-time heads
+export const isNewAdmission = (student) => !student.academicHistory?.length;
+
+export const getFeeStructure = (classId, academicSessionId, session = null) =>
+  FeeStructure.findOne({
+    class: classId,
+    academicSession: academicSessionId,
+  }).session(session);
+
+// Creates the monthly dues of a student from the schedule. Months that already have a
+// fee payment record are left untouched, so generating again never overwrites payments.
+export const generateStudentDues = async (
+  studentId,
+  schedule,
+  academicSession,
+  session = null
+) => {
+  if (schedule.length === 0) return 0;
+  const academicSessionId = academicSession._id;
+
+  const result = await FeePayment.bulkWrite(
+    schedule.map(({ month, dueDate, items, baseAmount }) => ({
+      updateOne: {
+        filter: {
+          student: studentId,
+          academicSession: academicSessionId,
+          month,
+        },
+        update: {
+          $setOnInsert: {
+            status: "not paid",
+            dueDate,
+            items,
+            baseAmount,
+          },
+        },
+        upsert: true,
+      },
+    })),
+    { session }
+  );
+
+  if (result.upsertedCount > 0) {
+    await applyConcessions(studentId, academicSession, {}, session);
+  }
+
+  return result.upsertedCount;
+};
+
+// generates the dues of every given student, new admissions also get the one-time heads
+export const generateClassDues = async (
+  students,
+  feeStructure,
+  academicSession,
+  session = null
+) => {
+  let duesCreated = 0;
+  for (const student of students) {
+    const schedule = buildFeeSchedule(feeStructure, academicSession, {
+      includeOneTime: isNewAdmission(student),
+    });
+    duesCreated += await generateStudentDues(
+      student._id,
+      schedule,
+      academicSession,
+      session
+    );
+  }
+
+  return duesCreated;
+};
+
+// dues of students joining a class, classes without a fee structure are skipped
+export const generateAdmissionDues = async (
+  students,
+  studentClass,
+  session = null
+) => {
+  const feeStructure = await getFeeStructure(
+    studentClass._id,
+    studentClass.academicSession,
+    session
+  );
+  if (!feeStructure || students.length === 0) return 0;
+
+  const academicSession = await AcademicSession.findById(
+    studentClass.academicSession
+  ).session(session);
+
+  return generateClassDues(students, feeStructure, academicSession, session);
+};
+
+// fee payments without a generated due date are due on DEFAULT_FEE_DUE_DAY of their month
+export const getMonthDueDate = (academicSession, month) => {
+  const dueDay = Number(process.env.DEFAULT_FEE_DUE_DAY) || 10;
+  const sessionMonth = getSessionMonths(academicSession).find(
+    (entry) => entry.month === normalizeMonth(month)
+  );
+  if (!sessionMonth) return null;
+
+  return new Date(sessionMonth.year, sessionMonth.monthIndex, dueDay);
+};
+
+// the class's late fine rule, classes configured before rules existed use lateFineAmount
+export const getLateFineRule = (studentClass) => {
+  if (studentClass.lateFineRule?.type && studentClass.lateFineRule.amount > 0) {
+    return studentClass.lateFineRule;
+  }
+  if (studentClass.lateFineAmount > 0) {
+    return { type: "flat", amount: studentClass.lateFineAmount, graceDays: 0 };
+  }
+
+  return null;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The whole fine owed on asOf, not an increment: flat rules charge once past the
+// grace days, per-day rules accrue for every day late up to the cap. Days off
+// (see getNonWorkingDays) count neither as grace days nor as days late.
+export const computeLateFine = (
+  rule,
+  dueDate,
+  asOf = new Date(),
+  daysOff = null
+) => {
+  if (!rule || !dueDate) return 0;
+
+  const due = new Date(dueDate);
+  let closedDays = 0;
+  for (const day of daysOff?.keys() ?? []) {
+    if (day > due.getTime() && day <= asOf.getTime()) closedDays += 1;
+  }
+  const daysLate =
+    Math.floor((asOf - due) / DAY_MS) - closedDays - (rule.graceDays || 0);
+  if (daysLate <= 0) return 0;
+
+  if (rule.type === "per-day") {
+    const accrued = rule.amount * daysLate;
+    return rule.cap > 0 ? Math.min(accrued, rule.cap) : accrued;
+  }
+
+  return rule.amount;
+};
+
+// Brings concessionAmount of the student's open months in line with their approved
+// concessions. Paid months are settled and keep theirs. months narrows it down.
+export const applyConcessions = async (
+  studentId,
+  academicSession,
+  { months } = {},
+  session = null
+) => {
+  const concessions = await Concession.find({
+    student: studentId,
+    academicSession: academicSession._id,
+    status: "approved",
+  })
+    .session(session)
+    .lean();
+
+  const filter = {
+    student: studentId,
+    academicSession: academicSession._id,
+    status: { $ne: "paid" },
+  };
+  if (months) filter.month = { $in: months };
+  const feePayments = await FeePayment.find(filter).session(session);
+
+  for (const feePayment of feePayments) {
+    const concessionAmount = getConcessionAmount(
+      feePayment,
+      concessions,
+      feePayment.dueDate || getMonthDueDate(academicSession, feePayment.month)
+    );
+    if (concessionAmount === (feePayment.concessionAmount || 0)) continue;
+
+    feePayment.concessionAmount = concessionAmount;
+    refreshPaymentStatus(feePayment);
+    await feePayment.save({ session });
+  }
+
+  return feePayments;
+};
@@ -0,0 +1,400 @@
+import { FeePayment } from "../models/feepayment.model.js";
+import {
+  FeeTransaction,
+  PAYMENT_MODES,
+} from "../models/feeTransaction.model.js";
+import { ApiError } from "./ApiError.js";
+import { issueReceipt } from "./receipt.utils.js";
+import {
+  MONTHS,
+  applyConcessions,
+  buildFeeSchedule,
+  getFeeStructure,
+  getSessionMonths,
+  isNewAdmission,
+  normalizeMonth,
+  refreshPaymentStatus,
+  roundAmount,
+} from "./fee.utils.js";
+
+// Looks up what a student owes for a month, from the fee structure of their class.
+// Classes without a fee structure fall back to the flat class fee.
+export const loadMonthlyDues = async (
+  student,
+  studentClass,
+  academicSession,
+  session = null
+) => {
+  const feeStructure = await getFeeStructure(
+    studentClass._id,
+    academicSession._id,
+    session
+  );
+  const schedule = feeStructure
+    ? buildFeeSchedule(feeStructure, academicSession, {
+        includeOneTime: isNewAdmission(student),
+      })
+    : [];
+
+  return (month) =>
+    schedule.find((entry) => entry.month === month) || {
+      baseAmount: studentClass.fee || 0,
+      items: [],
+      dueDate: null,
+    };
+};
+
+// fee payments in the order of the session's months, April before January and so on
+export const sortBySessionMonth = (feePayments, academicSession) => {
+  const order = getSessionMonths(academicSession).map(({ month }) => month);
+  return [...feePayments].sort(
+    (a, b) => order.indexOf(a.month) - order.indexOf(b.month)
+  );
+};
+
+// "jan" or ["January", "feb"] -> unique month names, unknown months are rejected
+export const parseFeeMonths = (months) => {
+  const monthNames = [
+    ...new Set((Array.isArray(months) ? months : [months]).map(normalizeMonth)),
+  ];
+  if (monthNames.length === 0) {
+    throw new ApiError(400, "At least one month is required");
+  }
+  const unknownMonths = monthNames.filter((month) => !MONTHS.includes(month));
+  if (unknownMonths.length > 0) {
+    throw new ApiError(400, `Invalid months: ${unknownMonths.join(", ")}`);
+  }
+
+  return monthNames;
+};
+
+// What is left to pay on the months without writing anything, months that have no
+// fee payment record yet count at their scheduled fee.
+export const getMonthsOutstanding = async (
+  student,
+  studentClass,
+  academicSession,
+  monthNames
+) => {
+  const duesFor = await loadMonthlyDues(student, studentClass, academicSession);
+  const feePayments = await FeePayment.find({
+    student: student._id,
+    academicSession: academicSession._id,
+    month: { $in: monthNames },
+  });
+
+  return roundAmount(
+    monthNames.reduce((total, month) => {
+      const feePayment = feePayments.find((record) => record.month === month);
+      return (
+        total + (feePayment ? feePayment.balance : duesFor(month).baseAmount)
+      );
+    }, 0)
+  );
+};
+
+// Records one payment into the ledger and allocates it over the months, earliest
+// first. Without amount the full outstanding of the months is paid, a smaller amount
+// leaves the last month it reaches partially paid.
+export const recordFeePayment = async (
+  {
+    student,
+    studentClass,
+    academicSession,
+    months,
+    amount,
+    mode = "cash",
+    referenceNumber,
+    notes,
+    isAdvancePayment = false,
+    collector,
+  },
+  session = null
+) => {
+  const monthNames = parseFeeMonths(months);
+  if (!PAYMENT_MODES.includes(mode)) {
+    throw new ApiError(
+      400,
+      `Invalid payment mode. Allowed values: ${PAYMENT_MODES.join(", ")}`
+    );
+  }
+  if (amount !== undefined && !(typeof amount === "number" && amount > 0)) {
+    throw new ApiError(400, "Amount must be a number greater than zero");
+  }
+
+  // months nobody generated dues for yet get them now
+  const duesFor = await loadMonthlyDues(
+    student,
+    studentClass,
+    academicSession,
+    session
+  );
+  await FeePayment.bulkWrite(
+    monthNames.map((month) => {
+      const { baseAmount, items, dueDate } = duesFor(month);
+      return {
+        updateOne: {
+          filter: {
+            student: student._id,
+            academicSession: academicSession._id,
+            month,
+          },
+          update: {
+            $setOnInsert: { status: "not paid", baseAmount, items, dueDate },
+          },
+          upsert: true,
+        },
+      };
+    }),
+    { session }
+  );
+  // concessions granted since the dues were generated count towards this payment
+  await applyConcessions(
+    student._id,
+    academicSession,
+    { months: monthNames },
+    session
+  );
+
+  const feePayments = sortBySessionMonth(
+    await FeePayment.find({
+      student: student._id,
+      academicSession: academicSession._id,
+      month: { $in: monthNames },
+    }).session(session),
+    academicSession
+  );
+
+  const outstanding = roundAmount(
+    feePayments.reduce((total, feePayment) => total + feePayment.balance, 0)
+  );
+  if (outstanding === 0) {
+    throw new ApiError(400, "The selected months are already paid");
+  }
+
+  const paymentAmount = roundAmount(amount ?? outstanding);
+  if (paymentAmount > outstanding) {
+    throw new ApiError(
+      400,
+      `Amount exceeds the outstanding ${outstanding} of the selected months`
+    );
+  }
+
+  const paidAt = new Date();
+  const allocations = [];
+  let remaining = paymentAmount;
+  for (const feePayment of feePayments) {
+    if (remaining === 0) break;
+
+    const share = Math.min(remaining, feePayment.balance);
+    if (share === 0) continue;
+    remaining = roundAmount(remaining - share);
+
+    feePayment.paidAmount = roundAmount((feePayment.paidAmount || 0) + share);
+    refreshPaymentStatus(feePayment);
+    feePayment.paymentDate = paidAt;
+    if (feePayment.status === "paid" && feePayment.lateFine) {
+      feePayment.finePaid = true;
+    }
+    // handling advance payment - the month is not due yet
+    if (isAdvancePayment || feePayment.dueDate > paidAt) {
+      feePayment.isAdvancePayment = true;
+    }
+    await feePayment.save({ session });
+
+    allocations.push({
+      feePayment: feePayment._id,
+      month: feePayment.month,
+      amount: share,
+    });
+  }
+
+  const [transaction] = await FeeTransaction.create(
+    [
+      {
+        student: student._id,
+        academicSession: academicSession._id,
+        amount: paymentAmount,
+        mode,
+        referenceNumber,
+        collectedBy: collector._id,
+        collectorRole: collector.role,
+        allocations,
+        paidAt,
+        notes,
+      },
+    ],
+    { session }
+  );
+
+  const receipt = await issueReceipt(
+    {
+      transaction,
+      student,
+      studentClass,
+      academicSession,
+      feePayments,
+      issuedBy: collector,
+    },
+    session
+  );
+
+  return { transaction, receipt, feePayments };
+};
+
+// Books a reversal or refund against a payment and takes the amount back from its
+// months, latest month first. Reversals take back everything still held and cancel
+// the payment. No month gives back more than was paid into it by this payment, so
+// neither the payment nor a month's paid amount can go below zero.
+export const reverseFeeTransaction = async (
+  payment,
+  { type, amount, reason, mode, referenceNumber, approvedBy },
+  session = null
+) => {
+  if (payment.type !== "payment") {
+    throw new ApiError(400, "Only payments can be reversed or refunded");
+  }
+  if (payment.status === "cancelled") {
+    throw new ApiError(400, "Payment is already reversed");
+  }
+  if (typeof reason !== "string" || reason.trim() === "") {
+    throw new ApiError(400, `A reason is required for a ${type}`);
+  }
+
+  const refundable = roundAmount(payment.amount - payment.refundedAmount);
+  const reversalAmount = type === "reversal" ? refundable : amount;
+  if (typeof reversalAmount !== "number" || reversalAmount <= 0) {
+    throw new ApiError(400, "Amount must be a number greater than zero");
+  }
+  if (reversalAmount > refundable) {
+    throw new ApiError(
+      400,
+      `Only ${refundable} of this payment is left to refund`
+    );
+  }
+
+  const allocations = [];
+  let remaining = roundAmount(reversalAmount);
+  for (const allocation of [...payment.allocations].reverse()) {
+    if (remaining === 0) break;
+
+    const feePayment = await FeePayment.findById(allocation.feePayment).session(
+      session
+    );
+    if (!feePayment) continue;
+
+    const share = Math.min(
+      remaining,
+      roundAmount(allocation.amount - allocation.refundedAmount),
+      feePayment.paidAmount || 0
+    );
+    if (share <= 0) continue;
+    remaining = roundAmount(remaining - share);
+    allocation.refundedAmount = roundAmount(allocation.refundedAmount + share);
+
+    feePayment.paidAmount = roundAmount(feePayment.paidAmount - share);
+    refreshPaymentStatus(feePayment);
+    if (feePayment.status !== "paid" && feePayment.lateFine) {
+      feePayment.finePaid = false;
+    }
+    await feePayment.save({ session });
+
+    allocations.push({
+      feePayment: feePayment._id,
+      month: feePayment.month,
+      amount: share,
+    });
+  }
+  if (remaining > 0) {
+    throw new ApiError(
+      409,
+      "The months of this payment no longer hold enough to take back"
+    );
+  }
+
+  payment.refundedAmount = roundAmount(payment.refundedAmount + reversalAmount);
+  if (type === "reversal") payment.status = "cancelled";
+  await payment.save({ session });
+
+  const [entry] = await FeeTransaction.create(
+    [
+      {
+        student: payment.student,
+        academicSession: payment.academicSession,
+        type,
+        reverses: payment._id,
+        amount: reversalAmount,
+        mode: mode || payment.mode,
+        referenceNumber: referenceNumber || payment.referenceNumber,
+        reason: reason.trim(),
+        approvedBy: approvedBy._id,
+        collectedBy: approvedBy._id,
+        collectorRole: approvedBy.role,
+        allocations,
+      },
+    ],
+    { session }
+  );
+
+  return entry;
+};
+
+// base fees, fines, concessions and payments of a student over one session
+export const getStudentBalance = async (studentId, academicSession) => {
+  const feePayments = sortBySessionMonth(
+    await FeePayment.find({
+      student: studentId,
+      academicSession: academicSession._id,
+    }),
+    academicSession
+  );
+  const transactions = await FeeTransaction.find({
+    student: studentId,
+    academicSession: academicSession._id,
+  })
+    .sort({ paidAt: 1 })
+    .lean();
+
+  const sumOf = (field, records = feePayments) =>
+    roundAmount(
+      records.reduce((total, record) => total + (record[field] || 0), 0)
+    );
+  const isPayment = (transaction) =>
+    (transaction.type || "payment") === "payment";
+  const overduePayments = feePayments.filter(
+    (feePayment) => feePayment.dueStatus === "overdue"
+  );
+
+  return {
+    months: feePayments.map((feePayment) => ({
+      _id: feePayment._id,
+      month: feePayment.month,
+      dueDate: feePayment.dueDate,
+      items: feePayment.items,
+      baseAmount: feePayment.baseAmount || 0,
+      lateFineAmount: feePayment.lateFineAmount || 0,
+      concessionAmount: feePayment.concessionAmount || 0,
+      totalAmount: feePayment.totalAmount,
+      paidAmount: feePayment.paidAmount || 0,
+      balance: feePayment.balance,
+      status: feePayment.dueStatus,
+    })),
+    totals: {
+      baseAmount: sumOf("baseAmount"),
+      lateFineAmount: sumOf("lateFineAmount"),
+      concessionAmount: sumOf("concessionAmount"),
+      totalAmount: sumOf("totalAmount"),
+      // payments less what reversals and refunds took back
+      paidAmount: roundAmount(
+        sumOf("amount", transactions.filter(isPayment)) -
+          sumOf(
+            "amount",
+            transactions.filter((transaction) => !isPayment(transaction))
+          )
+      ),
+      outstanding: sumOf("balance"),
+      overdue: sumOf("balance", overduePayments),
+    },
+    transactions,
+  };
+};
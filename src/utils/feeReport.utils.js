@@ -0,0 +1,155 @@
+import { StudentAcademicClass } from "../models/class.model.js";
+import { FeePayment } from "../models/feepayment.model.js";
+import { ApiError } from "./ApiError.js";
+import {
+  buildFeeSchedule,
+  getFeeStructure,
+  getMonthDueDate,
+  getSessionMonths,
+  normalizeMonth,
+  roundAmount,
+} from "./fee.utils.js";
+
+// Months of the session a report covers: ?month=, a ?from=&to= range in session
+// order, or every month that has started so far.
+export const resolveReportMonths = (academicSession, { month, from, to }) => {
+  const sessionMonths = getSessionMonths(academicSession);
+  const monthNames = sessionMonths.map((entry) => entry.month);
+
+  const indexOf = (name) => {
+    const index = monthNames.indexOf(normalizeMonth(name));
+    if (index === -1) {
+      throw new ApiError(
+        400,
+        `${name} is not a month of session ${academicSession.name}`
+      );
+    }
+    return index;
+  };
+
+  if (month) return [monthNames[indexOf(month)]];
+
+  if (from || to) {
+    const fromIndex = from ? indexOf(from) : 0;
+    const toIndex = to ? indexOf(to) : monthNames.length - 1;
+    if (fromIndex > toIndex) {
+      throw new ApiError(400, "The range must start before it ends");
+    }
+    return monthNames.slice(fromIndex, toIndex + 1);
+  }
+
+  const now = new Date();
+  return sessionMonths
+    .filter(({ monthIndex, year }) => new Date(year, monthIndex, 1) <= now)
+    .map((entry) => entry.month);
+};
+
+// monthly fee of every month, for months a student has no fee payment record for yet
+const loadClassDues = async (classIds, academicSession) => {
+  const classes = await StudentAcademicClass.find({ _id: { $in: classIds } })
+    .select("className fee")
+    .lean();
+
+  const duesByClass = new Map();
+  for (const studentClass of classes) {
+    const feeStructure = await getFeeStructure(
+      studentClass._id,
+      academicSession._id
+    );
+    const schedule = feeStructure
+      ? buildFeeSchedule(feeStructure, academicSession)
+      : [];
+
+    duesByClass.set(studentClass._id.toString(), {
+      className: studentClass.className,
+      amountFor: (month) =>
+        feeStructure
+          ? (schedule.find((entry) => entry.month === month)?.baseAmount ?? 0)
+          : studentClass.fee || 0,
+    });
+  }
+
+  return duesByClass;
+};
+
+// Dues of each student over the months: which months are paid, unpaid and fined,
+// and what is outstanding. Months without a record count at the class's fee.
+export const buildDuesReport = async (students, academicSession, months) => {
+  const feePayments = await FeePayment.find({
+    student: { $in: students.map((student) => student._id) },
+    academicSession: academicSession._id,
+    month: { $in: months },
+  });
+  const paymentsByStudent = new Map();
+  for (const feePayment of feePayments) {
+    const key = feePayment.student.toString();
+    paymentsByStudent.set(key, [
+      ...(paymentsByStudent.get(key) || []),
+      feePayment,
+    ]);
+  }
+
+  const duesByClass = await loadClassDues(
+    [...new Set(students.map((student) => student.studentClass?.toString()))],
+    academicSession
+  );
+  const now = new Date();
+
+  return students.map((student) => {
+    const payments = paymentsByStudent.get(student._id.toString()) || [];
+    const classDues = duesByClass.get(student.studentClass?.toString());
+
+    const monthRows = months.map((month) => {
+      const feePayment = payments.find((payment) => payment.month === month);
+      if (feePayment) {
+        return {
+          month,
+          status: feePayment.dueStatus,
+          totalAmount: feePayment.totalAmount,
+          paidAmount: feePayment.paidAmount || 0,
+          lateFineAmount: feePayment.lateFineAmount || 0,
+          balance: feePayment.balance,
+        };
+      }
+
+      const amount = classDues?.amountFor(month) ?? 0;
+      const dueDate = getMonthDueDate(academicSession, month);
+      return {
+        month,
+        status:
+          amount === 0 ? "no dues" : dueDate < now ? "overdue" : "not paid",
+        totalAmount: amount,
+        paidAmount: 0,
+        lateFineAmount: 0,
+        balance: amount,
+      };
+    });
+
+    const monthsWith = (predicate) =>
+      monthRows.filter(predicate).map((row) => row.month);
+    const sumOf = (field, rows = monthRows) =>
+      roundAmount(rows.reduce((total, row) => total + row[field], 0));
+
+    return {
+      student: {
+        _id: student._id,
+        name: student.name,
+        rollNumber: student.rollNumber,
+      },
+      className: classDues?.className ?? null,
+      months: monthRows,
+      paidMonths: monthsWith((row) => row.status === "paid"),
+      unpaidMonths: monthsWith(
+        (row) => row.status !== "paid" && row.status !== "no dues"
+      ),
+      finedMonths: monthsWith((row) => row.lateFineAmount > 0),
+      totalAmount: sumOf("totalAmount"),
+      paidAmount: sumOf("paidAmount"),
+      outstanding: sumOf("balance"),
+      overdue: sumOf(
+        "balance",
+        monthRows.filter((row) => row.status === "overdue")
+      ),
+    };
+  });
+};
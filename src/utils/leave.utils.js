@@ -0,0 +1,249 @@
+import { AcademicSession } from "../models/academicSession.model.js";
+import { LeaveBalance } from "../models/leaveBalance.model.js";
+import { LeaveType } from "../models/leaveType.model.js";
+import { Teacher } from "../models/teacher.model.js";
+import { TeachersLeave } from "../models/teacherLeave.model.js";
+import { ApiError } from "./ApiError.js";
+import { getCurrentAcademicSession } from "./academicSession.utils.js";
+import { eachDay, getWorkingDays, startOfDay } from "./calendar.utils.js";
+
+// what a school starts with until the principal configures its own
+export const DEFAULT_LEAVE_TYPES = [
+  { code: "casual", name: "Casual Leave", annualQuota: 12 },
+  { code: "sick", name: "Sick Leave", annualQuota: 10 },
+  {
+    code: "earned",
+    name: "Earned Leave",
+    annualQuota: 15,
+    carryForward: true,
+    maxCarryForward: 30,
+  },
+  { code: "maternity", name: "Maternity Leave", annualQuota: 180 },
+];
+
+export const getLeaveTypes = async ({ activeOnly = true } = {}) => {
+  if ((await LeaveType.estimatedDocumentCount()) === 0) {
+    try {
+      await LeaveType.insertMany(DEFAULT_LEAVE_TYPES, { ordered: false });
+    } catch (error) {
+      // another request seeded them first
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  return LeaveType.find(activeOnly ? { isActive: true } : {})
+    .sort({ name: 1 })
+    .lean();
+};
+
+export const findLeaveType = async (code) => {
+  const leaveTypes = await getLeaveTypes();
+  const leaveType = leaveTypes.find(
+    (entry) =>
+      entry.code ===
+      String(code || "")
+        .trim()
+        .toLowerCase()
+  );
+  if (!leaveType) {
+    throw new ApiError(
+      400,
+      `Invalid leave type. Allowed values: ${leaveTypes.map((entry) => entry.code).join(", ")}`
+    );
+  }
+
+  return leaveType;
+};
+
+// every day from date to endDate, both included
+export const getLeaveDates = (date, endDate = date) => {
+  const first = startOfDay(date);
+  const last = startOfDay(endDate || date);
+  if (Number.isNaN(first.getTime()) || Number.isNaN(last.getTime())) {
+    throw new ApiError(400, "Invalid leave date");
+  }
+  if (last < first) {
+    throw new ApiError(400, "End date can't be before the start date");
+  }
+
+  const dates = eachDay(first, last);
+  if (dates.length > 366) {
+    throw new ApiError(400, "A leave can't be longer than a year");
+  }
+  return dates;
+};
+
+// the days of a leave the school is open, only these count against the balance
+export const getLeaveWorkingDates = async (date, endDate = date) => {
+  const dates = getLeaveDates(date, endDate);
+  return getWorkingDays(dates[0], dates[dates.length - 1]);
+};
+
+// Filter for leave requests with a day from "from" to "to". Requests from before
+// multi-day leave have no endDate and may carry a time of day.
+export const overlappingLeaveFilter = (from, to = from) => {
+  const dayAfter = startOfDay(to);
+  dayAfter.setDate(dayAfter.getDate() + 1);
+
+  return {
+    date: { $lt: dayAfter },
+    $or: [
+      { endDate: { $gte: startOfDay(from) } },
+      { endDate: { $exists: false }, date: { $gte: startOfDay(from) } },
+    ],
+  };
+};
+
+// the session a date falls in, the current one for dates outside every session
+export const getSessionOfDate = async (date) =>
+  (await AcademicSession.findOne({
+    startDate: { $lte: date },
+    endDate: { $gte: date },
+  }).lean()) || getCurrentAcademicSession();
+
+// unused days of the session before, as far as the type carries them forward
+const getCarriedForward = async (teacherId, leaveType, academicSession) => {
+  if (!leaveType.carryForward || !(leaveType.maxCarryForward > 0)) return 0;
+
+  const previousSession = await AcademicSession.findOne({
+    endDate: { $lt: academicSession.startDate },
+  })
+    .sort({ endDate: -1 })
+    .lean();
+  if (!previousSession) return 0;
+
+  const previous = await LeaveBalance.findOne({
+    teacher: teacherId,
+    leaveType: leaveType._id,
+    academicSession: previousSession._id,
+  });
+  // no balance means no leave taken, if the teacher was with the school then
+  const unused = previous
+    ? previous.remaining
+    : (await Teacher.exists({
+          _id: teacherId,
+          createdAt: { $lte: previousSession.endDate },
+        }))
+      ? leaveType.annualQuota
+      : 0;
+
+  return Math.min(unused, leaveType.maxCarryForward);
+};
+
+// the teacher's balance of a leave type in a session, opened on first use
+export const getLeaveBalance = async (
+  teacherId,
+  leaveType,
+  academicSession,
+  session = null
+) => {
+  const filter = {
+    teacher: teacherId,
+    leaveType: leaveType._id,
+    academicSession: academicSession._id,
+  };
+  const existing = await LeaveBalance.findOne(filter).session(session);
+  if (existing) return existing;
+
+  return LeaveBalance.findOneAndUpdate(
+    filter,
+    {
+      $setOnInsert: {
+        quota: leaveType.annualQuota,
+        carriedForward: await getCarriedForward(
+          teacherId,
+          leaveType,
+          academicSession
+        ),
+      },
+    },
+    { upsert: true, new: true, session }
+  );
+};
+
+// Splits the days of a leave into days the balance covers and loss of pay. A new
+// request also counts the days its pending requests already hold.
+export const splitLeaveDays = async (
+  teacherId,
+  leaveType,
+  academicSession,
+  days,
+  { countPending = false, session = null } = {}
+) => {
+  if (!leaveType.paid)
+    return { paidDays: 0, lossOfPayDays: days, available: 0 };
+
+  const balance = await getLeaveBalance(
+    teacherId,
+    leaveType,
+    academicSession,
+    session
+  );
+  let pendingDays = 0;
+  if (countPending) {
+    const pending = await TeachersLeave.find({
+      teacherId: teacherId.toString(),
+      leaveType: leaveType._id,
+      academicSession: academicSession._id,
+      leaveStatus: "Pending",
+    })
+      .select("days")
+      .session(session)
+      .lean();
+    pendingDays = pending.reduce(
+      (total, leave) => total + (leave.days || 1),
+      0
+    );
+  }
+
+  const available = Math.max(balance.remaining - pendingDays, 0);
+  const paidDays = Math.min(days, available);
+  return { paidDays, lossOfPayDays: days - paidDays, available };
+};
+
+// Approving debits the balance. What it can't cover becomes loss of pay on the last
+// working days of the leave, the payroll run of each day's month deducts it. Runs in
+// the transaction that takes the request off Pending, so it debits once.
+export const debitLeave = async (leave, session = null) => {
+  // requests from before leave types existed have nothing to debit
+  if (!leave.leaveType) return leave;
+
+  const leaveType = await LeaveType.findById(leave.leaveType)
+    .session(session)
+    .lean();
+  const academicSession = await AcademicSession.findById(leave.academicSession)
+    .session(session)
+    .lean();
+  if (!leaveType || !academicSession) {
+    throw new ApiError(404, "Leave type or session of the request not found");
+  }
+
+  // counted again, a holiday may have been declared since the request
+  const dates = await getLeaveWorkingDates(leave.date, leave.endDate);
+  leave.days = dates.length;
+  const { paidDays, lossOfPayDays } = await splitLeaveDays(
+    leave.teacherId,
+    leaveType,
+    academicSession,
+    leave.days,
+    { session }
+  );
+  if (paidDays > 0) {
+    await LeaveBalance.updateOne(
+      {
+        teacher: leave.teacherId,
+        leaveType: leaveType._id,
+        academicSession: academicSession._id,
+      },
+      { $inc: { used: paidDays } },
+      { session }
+    );
+  }
+
+  leave.paidDays = paidDays;
+  leave.lossOfPayDays = lossOfPayDays;
+  leave.lossOfPayDates =
+    lossOfPayDays > 0 ? dates.slice(dates.length - lossOfPayDays) : [];
+
+  return leave;
+};
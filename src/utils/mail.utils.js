@@ -0,0 +1,42 @@
+import nodemailer from "nodemailer";
+
+let transporter = null;
+
+// smtp settings come from the environment, point SMTP_HOST/SMTP_PORT at a local sink (mailhog, maildev) while developing
+const createDefaultTransport = () =>
+  nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+// replace the mail transport, accepts a ready transporter or nodemailer transport options
+// e.g. setMailTransport({ jsonTransport: true }) to capture mails in tests
+export const setMailTransport = (transport) => {
+  if (!transport) {
+    transporter = null;
+    return;
+  }
+
+  transporter =
+    typeof transport.sendMail === "function"
+      ? transport
+      : nodemailer.createTransport(transport);
+};
+
+export const sendMail = async ({ to, subject, text, html }) => {
+  if (!transporter) {
+    transporter = createDefaultTransport();
+  }
+
+  return await transporter.sendMail({
+    from: process.env.MAIL_FROM || process.env.SMTP_USER,
+    to,
+    subject,
+    text,
+    html,
+  });
+};
@@ -0,0 +1,142 @@
+import crypto from "crypto";
+import { NotificationLog } from "../models/notificationLog.model.js";
+import { NotificationTemplate } from "../models/notificationTemplate.model.js";
+import { ApiError } from "./ApiError.js";
+import logger from "./logger.js";
+import { sendMail } from "./mail.utils.js";
+import { getSchoolDetails } from "./pdf.utils.js";
+
+// Stands in for an SMS / WhatsApp gateway until one is configured: the message is
+// only written to the log. A provider is { send({ to, text }) -> { messageId } }.
+const createStubProvider = (channel) => ({
+  send: async ({ to, text }) => {
+    logger.info(`[${channel} stub] to ${to}: ${text}`);
+    return { messageId: `stub-${crypto.randomUUID()}` };
+  },
+});
+
+const messagingProviders = {
+  sms: createStubProvider("sms"),
+  whatsapp: createStubProvider("whatsapp"),
+};
+
+// plug in a real gateway, e.g. setMessagingProvider("sms", twilioProvider)
+export const setMessagingProvider = (channel, provider) => {
+  messagingProviders[channel] = provider || createStubProvider(channel);
+};
+
+// each channel knows where a student is reached and how to send there
+const CHANNELS = {
+  email: {
+    getRecipient: (student) => student.email,
+    send: async ({ to, subject, text }) => {
+      const info = await sendMail({ to, subject, text });
+      return { messageId: info?.messageId };
+    },
+  },
+  sms: {
+    getRecipient: (student) => student.parentContact || student.phoneNumber,
+    send: ({ to, text }) => messagingProviders.sms.send({ to, text }),
+  },
+  whatsapp: {
+    getRecipient: (student) => student.whatsappNumber,
+    send: ({ to, text }) => messagingProviders.whatsapp.send({ to, text }),
+  },
+};
+
+// built-in wording, placeholders are written as {{name}}
+export const DEFAULT_TEMPLATES = {
+  "fee-due-reminder": {
+    subject: "Fee reminder: {{month}} fee due on {{dueDate}}",
+    body: "Dear Parent, the {{month}} fee of {{amount}} for {{studentName}} is due on {{dueDate}}. Please ignore this message if already paid. - {{schoolName}}",
+  },
+  "fee-overdue-reminder": {
+    subject: "Fee overdue: {{month}} fee of {{studentName}}",
+    body: "Dear Parent, the {{month}} fee of {{amount}} for {{studentName}} was due on {{dueDate}} and is {{daysOverdue}} days overdue. Late fines may apply. - {{schoolName}}",
+  },
+};
+
+export const renderTemplate = (text = "", variables = {}) =>
+  text.replace(/{{\s*(\w+)\s*}}/g, (placeholder, name) =>
+    variables[name] !== undefined ? String(variables[name]) : placeholder
+  );
+
+// the school's saved wording, or the built-in one
+export const getTemplate = async (key) => {
+  if (!DEFAULT_TEMPLATES[key]) {
+    throw new ApiError(404, `Unknown notification template: ${key}`);
+  }
+
+  const saved = await NotificationTemplate.findOne({ key }).lean();
+  return {
+    key,
+    ...DEFAULT_TEMPLATES[key],
+    ...(saved && { subject: saved.subject, body: saved.body }),
+    isDefault: !saved,
+  };
+};
+
+// null when the dedupe key is taken, the message went out in an earlier run
+const createLog = async (entry) => {
+  try {
+    return await NotificationLog.create(entry);
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+// Sends one templated message to a student over a channel and logs it. With a
+// dedupeKey the message goes out once, a second call returns null.
+export const sendNotification = async ({
+  student,
+  channel,
+  template,
+  variables,
+  feePayment,
+  dedupeKey,
+}) => {
+  const values = { schoolName: getSchoolDetails().name, ...variables };
+  const recipient = CHANNELS[channel].getRecipient(student);
+  const entry = {
+    student: student._id,
+    channel,
+    template: template.key,
+    recipient,
+    subject: renderTemplate(template.subject, values),
+    body: renderTemplate(template.body, values),
+    feePayment,
+    dedupeKey,
+  };
+
+  if (student.notificationOptOut?.includes(channel)) {
+    return createLog({ ...entry, status: "skipped", error: "Opted out" });
+  }
+  if (!recipient) {
+    return createLog({
+      ...entry,
+      status: "skipped",
+      error: `No ${channel} contact on record`,
+    });
+  }
+
+  const log = await createLog(entry);
+  if (!log) return null;
+
+  try {
+    const { messageId } = await CHANNELS[channel].send({
+      to: recipient,
+      subject: entry.subject,
+      text: entry.body,
+    });
+    log.status = "sent";
+    log.providerMessageId = messageId;
+    log.sentAt = new Date();
+  } catch (error) {
+    log.status = "failed";
+    log.error = error.message;
+  }
+  await log.save();
+
+  return log;
+};
@@ -0,0 +1,156 @@
+import crypto from "crypto";
+import bcrypt from "bcrypt";
+import otpGenerator from "otp-generator";
+import { PasswordReset } from "../models/passwordReset.model.js";
+import { ApiError } from "./ApiError.js";
+import { sendMail } from "./mail.utils.js";
+import { hashToken } from "./token.utils.js";
+
+const OTP_LENGTH = 6;
+const OTP_EXPIRY_MINUTES =
+  Number(process.env.PASSWORD_RESET_OTP_EXPIRY_MINUTES) || 10;
+const MAX_OTP_ATTEMPTS = Number(process.env.PASSWORD_RESET_MAX_ATTEMPTS) || 5;
+const RESET_TOKEN_EXPIRY_MINUTES = 15;
+const OTP_RESEND_INTERVAL_SECONDS = 60;
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+// body fields can be any json value, a missing or non string field is a bad request
+const assertFields = (fields, message) => {
+  if (
+    fields.some((field) => typeof field !== "string" || field.trim() === "")
+  ) {
+    throw new ApiError(400, message);
+  }
+};
+
+const findUserByEmail = (Model, email) =>
+  Model.findOne({ email: email.trim().toLowerCase() });
+
+// mails an otp to the user if the email is registered. Callers always answer with the same
+// message so the endpoint can't be used to find out which emails exist
+export const requestPasswordResetOtp = async (Model, email = "") => {
+  assertFields([email], "Email is required");
+
+  const user = await findUserByEmail(Model, email);
+  if (!user) return;
+
+  const existingRequest = await PasswordReset.findOne({
+    user: user._id,
+    userModel: Model.modelName,
+  });
+  // an otp was mailed a moment ago, don't flood the inbox
+  if (
+    existingRequest &&
+    Date.now() - existingRequest.updatedAt.getTime() <
+      OTP_RESEND_INTERVAL_SECONDS * 1000
+  ) {
+    return;
+  }
+
+  const otp = otpGenerator.generate(OTP_LENGTH, {
+    upperCaseAlphabets: false,
+    lowerCaseAlphabets: false,
+    specialChars: false,
+  });
+
+  await PasswordReset.findOneAndUpdate(
+    { user: user._id, userModel: Model.modelName },
+    {
+      $set: {
+        otp: await bcrypt.hash(otp, 10),
+        attempts: 0,
+        expiresAt: minutesFromNow(OTP_EXPIRY_MINUTES),
+      },
+      $unset: { resetToken: "" },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  await sendMail({
+    to: user.email,
+    subject: "Password reset OTP",
+    text: `Hi ${user.name},\n\nYour OTP to reset your password is ${otp}. It expires in ${OTP_EXPIRY_MINUTES} minutes.\n\nIf you did not request a password reset, you can ignore this email.`,
+  });
+};
+
+// checks the otp and hands out a single use reset token, every wrong guess counts towards the attempt limit
+export const verifyPasswordResetOtp = async (Model, email = "", otp = "") => {
+  assertFields([email, otp], "Email and OTP are required");
+
+  const user = await findUserByEmail(Model, email);
+  if (!user) {
+    throw new ApiError(400, "Invalid or expired OTP");
+  }
+
+  // count the attempt before comparing, parallel guesses can't get past the limit
+  const passwordReset = await PasswordReset.findOneAndUpdate(
+    {
+      user: user._id,
+      userModel: Model.modelName,
+      resetToken: { $exists: false },
+      expiresAt: { $gt: new Date() },
+      attempts: { $lt: MAX_OTP_ATTEMPTS },
+    },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!passwordReset) {
+    throw new ApiError(400, "Invalid or expired OTP, please request a new one");
+  }
+
+  const isOtpValid = await bcrypt.compare(otp.trim(), passwordReset.otp);
+  if (!isOtpValid) {
+    const attemptsLeft = MAX_OTP_ATTEMPTS - passwordReset.attempts;
+    throw new ApiError(
+      400,
+      attemptsLeft > 0
+        ? `Invalid OTP, ${attemptsLeft} attempt(s) left`
+        : "Invalid OTP, please request a new one"
+    );
+  }
+
+  const resetToken = crypto.randomBytes(32).toString("hex");
+  passwordReset.resetToken = hashToken(resetToken);
+  passwordReset.expiresAt = minutesFromNow(RESET_TOKEN_EXPIRY_MINUTES);
+  await passwordReset.save();
+
+  return resetToken;
+};
+
+// sets the new password, the reset request is consumed and every logged in session is revoked
+export const resetPasswordWithToken = async (
+  Model,
+  email = "",
+  resetToken = "",
+  newPassword = ""
+) => {
+  assertFields(
+    [email, resetToken, newPassword],
+    "Email, reset token and new password are required"
+  );
+
+  if (newPassword.length < 6) {
+    throw new ApiError(400, "Password must be at least 6 characters long");
+  }
+
+  const user = await findUserByEmail(Model, email);
+  if (!user) {
+    throw new ApiError(400, "Invalid or expired reset token");
+  }
+
+  const passwordReset = await PasswordReset.findOneAndDelete({
+    user: user._id,
+    userModel: Model.modelName,
+    resetToken: hashToken(resetToken),
+    expiresAt: { $gt: new Date() },
+  });
+  if (!passwordReset) {
+    throw new ApiError(400, "Invalid or expired reset token");
+  }
+
+  user.password = newPassword;
+  user.refreshToken = undefined;
+  user.refreshTokenFamily = undefined;
+  await user.save({ validateBeforeSave: false });
+};
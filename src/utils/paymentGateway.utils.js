@@ -0,0 +1,109 @@
+import crypto from "crypto";
+import { ApiError } from "./ApiError.js";
+
+// Every payment provider has the same shape:
+//   createOrder({ orderId, amount, currency }) -> { providerOrderId, checkout }
+//   verifyWebhook(rawBody, headers) -> true when the delivery is signed by the provider
+//   parseWebhook(body) -> { providerOrderId, providerTransactionId, amount, status }
+// where status is "paid" or "failed", events the school doesn't act on give null.
+
+const hmacSignature = (payload, secret) =>
+  crypto.createHmac("sha256", secret).update(payload).digest("hex");
+
+const signaturesMatch = (expected, received) => {
+  const expectedBuffer = Buffer.from(expected);
+  const receivedBuffer = Buffer.from(String(received || ""));
+
+  return (
+    expectedBuffer.length === receivedBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, receivedBuffer)
+  );
+};
+
+// webhooks are only trusted with a secret set, an unset secret verifies nothing
+const getWebhookSecret = () => process.env.PAYMENT_WEBHOOK_SECRET;
+
+// Local stand-in for a real gateway, for development and tests. Orders are accepted
+// straight away and buildWebhook produces the delivery the gateway would send.
+export const fakePaymentProvider = {
+  name: "fake",
+
+  createOrder: async ({ orderId, amount, currency }) => ({
+    providerOrderId: `fake_order_${crypto.randomUUID()}`,
+    checkout: { orderId, amount, currency },
+  }),
+
+  verifyWebhook: (rawBody, headers) => {
+    const secret = getWebhookSecret();
+    if (!secret || !rawBody) return false;
+
+    return signaturesMatch(
+      hmacSignature(rawBody, secret),
+      headers["x-fake-signature"]
+    );
+  },
+
+  parseWebhook: (body) => {
+    const statuses = { "payment.captured": "paid", "payment.failed": "failed" };
+
+    return {
+      providerOrderId: body.orderId,
+      providerTransactionId: body.transactionId,
+      amount: Number(body.amount),
+      status: statuses[body.event] || null,
+    };
+  },
+
+  // e.g. buildWebhook({ event: "payment.captured", orderId, transactionId, amount })
+  buildWebhook: (payload) => {
+    const body = JSON.stringify(payload);
+    return {
+      body,
+      headers: {
+        "content-type": "application/json",
+        "x-fake-signature": hmacSignature(body, getWebhookSecret() || ""),
+      },
+    };
+  },
+};
+
+const providers = new Map([[fakePaymentProvider.name, fakePaymentProvider]]);
+
+// real gateways plug in here, e.g. registerPaymentProvider(razorpayProvider)
+export const registerPaymentProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+// The fake provider takes any "paid" webhook signed with the shared secret, production
+// only gets it with PAYMENT_ALLOW_FAKE_PROVIDER=true set on purpose.
+const isFakeProviderAllowed = () =>
+  process.env.NODE_ENV !== "production" ||
+  process.env.PAYMENT_ALLOW_FAKE_PROVIDER === "true";
+
+const findPaymentProvider = (name) =>
+  name === fakePaymentProvider.name && !isFakeProviderAllowed()
+    ? null
+    : providers.get(name);
+
+// the provider new orders go to, set PAYMENT_PROVIDER in the environment
+const getConfiguredProviderName = () =>
+  process.env.PAYMENT_PROVIDER ||
+  (isFakeProviderAllowed() ? fakePaymentProvider.name : undefined);
+
+// without a usable provider online payments are switched off, the rest of the app runs
+export const isPaymentProviderConfigured = () =>
+  Boolean(findPaymentProvider(getConfiguredProviderName()));
+
+// the named provider, by default the configured one. Online payment requests are
+// answered with 503 while no provider is configured.
+export const getPaymentProvider = (name = getConfiguredProviderName()) => {
+  if (!isPaymentProviderConfigured()) {
+    throw new ApiError(503, "Online payments are not available right now");
+  }
+
+  const provider = findPaymentProvider(name);
+  if (!provider) {
+    throw new ApiError(400, `Unknown payment provider: ${name}`);
+  }
+  return provider;
+};
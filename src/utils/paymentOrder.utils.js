@@ -0,0 +1,198 @@
+import mongoose from "mongoose";
+import { AcademicSession } from "../models/academicSession.model.js";
+import { StudentAcademicClass } from "../models/class.model.js";
+import { PaymentOrder } from "../models/paymentOrder.model.js";
+import { Student } from "../models/student.model.js";
+import { ApiError } from "./ApiError.js";
+import { recordFeePayment } from "./feePayment.utils.js";
+
+// Flags the order for a look. An order that wasn't booked yet is held, the money is
+// with the school but not booked; a paid order stays paid. When the transaction belongs
+// to this order it is kept, so repeat deliveries are recognised.
+const flagForReview = async (
+  order,
+  event,
+  reviewReason,
+  { ownTransaction = false } = {}
+) => {
+  await PaymentOrder.updateOne(
+    { _id: order._id, status: { $ne: "paid" } },
+    {
+      $set: {
+        status: "needs-review",
+        ...(ownTransaction && {
+          providerTransactionId: event.providerTransactionId,
+        }),
+      },
+    }
+  );
+
+  return PaymentOrder.findByIdAndUpdate(
+    order._id,
+    {
+      $set: { needsReview: true, reviewReason },
+      $push: { webhookEvents: event },
+    },
+    { new: true }
+  );
+};
+
+// Books a confirmed online payment like a counter payment, with the same allocation,
+// ledger entry and receipt. The order is claimed in the same transaction, so the
+// months are paid once however often the gateway delivers the webhook.
+const bookOrderPayment = async (order, event) => {
+  const session = await mongoose.startSession();
+
+  try {
+    return await session.withTransaction(async () => {
+      const claimed = await PaymentOrder.findOneAndUpdate(
+        { _id: order._id, status: { $in: ["created", "failed"] } },
+        {
+          $set: {
+            status: "paid",
+            providerTransactionId: event.providerTransactionId,
+            paidAt: event.receivedAt,
+          },
+          $push: { webhookEvents: event },
+        },
+        { new: true, session }
+      );
+      // a parallel delivery got here first
+      if (!claimed) {
+        return { order, duplicate: true };
+      }
+
+      const [student, academicSession] = await Promise.all([
+        Student.findById(order.student).session(session),
+        AcademicSession.findById(order.academicSession).session(session).lean(),
+      ]);
+      const studentClass = student
+        ? await StudentAcademicClass.findById(student.studentClass).session(
+            session
+          )
+        : null;
+      if (!student || !studentClass || !academicSession) {
+        throw new ApiError(
+          404,
+          "Student, class or session of the order is gone"
+        );
+      }
+
+      const { transaction, receipt } = await recordFeePayment(
+        {
+          student,
+          studentClass,
+          academicSession,
+          months: order.months,
+          amount: order.amount,
+          mode: "online",
+          referenceNumber: event.providerTransactionId,
+          notes: `Online payment, order ${order.providerOrderId}`,
+          collector: { _id: order.createdBy, role: order.creatorRole },
+        },
+        session
+      );
+
+      claimed.transaction = transaction._id;
+      claimed.receipt = receipt._id;
+      await claimed.save({ session });
+
+      return { order: claimed, duplicate: false };
+    });
+  } catch (error) {
+    // the transaction id is already booked on another order
+    if (error.code === 11000) {
+      return {
+        order: await flagForReview(
+          order,
+          event,
+          `Transaction ${event.providerTransactionId} is already booked on another order`
+        ),
+        duplicate: false,
+      };
+    }
+    // the payment can't be booked as it stands, anything else is retried by the gateway
+    if (error instanceof ApiError && error.statusCode < 500) {
+      return {
+        order: await flagForReview(order, event, error.message, {
+          ownTransaction: true,
+        }),
+        duplicate: false,
+      };
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+// Applies one verified webhook of the provider to its order. A delivery for a
+// transaction the order already has is acknowledged and changes nothing.
+export const applyPaymentWebhook = async (provider, webhook) => {
+  const { providerOrderId, providerTransactionId, amount, status } = webhook;
+
+  const order = await PaymentOrder.findOne({
+    provider: provider.name,
+    providerOrderId,
+  });
+  if (!order) {
+    throw new ApiError(404, "Payment order not found");
+  }
+
+  const event = {
+    status,
+    providerTransactionId,
+    amount,
+    receivedAt: new Date(),
+  };
+
+  if (
+    providerTransactionId &&
+    order.providerTransactionId === providerTransactionId
+  ) {
+    await PaymentOrder.updateOne(
+      { _id: order._id },
+      { $push: { webhookEvents: event } }
+    );
+    return { order, duplicate: true };
+  }
+
+  // events the school doesn't act on
+  if (!status) {
+    return { order, duplicate: false };
+  }
+
+  if (status === "failed") {
+    if (order.status === "created") order.status = "failed";
+    order.webhookEvents.push(event);
+    await order.save();
+    return { order, duplicate: false };
+  }
+
+  if (!providerTransactionId) {
+    throw new ApiError(400, "Payment webhook without a transaction id");
+  }
+  if (order.status === "paid" || order.status === "needs-review") {
+    return {
+      order: await flagForReview(
+        order,
+        event,
+        `Paid again in transaction ${providerTransactionId}`
+      ),
+      duplicate: false,
+    };
+  }
+  if (amount !== order.amount) {
+    return {
+      order: await flagForReview(
+        order,
+        event,
+        `Gateway amount ${amount} does not match the order amount ${order.amount}`,
+        { ownTransaction: true }
+      ),
+      duplicate: false,
+    };
+  }
+
+  return bookOrderPayment(order, event);
+};
@@ -0,0 +1,415 @@
+import { PaymentRecord } from "../models/paymentRecord.model.js";
+import { PayrollRun } from "../models/payrollRun.model.js";
+import {
+  REPAYMENT_TYPES,
+  SalaryAdvance,
+} from "../models/salaryAdvance.model.js";
+import { SalaryStructure } from "../models/salaryStructure.model.js";
+import { Teacher } from "../models/teacher.model.js";
+import { TeachersLeave } from "../models/teacherLeave.model.js";
+import { ApiError } from "./ApiError.js";
+import { roundAmount } from "./fee.utils.js";
+
+export const PAYROLL_MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// what one month of a salary structure pays: gross, each deduction and net
+export const computeSalary = (structure) => {
+  const basic = roundAmount(structure.basic);
+  const allowances = (structure.allowances || []).map(({ name, amount }) => ({
+    name,
+    amount: roundAmount(amount),
+  }));
+  const grossAmount = roundAmount(
+    allowances.reduce((total, allowance) => total + allowance.amount, basic)
+  );
+
+  const deductions = (structure.deductions || []).map((deduction) => {
+    const base = deduction.base === "gross" ? grossAmount : basic;
+    return {
+      name: deduction.name,
+      amount: roundAmount(
+        deduction.type === "percentage"
+          ? (base * deduction.value) / 100
+          : deduction.value
+      ),
+    };
+  });
+  const totalDeductions = roundAmount(
+    deductions.reduce((total, deduction) => total + deduction.amount, 0)
+  );
+
+  return {
+    basic,
+    allowances,
+    grossAmount,
+    deductions,
+    totalDeductions,
+    netAmount: roundAmount(grossAmount - totalDeductions),
+  };
+};
+
+// "2024-11" plus 3 months is "2025-02"
+export const addMonths = (month, count) => {
+  const [year, monthNumber] = month.split("-").map(Number);
+  return new Date(Date.UTC(year, monthNumber - 1 + count, 1))
+    .toISOString()
+    .slice(0, 7);
+};
+
+// Splits an advance into installments from startMonth, equal shares with the rounding
+// left on the last one. A lump sum is recovered in one go.
+export const buildRepaymentSchedule = (
+  amount,
+  { repaymentType = "lump-sum", installmentCount = 1, startMonth }
+) => {
+  if (!REPAYMENT_TYPES.includes(repaymentType)) {
+    throw new ApiError(
+      400,
+      `Invalid repayment type. Allowed values: ${REPAYMENT_TYPES.join(", ")}`
+    );
+  }
+  if (!PAYROLL_MONTH_PATTERN.test(startMonth || "")) {
+    throw new ApiError(400, "Start month must be in YYYY-MM format");
+  }
+  const count = repaymentType === "lump-sum" ? 1 : Number(installmentCount);
+  if (!Number.isInteger(count) || count < 1 || count > 24) {
+    throw new ApiError(400, "Installments must be a whole number from 1 to 24");
+  }
+
+  const share = Math.floor((amount / count) * 100) / 100;
+  return Array.from({ length: count }, (_, index) => ({
+    month: addMonths(startMonth, index),
+    amount:
+      index === count - 1 ? roundAmount(amount - share * (count - 1)) : share,
+  }));
+};
+
+// Turns the approved advance of a payment record into a balance recovered through
+// payroll, starting with the month after the advance unless startMonth says otherwise.
+export const scheduleAdvanceRecovery = async (
+  paymentRecord,
+  { repaymentType, installmentCount, startMonth },
+  approvedBy,
+  session = null
+) => {
+  if (!(paymentRecord.advanceAmount > 0)) {
+    throw new ApiError(400, "The advance has no amount to recover");
+  }
+
+  const existing = await SalaryAdvance.findOne({
+    paymentRecord: paymentRecord._id,
+  }).session(session);
+  if (existing && existing.status !== "cancelled") return existing;
+
+  const schedule = {
+    teacher: paymentRecord.teacher,
+    paymentRecord: paymentRecord._id,
+    amount: paymentRecord.advanceAmount,
+    repaymentType,
+    installments: buildRepaymentSchedule(paymentRecord.advanceAmount, {
+      repaymentType,
+      installmentCount,
+      startMonth: startMonth || addMonths(paymentRecord.month, 1),
+    }),
+    recoveredAmount: 0,
+    status: "active",
+    approvedBy,
+    approvedAt: new Date(),
+  };
+
+  // approved again after a withdrawn approval
+  if (existing) {
+    existing.set(schedule);
+    return existing.save({ session });
+  }
+  const [advance] = await SalaryAdvance.create([schedule], { session });
+  return advance;
+};
+
+// withdraws the recovery of an advance whose approval is taken back
+export const cancelAdvanceRecovery = async (paymentRecord, session = null) => {
+  const advance = await SalaryAdvance.findOne({
+    paymentRecord: paymentRecord._id,
+    status: "active",
+  }).session(session);
+  if (!advance) return null;
+
+  if (advance.recoveredAmount > 0) {
+    throw new ApiError(
+      409,
+      "Part of this advance is already recovered through payroll"
+    );
+  }
+  advance.status = "cancelled";
+  return advance.save({ session });
+};
+
+// loss of pay days of approved leave per teacher id that fall in the month
+const getLossOfPayDays = async (month, session = null) => {
+  const [year, monthNumber] = month.split("-").map(Number);
+  const from = new Date(year, monthNumber - 1, 1);
+  const to = new Date(year, monthNumber, 1);
+
+  const leaves = await TeachersLeave.find({
+    leaveStatus: "Approved",
+    lossOfPayDates: { $gte: from, $lt: to },
+  })
+    .select("teacherId lossOfPayDates")
+    .session(session)
+    .lean();
+
+  const daysByTeacher = new Map();
+  for (const leave of leaves) {
+    const days = leave.lossOfPayDates.filter(
+      (date) => date >= from && date < to
+    ).length;
+    daysByTeacher.set(
+      leave.teacherId,
+      (daysByTeacher.get(leave.teacherId) || 0) + days
+    );
+  }
+  return daysByTeacher;
+};
+
+// Docks a day's share of the gross pay for every loss of pay day, never more than
+// the net pay.
+export const deductLossOfPay = (salary, days, month) => {
+  if (!(days > 0)) return salary;
+
+  const [year, monthNumber] = month.split("-").map(Number);
+  const daysInMonth = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+  const amount = roundAmount(
+    Math.min((salary.grossAmount / daysInMonth) * days, salary.netAmount)
+  );
+
+  return {
+    ...salary,
+    deductions: [
+      ...salary.deductions,
+      { name: `Loss of pay (${days} day${days === 1 ? "" : "s"})`, amount },
+    ],
+    totalDeductions: roundAmount(salary.totalDeductions + amount),
+    netAmount: roundAmount(salary.netAmount - amount),
+  };
+};
+
+// Adds the installments due by the month as one deduction, never more than the net
+// pay. Whatever doesn't fit stays scheduled and comes up again next month.
+export const deductAdvanceInstallments = (salary, advances, month) => {
+  const recoveries = [];
+  let available = salary.netAmount;
+
+  for (const advance of advances) {
+    for (const installment of advance.installments) {
+      if (available <= 0) break;
+      if (installment.status !== "scheduled" || installment.month > month) {
+        continue;
+      }
+
+      const amount = roundAmount(Math.min(installment.amount, available));
+      available = roundAmount(available - amount);
+      recoveries.push({
+        advance: advance._id,
+        installment: installment._id,
+        amount,
+      });
+    }
+  }
+  if (recoveries.length === 0) return { salary, recoveries };
+
+  const recovered = roundAmount(
+    recoveries.reduce((total, recovery) => total + recovery.amount, 0)
+  );
+  return {
+    salary: {
+      ...salary,
+      deductions: [
+        ...salary.deductions,
+        { name: "Advance recovery", amount: recovered },
+      ],
+      totalDeductions: roundAmount(salary.totalDeductions + recovered),
+      netAmount: roundAmount(salary.netAmount - recovered),
+    },
+    recoveries,
+  };
+};
+
+// Works out the month's salary of every teacher into their PaymentRecord. A draft
+// run is recomputed from the current salary structures, an approved one is locked.
+// One month is in draft at a time, so an installment is only ever deducted by one run.
+export const generatePayrollRun = async (
+  month,
+  generatedBy,
+  session = null
+) => {
+  if (!PAYROLL_MONTH_PATTERN.test(month || "")) {
+    throw new ApiError(400, "Month must be in YYYY-MM format");
+  }
+
+  let run = await PayrollRun.findOne({ month }).session(session);
+  if (run?.status === "approved") {
+    throw new ApiError(409, `Payroll of ${month} is approved and locked`);
+  }
+  const otherDraft = await PayrollRun.findOne({
+    month: { $ne: month },
+    status: "draft",
+  })
+    .select("month")
+    .session(session)
+    .lean();
+  if (otherDraft) {
+    throw new ApiError(
+      409,
+      `Payroll of ${otherDraft.month} is still a draft, approve it first`
+    );
+  }
+  if (!run) {
+    [run] = await PayrollRun.create([{ month }], { session });
+  }
+
+  const teachers = await Teacher.find().select("name").session(session).lean();
+  const structures = await SalaryStructure.find({
+    teacher: { $in: teachers.map((teacher) => teacher._id) },
+  })
+    .session(session)
+    .lean();
+  const structureByTeacher = new Map(
+    structures.map((structure) => [structure.teacher.toString(), structure])
+  );
+  const advances = await SalaryAdvance.find({ status: "active" })
+    .sort({ approvedAt: 1 })
+    .session(session)
+    .lean();
+  const lossOfPayDays = await getLossOfPayDays(month, session);
+
+  const totals = { grossAmount: 0, totalDeductions: 0, netAmount: 0 };
+  const skipped = [];
+  const paidTeachers = [];
+  for (const teacher of teachers) {
+    const structure = structureByTeacher.get(teacher._id.toString());
+    if (!structure) {
+      skipped.push({ teacher: teacher._id, reason: "No salary structure" });
+      continue;
+    }
+
+    const teacherLossOfPay = lossOfPayDays.get(teacher._id.toString()) || 0;
+    const { salary, recoveries } = deductAdvanceInstallments(
+      deductLossOfPay(computeSalary(structure), teacherLossOfPay, month),
+      advances.filter((advance) => advance.teacher.equals(teacher._id)),
+      month
+    );
+    // advance request fields of the month's record stay as they are
+    await PaymentRecord.findOneAndUpdate(
+      { teacher: teacher._id, month },
+      {
+        $set: {
+          payrollRun: run._id,
+          ...salary,
+          lossOfPayDays: teacherLossOfPay,
+          advanceRecoveries: recoveries,
+        },
+      },
+      { upsert: true, setDefaultsOnInsert: true, session }
+    );
+
+    paidTeachers.push(teacher._id);
+    totals.grossAmount += salary.grossAmount;
+    totals.totalDeductions += salary.totalDeductions;
+    totals.netAmount += salary.netAmount;
+  }
+
+  // teachers dropped since the last draft, e.g. their structure was removed
+  await PaymentRecord.updateMany(
+    { payrollRun: run._id, teacher: { $nin: paidTeachers } },
+    {
+      $unset: {
+        payrollRun: "",
+        basic: "",
+        allowances: "",
+        deductions: "",
+        grossAmount: "",
+        totalDeductions: "",
+        netAmount: "",
+        lossOfPayDays: "",
+        advanceRecoveries: "",
+      },
+    },
+    { session }
+  );
+
+  run.teacherCount = paidTeachers.length;
+  run.grossAmount = roundAmount(totals.grossAmount);
+  run.totalDeductions = roundAmount(totals.totalDeductions);
+  run.netAmount = roundAmount(totals.netAmount);
+  run.skipped = skipped;
+  run.generatedBy = generatedBy;
+  run.generatedAt = new Date();
+  await run.save({ session });
+
+  return run;
+};
+
+// Locks the run and settles the advance installments it deducted. An installment
+// only partly covered keeps the rest scheduled. A deduction the advance no longer
+// matches, e.g. withdrawn or settled since the run was generated, fails the approval.
+export const approvePayrollRun = async (runId, approvedBy, session = null) => {
+  const run = await PayrollRun.findOneAndUpdate(
+    { _id: runId, status: "draft" },
+    { $set: { status: "approved", approvedBy, approvedAt: new Date() } },
+    { new: true, session }
+  );
+  if (!run) {
+    const exists = await PayrollRun.exists({ _id: runId }).session(session);
+    throw exists
+      ? new ApiError(409, "Payroll run is already approved")
+      : new ApiError(404, "Payroll run not found");
+  }
+
+  const records = await PaymentRecord.find({
+    payrollRun: run._id,
+    "advanceRecoveries.0": { $exists: true },
+  }).session(session);
+  const recoveredAt = new Date();
+
+  for (const record of records) {
+    for (const recovery of record.advanceRecoveries) {
+      const advance = await SalaryAdvance.findById(recovery.advance).session(
+        session
+      );
+      const installment = advance?.installments.id(recovery.installment);
+      if (
+        advance?.status !== "active" ||
+        installment?.status !== "scheduled" ||
+        recovery.amount > installment.amount
+      ) {
+        throw new ApiError(
+          409,
+          "Advance recoveries of this run are out of date, generate it again"
+        );
+      }
+
+      if (recovery.amount < installment.amount) {
+        installment.amount = roundAmount(installment.amount - recovery.amount);
+        advance.installments.push({
+          month: run.month,
+          amount: recovery.amount,
+          status: "recovered",
+          payrollRun: run._id,
+          recoveredAt,
+        });
+      } else {
+        installment.status = "recovered";
+        installment.payrollRun = run._id;
+        installment.recoveredAt = recoveredAt;
+      }
+
+      advance.recoveredAmount = roundAmount(
+        advance.recoveredAmount + recovery.amount
+      );
+      if (advance.outstanding === 0) advance.status = "recovered";
+      await advance.save({ session });
+    }
+  }
+
+  return run;
+};
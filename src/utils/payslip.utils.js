@@ -0,0 +1,92 @@
+import archiver from "archiver";
+import {
+  drawAmountRows,
+  drawSchoolHeader,
+  formatAmount,
+  formatDate,
+  renderPdf,
+} from "./pdf.utils.js";
+import { amountInWords } from "./receipt.utils.js";
+
+// "2024-07" -> "July 2024"
+export const formatPayrollMonth = (month) => {
+  const [year, monthNumber] = month.split("-").map(Number);
+  return new Date(Date.UTC(year, monthNumber - 1, 1)).toLocaleDateString(
+    "en-IN",
+    { month: "long", year: "numeric", timeZone: "UTC" }
+  );
+};
+
+// e.g. "payslip-2024-07-Asha-Verma-6650c1f2a4b3c2d1e0f9a8b7.pdf", the id keeps two
+// teachers of the same name apart. A deleted teacher's record goes by its own id.
+export const payslipFileName = (record, teacher) =>
+  teacher
+    ? `payslip-${record.month}-${teacher.name.replace(/[^a-z0-9]+/gi, "-")}-${teacher._id}.pdf`
+    : `payslip-${record.month}-former-teacher-${record._id}.pdf`;
+
+const drawSection = (doc, title, rows) => {
+  doc.font("Helvetica-Bold").text(title);
+  doc.font("Helvetica").moveDown(0.3);
+  drawAmountRows(doc, rows, { boldLast: true });
+  doc.moveDown();
+};
+
+// the payment record of an approved payroll run, teacher needs name and email and is
+// null once the teacher was deleted
+export const renderPayslipPdf = (record, teacher, run) =>
+  renderPdf((doc) => {
+    drawSchoolHeader(doc, `PAYSLIP - ${formatPayrollMonth(record.month)}`);
+
+    drawAmountRows(doc, [
+      ["Employee", teacher?.name || "Former teacher"],
+      ["Email", teacher?.email || ""],
+      ["Pay period", formatPayrollMonth(record.month)],
+      ["Approved on", formatDate(run.approvedAt)],
+    ]);
+    doc.moveDown();
+
+    drawSection(doc, "Earnings", [
+      ["Basic", formatAmount(record.basic)],
+      ...(record.allowances || []).map(({ name, amount }) => [
+        name,
+        formatAmount(amount),
+      ]),
+      ["Gross earnings", formatAmount(record.grossAmount)],
+    ]);
+
+    // advance recovery and loss of pay are deductions like PF and tax
+    drawSection(doc, "Deductions", [
+      ...(record.deductions || []).map(({ name, amount }) => [
+        name,
+        formatAmount(amount),
+      ]),
+      ["Total deductions", formatAmount(record.totalDeductions)],
+    ]);
+
+    drawAmountRows(doc, [["Net pay", formatAmount(record.netAmount)]], {
+      boldLast: true,
+    });
+    doc.text(amountInWords(record.netAmount));
+
+    doc.moveDown(3);
+    doc.text("This is a computer generated payslip.", { align: "center" });
+  });
+
+// streams a zip of the payslips to res, resolves once the response is done
+export const streamPayslipsZip = async (res, entries) => {
+  const archive = archiver("zip");
+  const finished = new Promise((resolve, reject) => {
+    archive.on("error", reject);
+    res.on("close", resolve);
+  });
+  archive.pipe(res);
+
+  for (const { record, teacher, run } of entries) {
+    archive.append(await renderPayslipPdf(record, teacher, run), {
+      name: payslipFileName(record, teacher),
+    });
+  }
+  await archive.finalize();
+
+  return finished;
+};
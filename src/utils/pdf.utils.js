@@ -0,0 +1,145 @@
+import PDFDocument from "pdfkit";
+
+// printed on every document, set SCHOOL_NAME / SCHOOL_ADDRESS / SCHOOL_CONTACT in the environment
+export const getSchoolDetails = () => ({
+  name: process.env.SCHOOL_NAME || "School",
+  address: process.env.SCHOOL_ADDRESS || "",
+  contact: process.env.SCHOOL_CONTACT || "",
+});
+
+// builtin pdf fonts have no rupee sign
+export const formatAmount = (amount) =>
+  `Rs. ${Number(amount || 0).toLocaleString("en-IN", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+
+export const formatDate = (date) =>
+  date
+    ? new Date(date).toLocaleDateString("en-IN", {
+        day: "2-digit",
+        month: "short",
+        year: "numeric",
+      })
+    : "";
+
+// draw(doc) lays out the pages, resolves with the finished pdf
+export const renderPdf = (draw, options = {}) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50, ...options });
+    const chunks = [];
+
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    try {
+      draw(doc);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+
+export const drawSchoolHeader = (doc, title) => {
+  const school = getSchoolDetails();
+
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(18)
+    .text(school.name, { align: "center" });
+  doc.font("Helvetica").fontSize(10);
+  if (school.address) doc.text(school.address, { align: "center" });
+  if (school.contact) doc.text(school.contact, { align: "center" });
+
+  doc.moveDown(0.5);
+  doc
+    .moveTo(doc.page.margins.left, doc.y)
+    .lineTo(doc.page.width - doc.page.margins.right, doc.y)
+    .stroke();
+  doc.moveDown(0.5);
+
+  doc.font("Helvetica-Bold").fontSize(14).text(title, { align: "center" });
+  doc.font("Helvetica").fontSize(10).moveDown();
+};
+
+// large diagonal text across the current page, e.g. DUPLICATE or CANCELLED
+export const drawWatermark = (doc, text) => {
+  const { x, y } = doc;
+
+  doc.save();
+  doc
+    .rotate(-45, { origin: [doc.page.width / 2, doc.page.height / 2] })
+    .font("Helvetica-Bold")
+    .fontSize(80)
+    .fillColor("#cccccc", 0.5)
+    .text(text, 0, doc.page.height / 2 - 40, {
+      width: doc.page.width,
+      align: "center",
+      lineBreak: false,
+    });
+  doc.restore();
+
+  doc.x = x;
+  doc.y = y;
+  doc.font("Helvetica").fontSize(10).fillColor("black", 1);
+};
+
+// rows of [label, value] with the values right aligned
+export const drawAmountRows = (doc, rows, { boldLast = false } = {}) => {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+
+  rows.forEach(([label, value], index) => {
+    const y = doc.y;
+    doc.font(
+      boldLast && index === rows.length - 1 ? "Helvetica-Bold" : "Helvetica"
+    );
+    doc.text(label, left, y, { width: width - 120 });
+    doc.text(value, left + width - 120, y, { width: 120, align: "right" });
+    doc.moveDown(0.3);
+  });
+
+  doc.font("Helvetica");
+  doc.x = left;
+};
+
+// simple table, columns are [{ header, key, width, align }] with widths in points
+export const drawTable = (doc, columns, rows) => {
+  const left = doc.page.margins.left;
+  const bottom = doc.page.height - doc.page.margins.bottom;
+
+  const drawRow = (values, font) => {
+    doc.font(font);
+    const heights = columns.map((column, index) =>
+      doc.heightOfString(String(values[index] ?? ""), { width: column.width })
+    );
+    const rowHeight = Math.max(...heights) + 4;
+    if (doc.y + rowHeight > bottom) doc.addPage();
+
+    const y = doc.y;
+    let x = left;
+    columns.forEach((column, index) => {
+      doc.text(String(values[index] ?? ""), x, y, {
+        width: column.width,
+        align: column.align || "left",
+      });
+      x += column.width;
+    });
+    doc.y = y + rowHeight;
+  };
+
+  drawRow(
+    columns.map((column) => column.header),
+    "Helvetica-Bold"
+  );
+  for (const row of rows) {
+    drawRow(
+      columns.map((column) => row[column.key]),
+      "Helvetica"
+    );
+  }
+
+  doc.font("Helvetica");
+  doc.x = left;
+};
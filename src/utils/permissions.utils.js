@@ -0,0 +1,138 @@
+import { RolePermission } from "../models/rolePermission.model.js";
+
+export const PERMISSIONS = {
+  STUDENTS_READ: "students:read",
+  STUDENTS_WRITE: "students:write",
+  GUARDIANS_WRITE: "guardians:write",
+  TEACHERS_READ: "teachers:read",
+  TEACHERS_WRITE: "teachers:write",
+  STAFF_MANAGE: "staff:manage",
+  CLASSES_WRITE: "classes:write",
+  SUBJECTS_WRITE: "subjects:write",
+  EXAMS_WRITE: "exams:write",
+  MARKS_ENTER: "marks:enter",
+  MARKS_DELETE: "marks:delete",
+  ATTENDANCE_MARK: "attendance:mark",
+  ATTENDANCE_READ: "attendance:read",
+  TEACHER_ATTENDANCE_MARK: "teacher-attendance:mark",
+  LEAVE_APPROVE: "leave:approve",
+  LEAVE_POLICY_MANAGE: "leave-policy:manage",
+  FEES_READ: "fees:read",
+  FEES_WRITE: "fees:write",
+  CONCESSIONS_APPROVE: "concessions:approve",
+  FEES_REFUND: "fees:refund",
+  EXPENSES_READ: "expenses:read",
+  EXPENSES_WRITE: "expenses:write",
+  PAYROLL_READ: "payroll:read",
+  PAYROLL_WRITE: "payroll:write",
+  PAYROLL_APPROVE: "payroll:approve",
+  ANNOUNCEMENTS_WRITE: "announcements:write",
+  EVENTS_WRITE: "events:write",
+  PERMISSIONS_MANAGE: "permissions:manage",
+  SESSIONS_MANAGE: "sessions:manage",
+  CALENDAR_MANAGE: "calendar:manage",
+};
+
+export const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+// "*" grants every permission
+export const WILDCARD_PERMISSION = "*";
+
+// used until the principal configures a role, and restored when an override is removed
+export const DEFAULT_ROLE_PERMISSIONS = {
+  principal: [WILDCARD_PERMISSION],
+  "vice-principal": [
+    PERMISSIONS.STUDENTS_READ,
+    PERMISSIONS.STUDENTS_WRITE,
+    PERMISSIONS.GUARDIANS_WRITE,
+    PERMISSIONS.TEACHERS_READ,
+    PERMISSIONS.CLASSES_WRITE,
+    PERMISSIONS.SUBJECTS_WRITE,
+    PERMISSIONS.EXAMS_WRITE,
+    PERMISSIONS.MARKS_ENTER,
+    PERMISSIONS.MARKS_DELETE,
+    PERMISSIONS.ATTENDANCE_MARK,
+    PERMISSIONS.ATTENDANCE_READ,
+    PERMISSIONS.TEACHER_ATTENDANCE_MARK,
+    PERMISSIONS.LEAVE_APPROVE,
+    PERMISSIONS.FEES_READ,
+  ],
+  accountant: [
+    PERMISSIONS.STUDENTS_READ,
+    PERMISSIONS.TEACHERS_READ,
+    PERMISSIONS.FEES_READ,
+    PERMISSIONS.FEES_WRITE,
+    PERMISSIONS.EXPENSES_READ,
+    PERMISSIONS.EXPENSES_WRITE,
+    PERMISSIONS.PAYROLL_READ,
+    PERMISSIONS.PAYROLL_WRITE,
+  ],
+  clerk: [
+    PERMISSIONS.STUDENTS_READ,
+    PERMISSIONS.STUDENTS_WRITE,
+    PERMISSIONS.GUARDIANS_WRITE,
+    PERMISSIONS.TEACHERS_READ,
+    PERMISSIONS.ATTENDANCE_READ,
+    PERMISSIONS.FEES_READ,
+  ],
+  teacher: [
+    PERMISSIONS.MARKS_ENTER,
+    PERMISSIONS.ATTENDANCE_MARK,
+    PERMISSIONS.ATTENDANCE_READ,
+    PERMISSIONS.ANNOUNCEMENTS_WRITE,
+    PERMISSIONS.EVENTS_WRITE,
+  ],
+  student: [],
+  guardian: [],
+};
+
+export const ROLES = Object.keys(DEFAULT_ROLE_PERMISSIONS);
+
+// the principal always keeps every permission, nobody can lock the school out of its own system
+export const LOCKED_ROLES = ["principal"];
+
+// role -> permissions, refreshed from the db at most once a minute and on every change
+const CACHE_TTL_MS = 60 * 1000;
+let permissionCache = null;
+let permissionCacheLoadedAt = 0;
+
+export const clearPermissionCache = () => {
+  permissionCache = null;
+  permissionCacheLoadedAt = 0;
+};
+
+const loadRolePermissions = async () => {
+  if (permissionCache && Date.now() - permissionCacheLoadedAt < CACHE_TTL_MS) {
+    return permissionCache;
+  }
+
+  const overrides = await RolePermission.find().lean();
+
+  const rolePermissions = new Map(
+    Object.entries(DEFAULT_ROLE_PERMISSIONS).map(([role, permissions]) => [
+      role,
+      new Set(permissions),
+    ])
+  );
+  for (const override of overrides) {
+    if (LOCKED_ROLES.includes(override.role)) continue;
+    rolePermissions.set(override.role, new Set(override.permissions));
+  }
+
+  permissionCache = rolePermissions;
+  permissionCacheLoadedAt = Date.now();
+
+  return permissionCache;
+};
+
+export const getRolePermissions = async (role) => {
+  const rolePermissions = await loadRolePermissions();
+  return rolePermissions.get(role) || new Set();
+};
+
+export const hasPermissions = async (role, requiredPermissions = []) => {
+  const granted = await getRolePermissions(role);
+  if (granted.has(WILDCARD_PERMISSION)) return true;
+
+  return requiredPermissions.every((permission) => granted.has(permission));
+};
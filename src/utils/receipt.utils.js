@@ -0,0 +1,294 @@
+import { getNextSequence } from "../models/counter.model.js";
+import { Receipt } from "../models/receipt.model.js";
+import {
+  drawAmountRows,
+  drawSchoolHeader,
+  drawWatermark,
+  formatAmount,
+  formatDate,
+  renderPdf,
+} from "./pdf.utils.js";
+
+const ONES = [
+  "",
+  "One",
+  "Two",
+  "Three",
+  "Four",
+  "Five",
+  "Six",
+  "Seven",
+  "Eight",
+  "Nine",
+  "Ten",
+  "Eleven",
+  "Twelve",
+  "Thirteen",
+  "Fourteen",
+  "Fifteen",
+  "Sixteen",
+  "Seventeen",
+  "Eighteen",
+  "Nineteen",
+];
+const TENS = [
+  "",
+  "",
+  "Twenty",
+  "Thirty",
+  "Forty",
+  "Fifty",
+  "Sixty",
+  "Seventy",
+  "Eighty",
+  "Ninety",
+];
+
+const belowHundred = (number) =>
+  number < 20
+    ? ONES[number]
+    : [TENS[Math.floor(number / 10)], ONES[number % 10]]
+        .filter(Boolean)
+        .join(" ");
+
+const belowThousand = (number) =>
+  [
+    number >= 100 && `${ONES[Math.floor(number / 100)]} Hundred`,
+    belowHundred(number % 100),
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+// indian numbering, 1,25,000 is "One Lakh Twenty Five Thousand"
+const integerInWords = (number) => {
+  if (number === 0) return "Zero";
+
+  const parts = [];
+  const crores = Math.floor(number / 10000000);
+  if (crores > 0) parts.push(`${integerInWords(crores)} Crore`);
+  const lakhs = Math.floor((number % 10000000) / 100000);
+  if (lakhs > 0) parts.push(`${belowHundred(lakhs)} Lakh`);
+  const thousands = Math.floor((number % 100000) / 1000);
+  if (thousands > 0) parts.push(`${belowHundred(thousands)} Thousand`);
+  const rest = number % 1000;
+  if (rest > 0) parts.push(belowThousand(rest));
+
+  return parts.join(" ");
+};
+
+// 1250.5 -> "Rupees One Thousand Two Hundred Fifty and Fifty Paise Only"
+export const amountInWords = (amount) => {
+  const rupees = Math.floor(amount);
+  const paise = Math.round((amount - rupees) * 100);
+
+  const words = `Rupees ${integerInWords(rupees)}`;
+  return paise > 0
+    ? `${words} and ${belowHundred(paise)} Paise Only`
+    : `${words} Only`;
+};
+
+const formatReceiptNumber = (prefix, academicSession, sequence) =>
+  `${prefix}/${academicSession.name}/${String(sequence).padStart(5, "0")}`;
+
+// what the months of a payment consist of, fee heads when the class has a fee structure
+const buildReceiptLines = (feePayments) =>
+  feePayments.flatMap((feePayment) =>
+    feePayment.items?.length > 0
+      ? feePayment.items.map((item) => ({
+          month: feePayment.month,
+          description: item.head,
+          amount: item.amount,
+        }))
+      : [
+          {
+            month: feePayment.month,
+            description: "Fee",
+            amount: feePayment.baseAmount || 0,
+          },
+        ]
+  );
+
+// Issues the receipt of a ledger transaction. Runs inside the payment's transaction so
+// the receipt number is only used up when the payment commits.
+export const issueReceipt = async (
+  {
+    transaction,
+    student,
+    studentClass,
+    academicSession,
+    feePayments,
+    issuedBy,
+  },
+  session = null
+) => {
+  const sequence = await getNextSequence(
+    `receipt:${academicSession._id}`,
+    session
+  );
+  const paidMonths = feePayments.filter((feePayment) =>
+    transaction.allocations.some((allocation) =>
+      allocation.feePayment.equals(feePayment._id)
+    )
+  );
+
+  const [receipt] = await Receipt.create(
+    [
+      {
+        receiptNumber: formatReceiptNumber("RCPT", academicSession, sequence),
+        sequence,
+        academicSession: academicSession._id,
+        transaction: transaction._id,
+        student: student._id,
+        studentName: student.name,
+        className: studentClass.className,
+        months: paidMonths.map((feePayment) => feePayment.month),
+        lines: buildReceiptLines(paidMonths),
+        lateFineAmount: paidMonths.reduce(
+          (total, feePayment) => total + (feePayment.lateFineAmount || 0),
+          0
+        ),
+        concessionAmount: paidMonths.reduce(
+          (total, feePayment) => total + (feePayment.concessionAmount || 0),
+          0
+        ),
+        amount: transaction.amount,
+        // left to pay on the months after this payment
+        balanceDue: paidMonths.reduce(
+          (total, feePayment) => total + feePayment.balance,
+          0
+        ),
+        amountInWords: amountInWords(transaction.amount),
+        mode: transaction.mode,
+        referenceNumber: transaction.referenceNumber,
+        issuedAt: transaction.paidAt,
+        auditTrail: [
+          { action: "issued", by: issuedBy._id, role: issuedBy.role },
+        ],
+      },
+    ],
+    { session }
+  );
+
+  return receipt;
+};
+
+// The credit note of a refund, numbered in its own series. The refunded receipt stays
+// valid and records the refund in its audit trail.
+export const issueCreditNote = async (
+  { refund, receipt, academicSession, issuedBy },
+  session = null
+) => {
+  const sequence = await getNextSequence(
+    `credit-note:${academicSession._id}`,
+    session
+  );
+
+  const [creditNote] = await Receipt.create(
+    [
+      {
+        receiptNumber: formatReceiptNumber("CN", academicSession, sequence),
+        sequence,
+        kind: "credit-note",
+        against: receipt._id,
+        academicSession: academicSession._id,
+        transaction: refund._id,
+        student: receipt.student,
+        studentName: receipt.studentName,
+        className: receipt.className,
+        months: refund.allocations.map((allocation) => allocation.month),
+        lines: refund.allocations.map((allocation) => ({
+          month: allocation.month,
+          description: "Refund",
+          amount: allocation.amount,
+        })),
+        amount: refund.amount,
+        amountInWords: amountInWords(refund.amount),
+        mode: refund.mode,
+        referenceNumber: refund.referenceNumber,
+        reason: refund.reason,
+        issuedAt: refund.paidAt,
+        auditTrail: [
+          { action: "issued", by: issuedBy._id, role: issuedBy.role },
+        ],
+      },
+    ],
+    { session }
+  );
+
+  receipt.auditTrail.push({
+    action: "refunded",
+    by: issuedBy._id,
+    role: issuedBy.role,
+    reason: refund.reason,
+  });
+  await receipt.save({ session });
+
+  return creditNote;
+};
+
+// the first print is the original, every later print is marked DUPLICATE
+export const renderReceiptPdf = (receipt, { duplicate = false } = {}) =>
+  renderPdf((doc) => {
+    const isCreditNote = receipt.kind === "credit-note";
+    drawSchoolHeader(doc, isCreditNote ? "CREDIT NOTE" : "FEE RECEIPT");
+
+    if (receipt.status === "cancelled") {
+      drawWatermark(doc, "CANCELLED");
+    } else if (duplicate) {
+      drawWatermark(doc, "DUPLICATE");
+    }
+
+    drawAmountRows(doc, [
+      [isCreditNote ? "Credit Note No." : "Receipt No.", receipt.receiptNumber],
+      ["Date", formatDate(receipt.issuedAt)],
+      ["Student", receipt.studentName || ""],
+      ["Class", receipt.className || ""],
+      ["Months", receipt.months.join(", ")],
+    ]);
+    doc.moveDown();
+
+    doc
+      .font("Helvetica-Bold")
+      .text(isCreditNote ? "Refund breakdown" : "Fee breakdown");
+    doc.font("Helvetica").moveDown(0.3);
+    drawAmountRows(
+      doc,
+      [
+        ...receipt.lines.map((line) => [
+          `${line.month} - ${line.description}`,
+          formatAmount(line.amount),
+        ]),
+        ...(receipt.lateFineAmount > 0
+          ? [["Late fine", formatAmount(receipt.lateFineAmount)]]
+          : []),
+        ...(receipt.concessionAmount > 0
+          ? [["Concession", `- ${formatAmount(receipt.concessionAmount)}`]]
+          : []),
+        ...(receipt.balanceDue > 0
+          ? [["Balance due", formatAmount(receipt.balanceDue)]]
+          : []),
+        [
+          isCreditNote ? "Amount refunded" : "Amount paid",
+          formatAmount(receipt.amount),
+        ],
+      ],
+      { boldLast: true }
+    );
+    doc.moveDown();
+
+    doc.text(receipt.amountInWords);
+    doc.text(
+      `${isCreditNote ? "Refunded" : "Paid"} by ${receipt.mode}${
+        receipt.referenceNumber ? ` (Ref: ${receipt.referenceNumber})` : ""
+      }`
+    );
+    if (isCreditNote && receipt.reason) {
+      doc.moveDown().text(`Reason: ${receipt.reason}`);
+    }
+    if (receipt.status === "cancelled") {
+      doc.moveDown().text(`Cancelled: ${receipt.cancellationReason}`);
+    }
+
+    doc.moveDown(3);
+    doc.text("Authorised signatory", { align: "right" });
+  });
@@ -0,0 +1,176 @@
+import crypto from "crypto";
+import { parse } from "csv-parse/sync";
+import ExcelJS from "exceljs";
+import { ApiError } from "./ApiError.js";
+
+export const MAX_IMPORT_ROWS = 1000;
+
+// "Roll Number", "roll_number" and "rollnumber" all match the rollNumber field
+const normalizeHeader = (header) =>
+  String(header ?? "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+// exceljs hands out rich text, hyperlinks and formulas as objects
+const cellToValue = (value) => {
+  if (value === null || value === undefined) return undefined;
+  if (value instanceof Date) return value;
+  if (typeof value === "object") {
+    if (value.richText) return value.richText.map((part) => part.text).join("");
+    if (value.text !== undefined) return cellToValue(value.text);
+    if (value.result !== undefined) return cellToValue(value.result);
+    return undefined;
+  }
+
+  return value;
+};
+
+const readCsv = (buffer) =>
+  parse(buffer, {
+    columns: true,
+    bom: true,
+    trim: true,
+    skip_empty_lines: true,
+    relax_column_count: true,
+    info: true,
+  }).map(({ record, info }) => ({ row: info.lines, record }));
+
+const readXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) return [];
+
+  const headers = [];
+  worksheet.getRow(1).eachCell((cell, column) => {
+    headers[column] = cellToValue(cell.value);
+  });
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const record = {};
+    row.eachCell((cell, column) => {
+      if (headers[column]) record[headers[column]] = cellToValue(cell.value);
+    });
+    rows.push({ row: rowNumber, record });
+  });
+
+  return rows;
+};
+
+// Reads the uploaded .csv / .xlsx into [{ row, data }], row is the line number in the
+// sheet and data only holds the columns matching `fields`, blank cells are left out.
+export const parseSpreadsheet = async (file, fields) => {
+  if (!file?.buffer) {
+    throw new ApiError(400, "Please upload a .csv or .xlsx file");
+  }
+
+  let rows;
+  try {
+    rows = /\.xlsx$/i.test(file.originalname)
+      ? await readXlsx(file.buffer)
+      : readCsv(file.buffer);
+  } catch (error) {
+    throw new ApiError(400, `Could not read the file: ${error.message}`);
+  }
+
+  if (rows.length === 0) {
+    throw new ApiError(400, "The file has no data rows");
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ApiError(
+      400,
+      `A file can have at most ${MAX_IMPORT_ROWS} rows, split it and upload again`
+    );
+  }
+
+  const fieldByHeader = new Map(
+    fields.map((field) => [normalizeHeader(field), field])
+  );
+
+  return rows.map(({ row, record }) => {
+    const data = {};
+    for (const [header, value] of Object.entries(record)) {
+      const field = fieldByHeader.get(normalizeHeader(header));
+      if (!field) continue;
+
+      // undo the formula guard our own exports put in front of values
+      const cleanValue =
+        typeof value === "string"
+          ? value.trim().replace(/^'(?=[=+\-@])/, "")
+          : value;
+      if (cleanValue === "" || cleanValue === undefined) continue;
+
+      data[field] = cleanValue;
+    }
+
+    return { row, data };
+  });
+};
+
+// runs the schema validators of an unsaved document, { field: message } per failure
+export const collectValidationErrors = async (document) => {
+  try {
+    await document.validate();
+    return {};
+  } catch (error) {
+    if (!error.errors) throw error;
+
+    return Object.fromEntries(
+      Object.entries(error.errors).map(([field, fieldError]) => [
+        field,
+        fieldError.message,
+      ])
+    );
+  }
+};
+
+// handed out once in the import response, the user changes it after logging in
+export const generateInitialPassword = () =>
+  crypto.randomBytes(9).toString("base64url");
+
+// a leading = + - @ would make spreadsheet apps run the cell as a formula
+const escapeCsvValue = (value) => {
+  let text = value instanceof Date ? value.toISOString() : String(value ?? "");
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Builds a .csv (default) or .xlsx file from rows, columns are [{ header, key }].
+// Returns what the route needs to send it as a download.
+export const buildSpreadsheet = async (columns, rows, format = "csv") => {
+  if (format === "xlsx") {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet("Sheet1");
+    worksheet.columns = columns.map(({ header, key }) => ({
+      header,
+      key,
+      width: Math.max(header.length + 2, 14),
+    }));
+    worksheet.addRows(rows);
+
+    return {
+      buffer: Buffer.from(await workbook.xlsx.writeBuffer()),
+      contentType:
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      extension: "xlsx",
+    };
+  }
+
+  const lines = [
+    columns.map(({ header }) => escapeCsvValue(header)).join(","),
+    ...rows.map((row) =>
+      columns.map(({ key }) => escapeCsvValue(row[key])).join(",")
+    ),
+  ];
+
+  return {
+    buffer: Buffer.from(`${lines.join("\r\n")}\r\n`),
+    contentType: "text/csv; charset=utf-8",
+    extension: "csv",
+  };
+};
@@ -0,0 +1,270 @@
+import { Subject } from "../models/subject.model.js";
+import { Substitution } from "../models/substitution.model.js";
+import { Teacher } from "../models/teacher.model.js";
+import { TeachersLeave } from "../models/teacherLeave.model.js";
+import { TimetableSlot, WEEKDAYS } from "../models/timetableSlot.model.js";
+import { ApiError } from "./ApiError.js";
+import { startOfDay } from "./calendar.utils.js";
+import {
+  getLeaveWorkingDates,
+  getSessionOfDate,
+  overlappingLeaveFilter,
+} from "./leave.utils.js";
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Teachers of every subject with this name. Subjects belong to one class, so
+// "Mathematics" of 7A and of 8B are the same subject for a substitute.
+const findSubjectTeachers = async (subjectName) => {
+  const subjects = await Subject.find({
+    name: new RegExp(`^${escapeRegExp(subjectName.trim())}$`, "i"),
+  })
+    .select("teacher")
+    .lean();
+
+  return Teacher.find({
+    $or: [
+      { _id: { $in: subjects.flatMap((subject) => subject.teacher) } },
+      { subject: { $in: subjects.map((subject) => subject._id) } },
+    ],
+  })
+    .select("name assignedClasses")
+    .lean();
+};
+
+// Who is taken in which period of a date: their own classes and substitutions. A
+// teacher on approved leave is taken all day.
+export const getDaySchedule = async (date, academicSession) => {
+  const [slots, substitutions, leaves] = await Promise.all([
+    TimetableSlot.find({ academicSession, day: WEEKDAYS[date.getDay()] })
+      .select("teacher period")
+      .lean(),
+    Substitution.find({ date }).select("substitute period").lean(),
+    TeachersLeave.find({
+      leaveStatus: "Approved",
+      ...overlappingLeaveFilter(date),
+    })
+      .select("teacherId")
+      .lean(),
+  ]);
+
+  const busy = new Set([
+    ...slots.map(({ teacher, period }) => `${teacher}-${period}`),
+    ...substitutions.map(({ substitute, period }) => `${substitute}-${period}`),
+  ]);
+  const onLeave = new Set(leaves.map((leave) => leave.teacherId));
+  const load = new Map();
+  for (const { substitute } of substitutions) {
+    load.set(substitute.toString(), (load.get(substitute.toString()) || 0) + 1);
+  }
+
+  return {
+    isFree: (teacherId, period) =>
+      !onLeave.has(teacherId.toString()) && !busy.has(`${teacherId}-${period}`),
+    substitutionsOf: (teacherId) => load.get(teacherId.toString()) || 0,
+  };
+};
+
+// free teachers of the subject, those who already teach the class first and then
+// whoever covers the fewest periods that day
+const suggestSubstitutes = (slot, candidates, schedule, limit) =>
+  candidates
+    .filter(
+      (teacher) =>
+        !teacher._id.equals(slot.teacher) &&
+        schedule.isFree(teacher._id, slot.period)
+    )
+    .map((teacher) => ({
+      _id: teacher._id,
+      name: teacher.name,
+      teachesClass:
+        Boolean(slot.class) &&
+        (teacher.assignedClasses || []).some((classId) =>
+          classId.equals(slot.class._id)
+        ),
+      substitutionsThatDay: schedule.substitutionsOf(teacher._id),
+    }))
+    .sort(
+      (a, b) =>
+        b.teachesClass - a.teachesClass ||
+        a.substitutionsThatDay - b.substitutionsThatDay ||
+        a.name.localeCompare(b.name)
+    )
+    .slice(0, limit);
+
+// Every timetabled period of the teacher on the days of the leave from "from" to
+// "to", with its substitution or, while uncovered, the free teachers to ask.
+export const getAffectedPeriods = async (
+  leave,
+  { from, to, suggestionLimit = 5 } = {}
+) => {
+  // no classes to cover while the school is closed
+  const dates = (await getLeaveWorkingDates(leave.date, leave.endDate)).filter(
+    (date) =>
+      (!from || date >= startOfDay(from)) && (!to || date <= startOfDay(to))
+  );
+  const substitutions = await Substitution.find({ leave: leave._id })
+    .populate("substitute", "name")
+    .lean();
+  const substitutionOf = new Map(
+    substitutions.map((substitution) => [
+      `${substitution.slot}-${substitution.date.getTime()}`,
+      substitution,
+    ])
+  );
+
+  const slotsByDay = new Map();
+  const subjectTeachers = new Map();
+  const periods = [];
+  let academicSession = null;
+  for (const date of dates) {
+    if (
+      !academicSession ||
+      date < academicSession.startDate ||
+      date > academicSession.endDate
+    ) {
+      academicSession = await getSessionOfDate(date);
+    }
+
+    const day = WEEKDAYS[date.getDay()];
+    const dayKey = `${academicSession._id}-${day}`;
+    if (!slotsByDay.has(dayKey)) {
+      slotsByDay.set(
+        dayKey,
+        await TimetableSlot.find({
+          teacher: leave.teacherId,
+          academicSession: academicSession._id,
+          day,
+        })
+          .populate("class", "className section")
+          .populate("subject", "name")
+          .sort({ period: 1 })
+          .lean()
+      );
+    }
+    const slots = slotsByDay.get(dayKey);
+    if (slots.length === 0) continue;
+
+    let schedule = null;
+    for (const slot of slots) {
+      const substitution =
+        substitutionOf.get(`${slot._id}-${date.getTime()}`) || null;
+      let suggestions = [];
+      // a period whose subject was deleted has no subject teachers to suggest
+      if (!substitution && slot.subject) {
+        schedule ??= await getDaySchedule(date, academicSession._id);
+        const subjectName = slot.subject.name.trim().toLowerCase();
+        if (!subjectTeachers.has(subjectName)) {
+          subjectTeachers.set(
+            subjectName,
+            await findSubjectTeachers(slot.subject.name)
+          );
+        }
+        suggestions = suggestSubstitutes(
+          slot,
+          subjectTeachers.get(subjectName),
+          schedule,
+          suggestionLimit
+        );
+      }
+
+      periods.push({
+        date,
+        day,
+        period: slot.period,
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        slot: slot._id,
+        class: slot.class,
+        subject: slot.subject,
+        substitution,
+        suggestions,
+      });
+    }
+  }
+
+  return periods;
+};
+
+// Puts a substitute on one period of an approved leave. Anyone free in that period
+// can cover it, the suggestions are only the best fits.
+export const assignSubstitute = async (
+  leave,
+  { slotId, date, substituteId },
+  assignedBy
+) => {
+  if (leave.leaveStatus !== "Approved") {
+    throw new ApiError(
+      409,
+      "Substitutes are assigned once the leave is approved"
+    );
+  }
+
+  const day = startOfDay(date);
+  if (
+    Number.isNaN(day.getTime()) ||
+    !(await getLeaveWorkingDates(leave.date, leave.endDate)).some(
+      (leaveDate) => leaveDate.getTime() === day.getTime()
+    )
+  ) {
+    throw new ApiError(
+      400,
+      "Date must be one of the working days of the leave"
+    );
+  }
+
+  const academicSession = await getSessionOfDate(day);
+  const slot = await TimetableSlot.findOne({
+    _id: slotId,
+    teacher: leave.teacherId,
+    academicSession: academicSession._id,
+    day: WEEKDAYS[day.getDay()],
+  }).lean();
+  if (!slot) {
+    throw new ApiError(
+      404,
+      "The teacher on leave has no such period on that day"
+    );
+  }
+
+  if (slot.teacher.equals(substituteId)) {
+    throw new ApiError(
+      400,
+      "The teacher on leave can't substitute for themselves"
+    );
+  }
+  const substitute = await Teacher.findById(substituteId).select("name").lean();
+  if (!substitute) {
+    throw new ApiError(404, "Substitute teacher not found");
+  }
+  const schedule = await getDaySchedule(day, academicSession._id);
+  if (!schedule.isFree(substitute._id, slot.period)) {
+    throw new ApiError(
+      409,
+      `${substitute.name} isn't free in period ${slot.period} that day`
+    );
+  }
+
+  try {
+    return await Substitution.create({
+      leave: leave._id,
+      slot: slot._id,
+      date: day,
+      period: slot.period,
+      class: slot.class,
+      subject: slot.subject,
+      absentTeacher: slot.teacher,
+      substitute: substitute._id,
+      assignedBy,
+    });
+  } catch (error) {
+    // covered or booked by a request that got in first
+    if (error.code === 11000) {
+      throw new ApiError(
+        409,
+        "This period is already covered or the substitute was just booked"
+      );
+    }
+    throw error;
+  }
+};
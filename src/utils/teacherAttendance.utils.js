@@ -0,0 +1,136 @@
+import { Teacher } from "../models/teacher.model.js";
+import { TeacherAttendance } from "../models/teacherAttendance.model.js";
+import { eachDay, getNonWorkingDays, startOfDay } from "./calendar.utils.js";
+import { getLeaveWorkingDates } from "./leave.utils.js";
+
+// Codes on the muster roll. Days off show "H", or "WO" for the weekly off, and ""
+// is a working day not marked yet.
+export const MUSTER_ROLL_CODES = {
+  present: "P",
+  absent: "A",
+  "on-leave": "L",
+  "half-day": "HD",
+  late: "LT",
+};
+
+const dayAfter = (date) => {
+  const next = new Date(date);
+  next.setDate(next.getDate() + 1);
+  return next;
+};
+
+// Marks the working days of an approved leave on-leave. A day already marked absent
+// turns on-leave, one the teacher showed up on stays as it is.
+export const markLeaveAttendance = async (leave, markedBy, session = null) => {
+  const leaveDays = await getLeaveWorkingDates(leave.date, leave.endDate);
+  if (leaveDays.length === 0) return;
+  const leaveDayTimes = new Set(leaveDays.map((date) => date.getTime()));
+
+  const existing = await TeacherAttendance.find({
+    teacher: leave.teacherId,
+    date: {
+      $gte: leaveDays[0],
+      $lt: dayAfter(leaveDays[leaveDays.length - 1]),
+    },
+  })
+    .select("date status")
+    .session(session)
+    .lean();
+  const marked = new Set(
+    existing.map((record) => startOfDay(record.date).getTime())
+  );
+
+  await TeacherAttendance.updateMany(
+    {
+      _id: {
+        $in: existing
+          .filter(
+            (record) =>
+              record.status === "absent" &&
+              leaveDayTimes.has(startOfDay(record.date).getTime())
+          )
+          .map((record) => record._id),
+      },
+    },
+    { $set: { status: "on-leave", leave: leave._id, markedBy } },
+    { session }
+  );
+  await TeacherAttendance.insertMany(
+    leaveDays
+      .filter((date) => !marked.has(date.getTime()))
+      .map((date) => ({
+        date,
+        teacher: leave.teacherId,
+        status: "on-leave",
+        leave: leave._id,
+        markedBy,
+      })),
+    { session }
+  );
+};
+
+// Every teacher's attendance of the month day by day with totals. A half day
+// counts as half a day present, late as present. Totals and the percentage only
+// count working days, the percentage those up to today.
+export const buildMusterRoll = async (month, teacherId = null) => {
+  const [year, monthNumber] = month.split("-").map(Number);
+  const from = new Date(year, monthNumber - 1, 1);
+  const to = new Date(year, monthNumber, 0);
+  const dates = eachDay(from, to);
+  const daysOff = await getNonWorkingDays(from, to);
+  const today = startOfDay(new Date());
+  const workingDaysSoFar = dates.filter(
+    (date) => date <= today && !daysOff.has(date.getTime())
+  ).length;
+
+  const teachers = await Teacher.find(teacherId ? { _id: teacherId } : {})
+    .select("name")
+    .sort({ name: 1 })
+    .lean();
+  const records = await TeacherAttendance.find({
+    teacher: { $in: teachers.map((teacher) => teacher._id) },
+    date: { $gte: from, $lt: dayAfter(to) },
+  })
+    .select("teacher date status")
+    .lean();
+  const statusOf = new Map(
+    records.map((record) => [
+      `${record.teacher}-${startOfDay(record.date).getTime()}`,
+      record.status,
+    ])
+  );
+
+  return {
+    month,
+    days: dates.length,
+    daysOff: daysOff.size,
+    workingDays: dates.length - daysOff.size,
+    teachers: teachers.map((teacher) => {
+      const totals = Object.fromEntries(
+        Object.keys(MUSTER_ROLL_CODES).map((status) => [status, 0])
+      );
+      const days = dates.map((date) => {
+        const status = statusOf.get(`${teacher._id}-${date.getTime()}`);
+        const dayOff = daysOff.get(date.getTime());
+        if (status && !dayOff) totals[status] += 1;
+
+        let code = "";
+        if (status) code = MUSTER_ROLL_CODES[status];
+        else if (dayOff) code = dayOff.type === "weekly-off" ? "WO" : "H";
+        return { date, status: status || null, dayOff: dayOff || null, code };
+      });
+      const presentDays = totals.present + totals.late + totals["half-day"] / 2;
+
+      return {
+        teacher: teacher._id,
+        name: teacher.name,
+        days,
+        totals,
+        presentDays,
+        attendancePercentage: workingDaysSoFar
+          ? Math.round((presentDays / workingDaysSoFar) * 10000) / 100
+          : null,
+      };
+    }),
+  };
+};
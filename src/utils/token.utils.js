@@ -0,0 +1,80 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { ApiError } from "./ApiError.js";
+
+export const authCookieOptions = {
+  httpOnly: true,
+  secure: true,
+};
+
+// refresh tokens are stored as a sha256 digest, bcrypt only looks at the first 72 bytes of a jwt
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// sign an access/refresh token pair and persist the hashed refresh token on the user document
+// every login starts a new token family, every refresh keeps the family of the token it replaces
+export const issueAuthTokens = async (user, family = crypto.randomUUID()) => {
+  const accessToken = user.generateAccessToken();
+  const refreshToken = user.generateRefreshToken(family);
+
+  user.refreshToken = hashToken(refreshToken);
+  user.refreshTokenFamily = family;
+  await user.save({ validateBeforeSave: false });
+
+  return { accessToken, refreshToken };
+};
+
+export const revokeAuthTokens = async (Model, userId) => {
+  await Model.findByIdAndUpdate(userId, {
+    $unset: { refreshToken: "", refreshTokenFamily: "" },
+  });
+};
+
+// exchange a refresh token for a new pair. Presenting an already rotated token of the
+// current family means the token leaked, the whole family is revoked and the user has to login again
+export const rotateRefreshToken = async (Model, incomingRefreshToken) => {
+  if (!incomingRefreshToken) {
+    throw new ApiError(401, "Refresh token is required");
+  }
+
+  let decodedToken;
+  try {
+    decodedToken = jwt.verify(
+      incomingRefreshToken,
+      process.env.REFRESH_TOKEN_SECRET
+    );
+  } catch (error) {
+    throw new ApiError(401, "Refresh token is invalid or expired");
+  }
+
+  const user = await Model.findById(decodedToken._id || decodedToken.id).select(
+    "+refreshToken +refreshTokenFamily"
+  );
+  if (!user) {
+    throw new ApiError(401, "Refresh token is invalid or expired");
+  }
+
+  if (!decodedToken.family || decodedToken.family !== user.refreshTokenFamily) {
+    throw new ApiError(401, "Refresh token has been revoked");
+  }
+
+  const accessToken = user.generateAccessToken();
+  const refreshToken = user.generateRefreshToken(decodedToken.family);
+
+  // conditional update, two requests racing with the same token can't both rotate it
+  const rotatedUser = await Model.findOneAndUpdate(
+    { _id: user._id, refreshToken: hashToken(incomingRefreshToken) },
+    { $set: { refreshToken: hashToken(refreshToken) } },
+    { new: true }
+  ).select("-password");
+
+  if (!rotatedUser) {
+    await revokeAuthTokens(Model, user._id);
+    throw new ApiError(
+      401,
+      "Refresh token reuse detected, all sessions have been revoked"
+    );
+  }
+
+  return { user: rotatedUser, accessToken, refreshToken };
+};
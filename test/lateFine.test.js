@@ -0,0 +1,63 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { computeLateFine } from "../src/utils/fee.utils.js";
+
+const dueDate = new Date(2026, 3, 10);
+const daysAfterDue = (days) => new Date(2026, 3, 10 + days);
+
+describe("computeLateFine", () => {
+  test("charges nothing without a rule or a due date", () => {
+    const rule = { type: "flat", amount: 100, graceDays: 0 };
+
+    assert.equal(computeLateFine(null, dueDate, daysAfterDue(5)), 0);
+    assert.equal(computeLateFine(rule, null, daysAfterDue(5)), 0);
+  });
+
+  test("charges a flat fine only once the grace days are over", () => {
+    const rule = { type: "flat", amount: 100, graceDays: 3 };
+
+    assert.equal(computeLateFine(rule, dueDate, daysAfterDue(3)), 0);
+    assert.equal(computeLateFine(rule, dueDate, daysAfterDue(4)), 100);
+    assert.equal(computeLateFine(rule, dueDate, daysAfterDue(30)), 100);
+  });
+
+  test("accrues a per-day fine for the days past the grace days", () => {
+    const rule = { type: "per-day", amount: 10, graceDays: 2 };
+
+    assert.equal(computeLateFine(rule, dueDate, daysAfterDue(2)), 0);
+    assert.equal(computeLateFine(rule, dueDate, daysAfterDue(7)), 50);
+  });
+
+  test("stops a per-day fine at the cap", () => {
+    const rule = { type: "per-day", amount: 10, graceDays: 0, cap: 75 };
+
+    assert.equal(computeLateFine(rule, dueDate, daysAfterDue(5)), 50);
+    assert.equal(computeLateFine(rule, dueDate, daysAfterDue(20)), 75);
+  });
+
+  test("counts days off neither as grace days nor as days late", () => {
+    const rule = { type: "per-day", amount: 10, graceDays: 1 };
+    const daysOff = new Map(
+      [1, 2, 3].map((days) => [
+        daysAfterDue(days).getTime(),
+        { type: "holiday", name: "Spring break" },
+      ])
+    );
+
+    // 5 days after the due date, 3 of them off and 1 of grace
+    assert.equal(computeLateFine(rule, dueDate, daysAfterDue(5), daysOff), 10);
+    assert.equal(computeLateFine(rule, dueDate, daysAfterDue(4), daysOff), 0);
+  });
+
+  test("ignores days off before the due date or after the day asked about", () => {
+    const rule = { type: "per-day", amount: 10, graceDays: 0 };
+    const daysOff = new Map(
+      [-2, 10].map((days) => [
+        daysAfterDue(days).getTime(),
+        { type: "weekly-off", name: "Weekly off (Sunday)" },
+      ])
+    );
+
+    assert.equal(computeLateFine(rule, dueDate, daysAfterDue(3), daysOff), 30);
+  });
+});
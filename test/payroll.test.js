@@ -0,0 +1,164 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+  buildRepaymentSchedule,
+  deductAdvanceInstallments,
+  deductLossOfPay,
+} from "../src/utils/payroll.utils.js";
+
+const salaryOf = (grossAmount, totalDeductions) => ({
+  basic: grossAmount,
+  allowances: [],
+  grossAmount,
+  deductions: [{ name: "Provident fund", amount: totalDeductions }],
+  totalDeductions,
+  netAmount: grossAmount - totalDeductions,
+});
+
+describe("buildRepaymentSchedule", () => {
+  test("recovers a lump sum in the start month", () => {
+    assert.deepEqual(buildRepaymentSchedule(1000, { startMonth: "2026-11" }), [
+      { month: "2026-11", amount: 1000 },
+    ]);
+  });
+
+  test("leaves the rounding of equal installments on the last one", () => {
+    assert.deepEqual(
+      buildRepaymentSchedule(1000, {
+        repaymentType: "installments",
+        installmentCount: 3,
+        startMonth: "2026-11",
+      }),
+      [
+        { month: "2026-11", amount: 333.33 },
+        { month: "2026-12", amount: 333.33 },
+        { month: "2027-01", amount: 333.34 },
+      ]
+    );
+  });
+
+  test("rejects an unknown repayment type, start month or installment count", () => {
+    const invalidOptions = [
+      { repaymentType: "weekly", startMonth: "2026-11" },
+      { startMonth: "2026-13" },
+      {
+        repaymentType: "installments",
+        installmentCount: 0,
+        startMonth: "2026-11",
+      },
+      {
+        repaymentType: "installments",
+        installmentCount: 2.5,
+        startMonth: "2026-11",
+      },
+      {
+        repaymentType: "installments",
+        installmentCount: 25,
+        startMonth: "2026-11",
+      },
+    ];
+
+    for (const options of invalidOptions) {
+      assert.throws(() => buildRepaymentSchedule(1000, options), {
+        statusCode: 400,
+      });
+    }
+  });
+});
+
+describe("deductLossOfPay", () => {
+  test("leaves the salary alone without loss of pay days", () => {
+    const salary = salaryOf(31000, 3000);
+
+    assert.equal(deductLossOfPay(salary, 0, "2026-10"), salary);
+  });
+
+  test("docks a day's share of the gross pay for every day", () => {
+    const salary = deductLossOfPay(salaryOf(31000, 3000), 2, "2026-10");
+
+    assert.deepEqual(salary.deductions.at(-1), {
+      name: "Loss of pay (2 days)",
+      amount: 2000,
+    });
+    assert.equal(salary.totalDeductions, 5000);
+    assert.equal(salary.netAmount, 26000);
+  });
+
+  test("never docks more than the net pay", () => {
+    const salary = deductLossOfPay(salaryOf(30000, 3000), 30, "2026-11");
+
+    assert.equal(salary.deductions.at(-1).amount, 27000);
+    assert.equal(salary.netAmount, 0);
+  });
+});
+
+describe("deductAdvanceInstallments", () => {
+  const advanceOf = (_id, installments) => ({
+    _id,
+    installments: installments.map((installment, index) => ({
+      _id: `${_id}-${index}`,
+      status: "scheduled",
+      ...installment,
+    })),
+  });
+
+  test("deducts the installments due by the month as one deduction", () => {
+    const advance = advanceOf("advance", [
+      { month: "2026-09", amount: 500, status: "recovered" },
+      { month: "2026-10", amount: 500 },
+      { month: "2026-11", amount: 500 },
+    ]);
+
+    const { salary, recoveries } = deductAdvanceInstallments(
+      salaryOf(10000, 1000),
+      [advance],
+      "2026-10"
+    );
+
+    assert.deepEqual(recoveries, [
+      { advance: "advance", installment: "advance-1", amount: 500 },
+    ]);
+    assert.deepEqual(salary.deductions.at(-1), {
+      name: "Advance recovery",
+      amount: 500,
+    });
+    assert.equal(salary.totalDeductions, 1500);
+    assert.equal(salary.netAmount, 8500);
+  });
+
+  test("recovers only part of an installment the net pay doesn't cover", () => {
+    const advances = [
+      advanceOf("first", [{ month: "2026-10", amount: 600 }]),
+      advanceOf("second", [
+        { month: "2026-09", amount: 600 },
+        { month: "2026-10", amount: 600 },
+      ]),
+    ];
+
+    const { salary, recoveries } = deductAdvanceInstallments(
+      salaryOf(2000, 1000),
+      advances,
+      "2026-10"
+    );
+
+    assert.deepEqual(recoveries, [
+      { advance: "first", installment: "first-0", amount: 600 },
+      { advance: "second", installment: "second-0", amount: 400 },
+    ]);
+    assert.equal(salary.deductions.at(-1).amount, 1000);
+    assert.equal(salary.netAmount, 0);
+  });
+
+  test("leaves the salary alone with nothing due", () => {
+    const salary = salaryOf(10000, 1000);
+
+    const result = deductAdvanceInstallments(
+      salary,
+      [advanceOf("advance", [{ month: "2026-11", amount: 500 }])],
+      "2026-10"
+    );
+
+    assert.equal(result.salary, salary);
+    assert.deepEqual(result.recoveries, []);
+  });
+});
@@ -0,0 +1,192 @@
+import assert from "node:assert/strict";
+import { after, before, describe, mock, test } from "node:test";
+import jwt from "jsonwebtoken";
+import mongoose, { Types } from "mongoose";
+import request from "supertest";
+import { app } from "../src/app.js";
+import { Guardian } from "../src/models/guardian.model.js";
+import { Principal } from "../src/models/principal.model.js";
+import { RolePermission } from "../src/models/rolePermission.model.js";
+import { Student } from "../src/models/student.model.js";
+import { Teacher } from "../src/models/teacher.model.js";
+import logger from "../src/utils/logger.js";
+import { clearPermissionCache } from "../src/utils/permissions.utils.js";
+
+// The routes that used to take anonymous writes must turn away callers without a token
+// (401) and callers whose role or ownership doesn't fit (403), before any controller runs.
+// Callers the route is meant for get past the checks to the controller, which fails
+// without a database but with neither a 401 nor a 403.
+
+const ACCESS_TOKEN_SECRET = "route-authorization-test-secret";
+
+const newUser = (role, fields = {}) => ({
+  _id: new Types.ObjectId(),
+  role,
+  ...fields,
+});
+
+const classId = new Types.ObjectId();
+const leaveId = new Types.ObjectId();
+
+const users = {
+  student: newUser("student"),
+  otherStudent: newUser("student"),
+  // teaches the class the attendance routes are called for
+  teacher: newUser("teacher", { assignedClasses: [classId], subject: [] }),
+  otherTeacher: newUser("teacher", { assignedClasses: [], subject: [] }),
+  principal: newUser("principal"),
+  guardian: newUser("guardian"),
+};
+
+// students sign their tokens with "id", everybody else with "_id"
+const tokenOf = (user) =>
+  jwt.sign(
+    user.role === "student"
+      ? { id: user._id, role: user.role }
+      : { _id: user._id, role: user.role },
+    ACCESS_TOKEN_SECRET
+  );
+
+const { student, teacher } = users;
+
+const routes = [
+  {
+    method: "put",
+    path: `/api/v1/student/update-student/${student._id}`,
+    allowedCallers: ["student", "principal"],
+    wrongCallers: ["otherStudent", "teacher", "guardian"],
+  },
+  {
+    method: "post",
+    path: `/api/v1/student-attendance/classes/${classId}/attendance`,
+    allowedCallers: ["teacher", "principal"],
+    wrongCallers: ["student", "guardian", "otherTeacher"],
+  },
+  {
+    method: "get",
+    path: `/api/v1/student-attendance/classes/${classId}/attendance/2026-10-19`,
+    allowedCallers: ["teacher", "principal"],
+    wrongCallers: ["student", "guardian", "otherTeacher"],
+  },
+  {
+    method: "put",
+    path: `/api/v1/student-attendance/classes/${classId}/attendance/2026-10-19`,
+    allowedCallers: ["teacher", "principal"],
+    wrongCallers: ["student", "guardian", "otherTeacher"],
+  },
+  {
+    method: "get",
+    path: `/api/v1/student-attendance/students/${student._id}/attendance-history`,
+    allowedCallers: ["student", "teacher", "principal"],
+    wrongCallers: ["otherStudent", "guardian"],
+  },
+  {
+    method: "post",
+    path: "/api/v1/teacher/register",
+    allowedCallers: ["principal"],
+    wrongCallers: ["teacher", "student", "guardian"],
+  },
+  {
+    method: "post",
+    path: "/api/v1/teacher/send-leave-request",
+    allowedCallers: ["teacher"],
+    wrongCallers: ["student", "principal", "guardian"],
+  },
+  {
+    method: "get",
+    path: `/api/v1/teacher/get-all-leaves/${teacher._id}`,
+    allowedCallers: ["teacher", "principal"],
+    wrongCallers: ["otherTeacher", "student"],
+  },
+  {
+    method: "post",
+    path: "/api/v1/teacher/send-adv-pay-req",
+    allowedCallers: ["teacher"],
+    wrongCallers: ["student", "principal"],
+  },
+  {
+    method: "post",
+    path: "/api/v1/principal/update-payment-request",
+    allowedCallers: ["principal"],
+    wrongCallers: ["teacher", "student", "guardian"],
+  },
+  {
+    method: "post",
+    path: `/api/v1/principal/accept-teachers-leave/${leaveId}`,
+    allowedCallers: ["principal"],
+    wrongCallers: ["teacher", "student", "guardian"],
+  },
+  {
+    method: "post",
+    path: `/api/v1/class/${classId}/upload-timetable`,
+    allowedCallers: ["principal"],
+    wrongCallers: ["teacher", "student", "guardian"],
+  },
+];
+
+before(() => {
+  process.env.ACCESS_TOKEN_SECRET = ACCESS_TOKEN_SECRET;
+  logger.silent = true;
+
+  // users and role permissions come from these lookups, no database is needed
+  const findUser = (id) => ({
+    select: async () =>
+      Object.values(users).find((user) => user._id.equals(id)) || null,
+  });
+  for (const Model of [Student, Teacher, Principal, Guardian]) {
+    mock.method(Model, "findById", findUser);
+  }
+  mock.method(RolePermission, "find", () => ({ lean: async () => [] }));
+  clearPermissionCache();
+
+  // controllers fail at once instead of waiting for a connection
+  mongoose.set("bufferCommands", false);
+  mock.method(mongoose, "startSession", async () => ({
+    startTransaction() {},
+    inTransaction: () => true,
+    async commitTransaction() {},
+    async abortTransaction() {},
+    endSession() {},
+    async withTransaction() {
+      throw new Error("No database in these tests");
+    },
+  }));
+});
+
+after(() => {
+  mock.restoreAll();
+  mongoose.set("bufferCommands", true);
+});
+
+for (const { method, path, allowedCallers, wrongCallers } of routes) {
+  describe(`${method.toUpperCase()} ${path}`, () => {
+    test("rejects anonymous callers", async () => {
+      const response = await request(app)[method](path);
+
+      assert.equal(response.status, 401);
+    });
+
+    for (const caller of wrongCallers) {
+      test(`rejects ${caller}`, async () => {
+        const response = await request(app)
+          [method](path)
+          .set("Authorization", `Bearer ${tokenOf(users[caller])}`);
+
+        assert.equal(response.status, 403);
+      });
+    }
+
+    for (const caller of allowedCallers) {
+      test(`lets ${caller} through`, async () => {
+        const response = await request(app)
+          [method](path)
+          .set("Authorization", `Bearer ${tokenOf(users[caller])}`);
+
+        assert.ok(
+          ![401, 403].includes(response.status),
+          `expected ${caller} to reach the controller, got ${response.status}`
+        );
+      });
+    }
+  });
+}